@@ -0,0 +1,68 @@
+const express = require('express');
+const Joi = require('joi');
+const { authService, AuthError } = require('../services/AuthService');
+
+const email = Joi.string().trim().lowercase().email().max(254).required();
+
+const registerSchema = Joi.object({
+  username: Joi.string().trim().min(3).max(20).pattern(/^[A-Za-z0-9_]+$/).required(),
+  email,
+  password: Joi.string().min(8).max(72).required(), // bcrypt ignores anything past 72 bytes
+  guestToken: Joi.string() // From auth:guest, to keep a guest's stats and history
+});
+
+const loginSchema = Joi.object({
+  email,
+  password: Joi.string().max(72).required()
+});
+
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().required()
+});
+
+// Validates the body, runs the action and answers with its result (204 when it
+// has none). AuthErrors carry their own status; anything else is a 500.
+function route(schema, action, status = 200) {
+  return async (req, res, next) => {
+    const { error, value } = schema.validate(req.body || {}, { stripUnknown: true });
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    try {
+      const result = await action(value);
+      if (result === undefined) return res.status(204).end();
+      res.status(status).json(result);
+    } catch (err) {
+      if (err instanceof AuthError) {
+        return res.status(err.status).json({ error: err.message });
+      }
+      next(err);
+    }
+  };
+}
+
+function authRoutes(gameManager) {
+  const router = express.Router();
+
+  router.post('/register', route(registerSchema, ({ guestToken, ...details }) => {
+    let guest = null;
+    if (guestToken) {
+      const guestId = authService.verifyGuestToken(guestToken);
+      guest = { id: guestId, player: gameManager.findPlayerById(guestId) };
+    }
+    return authService.register(details, guest);
+  }, 201));
+
+  router.post('/login', route(loginSchema, details => authService.login(details)));
+
+  router.post('/refresh', route(refreshSchema, ({ refreshToken }) => authService.refresh(refreshToken)));
+
+  router.post('/logout', route(refreshSchema, async ({ refreshToken }) => {
+    await authService.logout(refreshToken);
+  }));
+
+  return router;
+}
+
+module.exports = authRoutes;
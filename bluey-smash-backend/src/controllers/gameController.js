@@ -0,0 +1,126 @@
+const express = require('express');
+const Joi = require('joi');
+const validate = require('./validate');
+const { characterRegistry } = require('../services/CharacterRegistry');
+const { hasGameMode } = require('../modes');
+const { getStage, hasStage, getStageIds } = require('../../../shared/stages');
+
+// Registries can grow at runtime, so membership is checked per request
+const gameMode = Joi.string().max(40).custom((value, helpers) => (
+  hasGameMode(value) ? value : helpers.message(`"gameMode" must be a known game mode`)
+));
+const mapId = Joi.string().max(40).custom((value, helpers) => (
+  hasStage(value) ? value : helpers.message(`"mapId" must be a known stage`)
+));
+
+const page = {
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0)
+};
+
+const roomsQuery = Joi.object({
+  gameMode,
+  mapId,
+  hasSlots: Joi.boolean(),
+  ...page
+});
+
+const roomParams = Joi.object({
+  roomId: Joi.string().max(64).required()
+});
+
+const replaysQuery = Joi.object({
+  gameMode,
+  mapId,
+  playerName: Joi.string().trim().max(32),
+  minDuration: Joi.number().integer().min(0),
+  maxDuration: Joi.number().integer().min(0),
+  ...page
+});
+
+// Replay files are found by id substring, so only a real id may get that far
+const replayParams = Joi.object({
+  replayId: Joi.string().guid({ version: 'uuidv4' }).required()
+});
+
+function paginate(items, { limit, offset }) {
+  return {
+    total: items.length,
+    limit,
+    offset,
+    items: items.slice(offset, offset + limit)
+  };
+}
+
+function getStageSummary(stage) {
+  return {
+    id: stage.id,
+    name: stage.name,
+    background: stage.background,
+    platforms: stage.platforms.length,
+    hazards: stage.hazards ? stage.hazards.length : 0,
+    spawnPoints: stage.spawnPoints.length,
+    hasHill: Boolean(stage.hill)
+  };
+}
+
+function gameRoutes(gameManager) {
+  const router = express.Router();
+
+  router.get('/rooms', validate('query', roomsQuery), (req, res) => {
+    const { limit, offset, ...filters } = req.query;
+    const { items, ...pageInfo } = paginate(gameManager.getRoomsList(filters), { limit, offset });
+    res.json({ rooms: items, ...pageInfo });
+  });
+
+  // Private rooms are left out of the list but can be looked up by id, the
+  // same way players join them
+  router.get('/rooms/:roomId', validate('params', roomParams), (req, res) => {
+    const room = gameManager.getRoom(req.params.roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    res.json({ room: room.getPublicInfo() });
+  });
+
+  router.get('/replays', validate('query', replaysQuery), async (req, res, next) => {
+    try {
+      const { limit, offset, ...filters } = req.query;
+      const replays = await gameManager.replaySystem.listReplays(filters);
+      const { items, ...pageInfo } = paginate(replays, { limit, offset });
+      res.json({ replays: items, ...pageInfo });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // The whole recording, decompressed, as a file download
+  router.get('/replays/:replayId', validate('params', replayParams), async (req, res, next) => {
+    const { replayId } = req.params;
+
+    let replay;
+    try {
+      replay = await gameManager.replaySystem.loadReplay(replayId);
+    } catch (error) {
+      if (error.message === 'Replay not found') {
+        return res.status(404).json({ error: 'Replay not found' });
+      }
+      return next(error);
+    }
+
+    res.attachment(`replay-${replayId}.json`);
+    res.json(replay);
+  });
+
+  router.get('/characters', (req, res) => {
+    res.json({ characters: characterRegistry.getRoster() });
+  });
+
+  router.get('/stages', (req, res) => {
+    res.json({ stages: getStageIds().map(id => getStageSummary(getStage(id))) });
+  });
+
+  return router;
+}
+
+module.exports = gameRoutes;
@@ -0,0 +1,75 @@
+const express = require('express');
+const Joi = require('joi');
+const validate = require('./validate');
+const { characterRegistry } = require('../services/CharacterRegistry');
+const { LEADERBOARDS, leaderboardService } = require('../services/LeaderboardService');
+
+const leaderboardParams = Joi.object({
+  board: Joi.string().valid(...LEADERBOARDS).required()
+});
+
+const leaderboardQuery = Joi.object({
+  characterId: Joi.string().max(40).custom((value, helpers) => (
+    characterRegistry.has(value) ? value : helpers.message(`"characterId" must be a known character`)
+  )),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const playerParams = Joi.object({
+  playerId: Joi.string().max(64).required()
+});
+
+function statsRoutes(gameManager) {
+  const router = express.Router();
+
+  router.get('/server', (req, res) => {
+    res.json(gameManager.getServerStats());
+  });
+
+  router.get('/leaderboards', (req, res) => {
+    res.json({ leaderboards: LEADERBOARDS });
+  });
+
+  router.get('/leaderboards/:board',
+    validate('params', leaderboardParams),
+    validate('query', leaderboardQuery),
+    async (req, res, next) => {
+      const { board } = req.params;
+      if (board === 'character' && !req.query.characterId) {
+        return res.status(400).json({ error: '"characterId" is required for the character leaderboard' });
+      }
+
+      try {
+        res.json(await leaderboardService.getLeaderboard(board, req.query));
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // Registered players only; guests have no saved profile
+  router.get('/players/:playerId', validate('params', playerParams), async (req, res, next) => {
+    try {
+      const profile = await leaderboardService.getPlayerProfile(req.params.playerId);
+      if (!profile) {
+        return res.status(404).json({ error: 'Player not found' });
+      }
+      res.json({ player: profile });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/characters', async (req, res, next) => {
+    try {
+      res.json({ characters: await leaderboardService.getCharacterUsage() });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = statsRoutes;
@@ -0,0 +1,14 @@
+// Rejects a bad query string, path or body with a 400; handlers read the
+// converted values back from req[source]
+function validate(source, schema) {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req[source], { stripUnknown: true });
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    req[source] = value;
+    next();
+  };
+}
+
+module.exports = validate;
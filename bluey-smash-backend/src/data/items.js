@@ -0,0 +1,81 @@
+// Items that appear on stages. Which ones spawn, and how often relative to each
+// other, is up to each stage's items.spawnTable (shared/stages); this table says
+// what they do.
+//
+// Toys are picked up with attack, then either used (attack with no direction)
+// or thrown (attack with a direction). Toy fields:
+//   effect        what using it does: { type, ...params }
+//   throwDamage   percent dealt when it hits someone after a throw
+//   throwSpeed    launch speed of a throw
+//   despawnFrames frames it lies on the stage before vanishing
+//
+// Collectibles are scooped up on touch for points. Collectible fields:
+//   value         score awarded
+//   despawnFrames frames it lies on the stage before vanishing
+
+const ITEM_EFFECT_TYPES = ['bounce_boost', 'health_restore', 'flight', 'teleport'];
+
+const TOYS = {
+  keepy_uppy_ball: {
+    effect: { type: 'bounce_boost', power: 10 },
+    throwDamage: 8,
+    throwSpeed: 12,
+    despawnFrames: 900
+  },
+
+  magic_asparagus: {
+    effect: { type: 'health_restore', amount: 50 },
+    throwDamage: 4,
+    throwSpeed: 10,
+    despawnFrames: 600
+  },
+
+  featherwand: {
+    effect: { type: 'flight', duration: 180 },
+    throwDamage: 6,
+    throwSpeed: 11,
+    despawnFrames: 900
+  },
+
+  takeaway_phone: {
+    effect: { type: 'teleport', range: 300 },
+    throwDamage: 10,
+    throwSpeed: 13,
+    despawnFrames: 900
+  }
+};
+
+const COLLECTIBLES = {
+  rainbow: { value: 100, despawnFrames: 600 },
+  creek_treasure: { value: 150, despawnFrames: 600 },
+  dance_sticker: { value: 50, despawnFrames: 900 }
+};
+
+// Room setting itemFrequency -> frames between spawns
+const ITEM_FREQUENCIES = {
+  low: 900,
+  medium: 600,
+  high: 300
+};
+
+// Catch typos in the tables at startup instead of in a match
+for (const [id, toy] of Object.entries(TOYS)) {
+  if (!toy.effect || !ITEM_EFFECT_TYPES.includes(toy.effect.type)) {
+    throw new Error(`Toy ${id} has unknown effect ${toy.effect && toy.effect.type}`);
+  }
+  if (!(toy.throwSpeed > 0) || !(toy.despawnFrames > 0)) {
+    throw new Error(`Toy ${id} needs a positive throwSpeed and despawnFrames`);
+  }
+}
+for (const [id, collectible] of Object.entries(COLLECTIBLES)) {
+  if (!(collectible.despawnFrames > 0)) {
+    throw new Error(`Collectible ${id} needs a positive despawnFrames`);
+  }
+}
+
+module.exports = {
+  ITEM_EFFECT_TYPES,
+  TOYS,
+  COLLECTIBLES,
+  ITEM_FREQUENCIES
+};
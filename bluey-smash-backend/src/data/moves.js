@@ -0,0 +1,232 @@
+// Frame data for every attack. Frames are counted from 1 when the move starts:
+// startup frames come first, then active frames (hitboxes can hit), then
+// recovery frames before the fighter can act again.
+//
+// Hitbox fields:
+//   frames            [first, last] move frames it is out; defaults to the whole active window
+//   offset            centre relative to the fighter, x pointing the way they face
+//   size              { width, height }
+//   damage            percent dealt before the attacker's strength is applied
+//   angle             launch angle in degrees; 0 is forward, 90 straight up, 270 a spike
+//   baseKnockback     launch speed at 0%
+//   knockbackScaling  how much the defender's percent and weight add on top
+//                     (hitstun follows from the resulting launch speed)
+//
+// Moves with `aerial: true` are used in the air and end on landing, followed by
+// `landingLag` frames. Moves with `special: '<direction>'` trigger the ability the
+// character maps to that direction on their first active frame; their hitboxes
+// (and `impulse`, a { x, y } velocity added on that frame) only apply when the
+// character has no ability for it. Moves with `grab: true` catch the first
+// fighter their hitbox touches, shield or not, instead of dealing damage.
+
+const DEFAULT_MOVESET = {
+  jab: {
+    startup: 2,
+    active: 2,
+    recovery: 6,
+    hitboxes: [
+      { offset: { x: 25, y: -10 }, size: { width: 36, height: 24 }, damage: 3, angle: 30, baseKnockback: 2, knockbackScaling: 1 }
+    ]
+  },
+
+  forwardTilt: {
+    startup: 5,
+    active: 3,
+    recovery: 12,
+    hitboxes: [
+      { offset: { x: 35, y: -5 }, size: { width: 50, height: 28 }, damage: 8, angle: 35, baseKnockback: 3, knockbackScaling: 3 }
+    ]
+  },
+
+  upTilt: {
+    startup: 5,
+    active: 4,
+    recovery: 12,
+    hitboxes: [
+      { offset: { x: 5, y: -45 }, size: { width: 50, height: 40 }, damage: 7, angle: 85, baseKnockback: 3, knockbackScaling: 3 }
+    ]
+  },
+
+  downTilt: {
+    startup: 4,
+    active: 3,
+    recovery: 10,
+    hitboxes: [
+      { offset: { x: 30, y: 30 }, size: { width: 50, height: 20 }, damage: 6, angle: 15, baseKnockback: 2, knockbackScaling: 2.5 }
+    ]
+  },
+
+  forwardSmash: {
+    startup: 14,
+    active: 4,
+    recovery: 28,
+    hitboxes: [
+      // Tipper at the end of the swing, weaker close to the body
+      { offset: { x: 55, y: -10 }, size: { width: 36, height: 36 }, damage: 16, angle: 40, baseKnockback: 5, knockbackScaling: 7 },
+      { offset: { x: 25, y: -10 }, size: { width: 30, height: 40 }, damage: 12, angle: 40, baseKnockback: 4, knockbackScaling: 5 }
+    ]
+  },
+
+  upSmash: {
+    startup: 12,
+    active: 6,
+    recovery: 26,
+    hitboxes: [
+      // Arcs from front to back over the head
+      { frames: [13, 15], offset: { x: 25, y: -40 }, size: { width: 40, height: 40 }, damage: 14, angle: 88, baseKnockback: 5, knockbackScaling: 6.5 },
+      { frames: [16, 18], offset: { x: -25, y: -40 }, size: { width: 40, height: 40 }, damage: 13, angle: 92, baseKnockback: 5, knockbackScaling: 6 }
+    ]
+  },
+
+  downSmash: {
+    startup: 10,
+    active: 3,
+    recovery: 26,
+    hitboxes: [
+      // Hits both sides at once
+      { offset: { x: 40, y: 30 }, size: { width: 44, height: 24 }, damage: 13, angle: 20, baseKnockback: 4.5, knockbackScaling: 6 },
+      { offset: { x: -40, y: 30 }, size: { width: 44, height: 24 }, damage: 13, angle: 160, baseKnockback: 4.5, knockbackScaling: 6 }
+    ]
+  },
+
+  neutralAir: {
+    aerial: true,
+    startup: 4,
+    active: 8,
+    recovery: 10,
+    landingLag: 6,
+    hitboxes: [
+      { offset: { x: 0, y: 0 }, size: { width: 70, height: 70 }, damage: 8, angle: 45, baseKnockback: 3, knockbackScaling: 3 }
+    ]
+  },
+
+  forwardAir: {
+    aerial: true,
+    startup: 8,
+    active: 4,
+    recovery: 14,
+    landingLag: 10,
+    hitboxes: [
+      { offset: { x: 35, y: 0 }, size: { width: 50, height: 40 }, damage: 10, angle: 40, baseKnockback: 3.5, knockbackScaling: 4 }
+    ]
+  },
+
+  backAir: {
+    aerial: true,
+    startup: 6,
+    active: 3,
+    recovery: 12,
+    landingLag: 8,
+    hitboxes: [
+      { offset: { x: -35, y: 0 }, size: { width: 44, height: 36 }, damage: 11, angle: 150, baseKnockback: 4, knockbackScaling: 4 }
+    ]
+  },
+
+  upAir: {
+    aerial: true,
+    startup: 5,
+    active: 4,
+    recovery: 12,
+    landingLag: 6,
+    hitboxes: [
+      { offset: { x: 0, y: -45 }, size: { width: 56, height: 36 }, damage: 8, angle: 85, baseKnockback: 3, knockbackScaling: 3.5 }
+    ]
+  },
+
+  downAir: {
+    aerial: true,
+    startup: 10,
+    active: 4,
+    recovery: 18,
+    landingLag: 14,
+    hitboxes: [
+      { offset: { x: 0, y: 45 }, size: { width: 40, height: 36 }, damage: 12, angle: 270, baseKnockback: 3, knockbackScaling: 4 }
+    ]
+  },
+
+  neutralSpecial: {
+    special: 'neutral',
+    startup: 10,
+    active: 2,
+    recovery: 20,
+    hitboxes: [
+      { offset: { x: 40, y: -5 }, size: { width: 60, height: 80 }, damage: 14, angle: 25, baseKnockback: 4.5, knockbackScaling: 5 }
+    ]
+  },
+
+  sideSpecial: {
+    special: 'side',
+    startup: 8,
+    active: 4,
+    recovery: 18,
+    impulse: { x: 7, y: 0 },
+    hitboxes: [
+      { offset: { x: 30, y: 0 }, size: { width: 50, height: 50 }, damage: 9, angle: 30, baseKnockback: 3.5, knockbackScaling: 4 }
+    ]
+  },
+
+  upSpecial: {
+    special: 'up',
+    startup: 4,
+    active: 6,
+    recovery: 24,
+    impulse: { x: 2, y: -13 },
+    hitboxes: [
+      { offset: { x: 0, y: -30 }, size: { width: 50, height: 60 }, damage: 6, angle: 80, baseKnockback: 3, knockbackScaling: 3 }
+    ]
+  },
+
+  downSpecial: {
+    special: 'down',
+    startup: 8,
+    active: 3,
+    recovery: 22,
+    hitboxes: [
+      { offset: { x: 0, y: 30 }, size: { width: 90, height: 30 }, damage: 10, angle: 60, baseKnockback: 4, knockbackScaling: 4 }
+    ]
+  },
+
+  // Comes out of the attack get-up, once the fighter is back on the stage
+  ledgeAttack: {
+    startup: 4,
+    active: 3,
+    recovery: 16,
+    hitboxes: [
+      { offset: { x: 30, y: -10 }, size: { width: 60, height: 30 }, damage: 9, angle: 30, baseKnockback: 3.5, knockbackScaling: 3 }
+    ]
+  },
+
+  // Attack from shield. Long recovery when it whiffs, so it's punishable
+  grab: {
+    grab: true,
+    startup: 6,
+    active: 2,
+    recovery: 30,
+    hitboxes: [
+      { offset: { x: 30, y: 0 }, size: { width: 40, height: 50 }, damage: 0, angle: 0, baseKnockback: 0, knockbackScaling: 0 }
+    ]
+  }
+};
+
+// Follow-ups from a held grab. Attack pummels; a direction throws, forward or
+// back relative to the way the thrower faces. Angles work like hitbox angles.
+const PUMMEL = { damage: 2, cooldown: 14 };
+
+const THROWS = {
+  forward: { damage: 8, angle: 40, baseKnockback: 4, knockbackScaling: 3 },
+  back: { damage: 10, angle: 45, baseKnockback: 4.5, knockbackScaling: 3.5 },
+  up: { damage: 7, angle: 88, baseKnockback: 4, knockbackScaling: 3 },
+  down: { damage: 6, angle: 70, baseKnockback: 3, knockbackScaling: 2.5 }
+};
+
+// Character movesets start from the defaults and replace individual moves
+function buildMoveset(overrides = {}) {
+  return { ...DEFAULT_MOVESET, ...overrides };
+}
+
+module.exports = {
+  DEFAULT_MOVESET,
+  PUMMEL,
+  THROWS,
+  buildMoveset
+};
@@ -0,0 +1,35 @@
+// Rank tiers by skill rating (rating minus twice the deviation, so a rating
+// the system is unsure of counts for less), highest first. Players stay
+// Unranked until they finish their placement matches.
+
+const PLACEMENT_MATCHES = 5;
+const UNRANKED = 'Unranked';
+const RATING_PERIOD_MS = 24 * 60 * 60 * 1000; // Each idle day widens the deviation
+
+const RANK_TIERS = [
+  { name: 'Diamond', minRating: 1800 },
+  { name: 'Platinum', minRating: 1600 },
+  { name: 'Gold', minRating: 1400 },
+  { name: 'Silver', minRating: 1200 },
+  { name: 'Bronze', minRating: -Infinity }
+];
+
+// Catch a mis-ordered table at startup instead of ranking everyone Bronze
+RANK_TIERS.forEach((tier, index) => {
+  if (index > 0 && tier.minRating >= RANK_TIERS[index - 1].minRating) {
+    throw new Error(`Rank tier ${tier.name} must have a lower minRating than ${RANK_TIERS[index - 1].name}`);
+  }
+});
+
+function getRankTier(skillRating, ratedGames) {
+  if (ratedGames < PLACEMENT_MATCHES) return UNRANKED;
+  return RANK_TIERS.find(tier => skillRating >= tier.minRating).name;
+}
+
+module.exports = {
+  PLACEMENT_MATCHES,
+  UNRANKED,
+  RATING_PERIOD_MS,
+  RANK_TIERS,
+  getRankTier
+};
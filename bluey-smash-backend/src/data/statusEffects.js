@@ -0,0 +1,90 @@
+// Status effects players can carry. Each effect is built from typed parts that
+// the simulation knows how to apply:
+//
+//   stun             can't act (like hitstun, but from an ability)
+//   speed            multiplier on run acceleration
+//   damage           multiplier on damage dealt
+//   invisibility     hidden from other players' clients
+//   flight           gravity is cancelled; up/down fly instead
+//   invulnerability  can't be hit
+//   counter          the next hit taken is turned back on the attacker
+//
+// Effect fields:
+//   duration     frames it lasts
+//   types        { <type>: true | multiplier }
+//   stacking     what re-applying it does while it is active:
+//                  refresh  restart the duration (default)
+//                  extend   add the duration on top, up to maxDuration
+//                  stack    add a stack, up to maxStacks; multipliers compound per stack
+//                  ignore   keep the running one untouched
+//   maxDuration  cap for 'extend'
+//   maxStacks    cap for 'stack'
+
+const EFFECT_TYPES = ['stun', 'speed', 'damage', 'invisibility', 'flight', 'invulnerability', 'counter'];
+const STACKING_RULES = ['refresh', 'extend', 'stack', 'ignore'];
+
+const STATUS_EFFECTS = {
+  stunned: {
+    duration: 120,
+    types: { stun: true },
+    stacking: 'ignore'
+  },
+
+  shield_broken: {
+    duration: 240,
+    types: { stun: true },
+    stacking: 'ignore'
+  },
+
+  shadowlands: {
+    duration: 180,
+    types: { invisibility: true, speed: 1.5 },
+    stacking: 'refresh'
+  },
+
+  magic_boost: {
+    duration: 300,
+    types: { damage: 1.5 },
+    stacking: 'refresh'
+  },
+
+  meditation: {
+    duration: 30,
+    types: { counter: true },
+    stacking: 'ignore'
+  },
+
+  flight: {
+    duration: 180,
+    types: { flight: true },
+    stacking: 'extend',
+    maxDuration: 360
+  },
+
+  respawn_shield: {
+    duration: 120,
+    types: { invulnerability: true },
+    stacking: 'refresh'
+  }
+};
+
+// Catch typos in the table at startup instead of in a match
+for (const [id, effect] of Object.entries(STATUS_EFFECTS)) {
+  if (!(effect.duration > 0)) {
+    throw new Error(`Status effect ${id} needs a positive duration`);
+  }
+  if (!STACKING_RULES.includes(effect.stacking)) {
+    throw new Error(`Status effect ${id} has unknown stacking rule ${effect.stacking}`);
+  }
+  for (const type of Object.keys(effect.types)) {
+    if (!EFFECT_TYPES.includes(type)) {
+      throw new Error(`Status effect ${id} has unknown type ${type}`);
+    }
+  }
+}
+
+module.exports = {
+  EFFECT_TYPES,
+  STACKING_RULES,
+  STATUS_EFFECTS
+};
@@ -0,0 +1,21 @@
+// Teams for team battles, in the order auto-balance fills them. Rooms use the
+// first settings.teamCount of them.
+
+const TEAMS = {
+  red: { name: 'Red Team', color: '#E8554E' },
+  blue: { name: 'Blue Team', color: '#4A90D9' },
+  green: { name: 'Green Team', color: '#5CB85C' },
+  yellow: { name: 'Yellow Team', color: '#F2C230' }
+};
+
+const TEAM_IDS = Object.keys(TEAMS);
+
+function getTeamColor(teamId) {
+  return TEAMS[teamId] ? TEAMS[teamId].color : null;
+}
+
+module.exports = {
+  TEAMS,
+  TEAM_IDS,
+  getTeamColor
+};
@@ -1,4 +1,19 @@
 const { logger } = require('../utils/logger');
+const { SeededRandom } = require('../utils/random');
+const {
+  DEFAULT_PHYSICS,
+  quantize,
+  quantizeMotion,
+  applyMovementInput,
+  stepMovement
+} = require('../../../shared/movement');
+const { buildMoveset, PUMMEL, THROWS } = require('../data/moves');
+const { STATUS_EFFECTS } = require('../data/statusEffects');
+const { TOYS, COLLECTIBLES, ITEM_FREQUENCIES } = require('../data/items');
+const { characterRegistry } = require('../services/CharacterRegistry');
+const { getStage, getLedges } = require('../../../shared/stages');
+const { computeStateChecksum } = require('../../../shared/checksum');
+const { getGameMode } = require('../modes');
 
 class GameState {
   constructor() {
@@ -6,9 +21,28 @@ class GameState {
     this.players = new Map();
     this.entities = new Map(); // Items, projectiles, etc.
     this.map = null;
+    this.ledges = []; // Derived from the map's platforms
     this.settings = {};
+    this.mode = getGameMode(); // Match rules; see modes/index.js
     this.frame = 0;
-    this.lastUpdate = Date.now();
+    
+    // Deterministic simulation: fixed step, seeded PRNG, counter-based IDs
+    this.tickRate = 60;
+    this.frameDuration = 1000 / this.tickRate;
+    this.seed = 0;
+    this.random = new SeededRandom(this.seed);
+    this.nextEntityId = 1;
+    this.nextItemSpawnFrame = null; // Frame the item spawner next fires; null while items are off
+    this.suddenDeath = null; // { startFrame, players } scheduled by the room; kept out of snapshots so resimulation replays it
+    
+    // Lag compensation: end-of-frame player positions for rewinding hit checks
+    this.positionHistory = new Array(60).fill(null); // frame % length -> { frame, positions }
+    this.maxRewindFrames = 12; // 200ms at 60Hz
+    this.rewindLog = []; // Rewound attacks awaiting anti-cheat review
+    this.statusEventLog = []; // Status effect changes awaiting broadcast and replay recording
+    
+    // Frame data per player (socketId -> moveset); kept out of player state so snapshots stay small
+    this.movesets = new Map();
     
     // Bluey-specific game elements
     this.gameElements = {
@@ -18,25 +52,50 @@ class GameState {
       collectibles: new Map() // Keepy-uppy balls, etc.
     };
     
-    // Physics constants
-    this.physics = {
-      gravity: 0.8,
-      friction: 0.85,
-      airResistance: 0.98,
-      maxFallSpeed: 15,
-      groundLevel: 400,
-      stageWidth: 1200,
-      stageHeight: 600
-    };
+    // Physics constants (shared with client-side prediction)
+    this.physics = { ...DEFAULT_PHYSICS };
     
     // Game mechanics
     this.mechanics = {
-      shieldDuration: 180, // frames
-      dodgeDuration: 20,
-      attackCooldown: 15,
+      shieldMax: 50, // Shield health
+      shieldDepletion: 0.15, // Shield health lost per frame held
+      shieldRegen: 0.08, // Shield health regained per frame down
+      shieldBreakReset: 30, // Shield health after recovering from a break
+      shieldstunPerDamage: 0.8, // Frames stuck in shield per point of damage blocked
+      shieldPushback: 0.3, // Slide per point of damage blocked
+      // Dodges: total frames, the [first, last] frames that can't be hit, and travel speed
+      dodges: {
+        spot: { duration: 22, intangible: [3, 17] },
+        roll: { duration: 30, intangible: [4, 19], speed: 9 },
+        air: { duration: 40, intangible: [3, 29], speed: 9, landingLag: 10 }
+      },
+      grabHoldFrames: 60, // How long a grab holds at 0%
+      grabHoldPerPercent: 0.5, // Extra hold frames per percent on the grabbed fighter
+      grabMashFrames: 3, // Hold frames each button press knocks off for the grabbed fighter
+      grabOffset: 30, // Distance the grabbed fighter is held in front
+      ledgeInvincibility: 60, // Frames of invincibility on the first ledge grab since landing
+      maxLedgeGrabs: 4, // Ledge grabs allowed per trip off the stage
+      ledgeHangFrames: 300, // Hanging longer than this lets go
+      ledgeActionableFrames: 8, // Frames after grabbing before a get-up can be chosen
+      ledgeRegrabCooldown: 30, // Frames after letting go before a ledge catches again
+      ledgeJumpSpeed: 1.3, // Ledge jump height, relative to agility
+      // Get-ups: total frames, the [first, last] frames that can't be hit, and how far onto the stage they end
+      ledgeGetups: {
+        normal: { duration: 20, intangible: [1, 16], distance: 30 },
+        roll: { duration: 30, intangible: [1, 24], distance: 120 },
+        attack: { duration: 12, intangible: [1, 12], distance: 30 }
+      },
       comboWindow: 30,
-      invulnerabilityFrames: 60,
-      respawnTime: 180
+      respawnTime: 180,
+      knockbackGrowth: 1 / 60, // Converts the percent/weight term into launch speed
+      hitstunPerKnockback: 3, // Frames of hitstun per unit of launch speed
+      lastHitWindow: 300, // Frames a hit still earns credit for the KO
+      maxItems: 4, // Items on the stage at once before the spawner waits
+      itemPickupRange: 50,
+      itemThrowKnockback: { angle: 40, base: 3, scaling: 1.5 },
+      suddenDeathDamage: 300, // Percent every fighter in sudden death starts at
+      suddenDeathShrinkDelay: 300, // Frames of sudden death before the blast zones close in
+      suddenDeathShrinkRate: 1 // Distance each blast zone moves inwards per frame after that
     };
   }
 
@@ -47,31 +106,48 @@ class GameState {
     this.gameElements.collectibles.clear();
     
     this.settings = config.settings;
+    this.mode = getGameMode(config.gameMode);
     this.map = this.loadMap(config.mapId);
+    this.ledges = getLedges(this.map);
     this.frame = 0;
-    this.lastUpdate = Date.now();
+    this.tickRate = config.tickRate || 60;
+    this.frameDuration = 1000 / this.tickRate;
+    this.seed = config.seed >>> 0;
+    this.random = new SeededRandom(this.seed);
+    this.nextEntityId = 1;
+    this.nextItemSpawnFrame = null;
+    this.suddenDeath = null;
+    this.positionHistory.fill(null);
+    this.rewindLog = [];
+    this.statusEventLog = [];
+    this.movesets.clear();
+    if (config.maxRewindFrames !== undefined) {
+      this.maxRewindFrames = Math.min(config.maxRewindFrames, this.positionHistory.length - 1);
+    }
     
     // Initialize players
     for (const player of config.players) {
-      this.initializePlayer(player, config.characters);
+      this.initializePlayer(player);
     }
+    this.mode.setup?.(this);
     
     // Initialize map-specific elements
-    this.initializeMapElements(config.mapId);
+    this.initializeMapElements();
     
     this.initialized = true;
-    logger.info(`🎮 Game state initialized for ${this.players.size} players on ${config.mapId}`);
+    logger.info(`🎮 Game state initialized for ${this.players.size} players on ${config.mapId} (seed ${this.seed})`);
   }
 
-  initializePlayer(player, characters) {
+  initializePlayer(player) {
     const spawnPoint = this.getSpawnPoint(this.players.size);
-    const character = characters[player.character] || characters['bluey'];
+    const character = characterRegistry.get(player.character) || characterRegistry.getDefault();
     
     const playerState = {
       id: player.id,
       socketId: player.socketId,
       username: player.username,
-      character: player.character,
+      character: character.id,
+      team: this.settings.teamMode ? player.team || null : null,
       
       // Position and movement
       position: { x: spawnPoint.x, y: spawnPoint.y },
@@ -87,25 +163,49 @@ class GameState {
       isJumping: false,
       isRespawning: false,
       
-      // Game stats
-      health: 100,
+      // Game stats (damage is a percent with no cap; KOs come from the blast zones)
       lives: this.settings.stockLives || 3,
       score: 0,
       knockouts: 0,
       deaths: 0,
       damage: 0,
+      damageDealt: 0, // Match totals, for results and profiles
+      damageTaken: 0,
       combo: 0,
+      lastHitBy: null, // { socketId, frame } of the latest hit, for KO credit
+      
+      // Defense
+      shieldHealth: this.mechanics.shieldMax,
+      dodge: null, // { type, frame, direction } while dodging
+      airDodgeUsed: false, // One air dodge per trip off the ground
+      grab: null, // { target, holdFrames, pummelCooldown } while holding someone
+      grabbedBy: null, // socketId of whoever is holding this fighter
+      
+      // Ledges and recovery
+      ledge: null, // { id, frame, intangibleFrames, getup, getupFrame } while hanging or climbing
+      ledgeGrabs: 0, // Ledge grabs since last landing
+      ledgeCooldown: 0,
+      recovery: character.recovery, // { midairJumps, upSpecials } per trip off the ground
+      jumpsLeft: character.recovery.midairJumps,
+      upSpecialsLeft: character.recovery.upSpecials,
       
       // Frame counters
-      shieldFrames: 0,
-      dodgeFrames: 0,
-      attackFrames: 0,
-      invulnerabilityFrames: 0,
+      shieldstunFrames: 0,
       respawnFrames: 0,
+      hitstunFrames: 0,
+      landingLagFrames: 0,
+      
+      // Move in progress: { id, frame, hitPlayers, abilityUsed }
+      move: null,
+      
+      // Toy being carried (toy id)
+      heldItem: null,
       
       // Character-specific
       characterStats: character.stats,
       abilities: character.abilities,
+      specials: character.specials,
+      hurtbox: character.hurtbox,
       
       // Input state
       inputState: {
@@ -119,8 +219,15 @@ class GameState {
         dodge: false
       },
       
-      // Last confirmed input frame
+      // Last frame's input, for detecting presses
+      previousInput: {},
+      
+      // Last confirmed input frame, and the client's sequence number for it
       lastInputFrame: 0,
+      lastInputSequence: 0,
+      
+      // Server frame the client was displaying when it sent that input
+      viewFrame: null,
       
       // Animation
       animation: 'idle',
@@ -135,204 +242,138 @@ class GameState {
     };
     
     this.players.set(player.socketId, playerState);
+    this.movesets.set(player.socketId, buildMoveset(character.moves));
   }
 
   getSpawnPoint(playerIndex) {
-    // Spawn points for different maps
-    const spawnPoints = {
-      backyard: [
-        { x: 200, y: 300 },
-        { x: 1000, y: 300 },
-        { x: 400, y: 300 },
-        { x: 800, y: 300 },
-        { x: 100, y: 300 },
-        { x: 1100, y: 300 },
-        { x: 300, y: 200 },
-        { x: 900, y: 200 }
-      ],
-      playground: [
-        { x: 150, y: 350 },
-        { x: 1050, y: 350 },
-        { x: 350, y: 250 },
-        { x: 850, y: 250 },
-        { x: 250, y: 450 },
-        { x: 950, y: 450 },
-        { x: 500, y: 150 },
-        { x: 700, y: 150 }
-      ],
-      creek: [
-        { x: 100, y: 400 },
-        { x: 1100, y: 400 },
-        { x: 300, y: 300 },
-        { x: 900, y: 300 },
-        { x: 500, y: 200 },
-        { x: 700, y: 200 },
-        { x: 200, y: 500 },
-        { x: 1000, y: 500 }
-      ]
-    };
-    
-    const points = spawnPoints[this.map?.id] || spawnPoints.backyard;
+    const points = this.map.spawnPoints;
     return points[playerIndex % points.length];
   }
 
   loadMap(mapId) {
-    const maps = {
-      backyard: {
-        id: 'backyard',
-        name: 'Heeler Family Backyard',
-        platforms: [
-          // Main ground
-          { x: 0, y: 450, width: 1200, height: 150, type: 'solid' },
-          // Deck
-          { x: 100, y: 350, width: 200, height: 20, type: 'platform' },
-          // Trampoline
-          { x: 500, y: 400, width: 200, height: 50, type: 'bouncy' },
-          // Tree platform
-          { x: 900, y: 250, width: 150, height: 20, type: 'platform' }
-        ],
-        hazards: [],
-        blueyElements: [
-          { type: 'swing', x: 300, y: 200 },
-          { type: 'sandpit', x: 700, y: 420 },
-          { type: 'fort', x: 950, y: 200 }
-        ]
-      },
-      playground: {
-        id: 'playground',
-        name: 'Local Playground',
-        platforms: [
-          { x: 0, y: 500, width: 1200, height: 100, type: 'solid' },
-          { x: 200, y: 400, width: 150, height: 20, type: 'platform' },
-          { x: 450, y: 300, width: 300, height: 20, type: 'platform' },
-          { x: 850, y: 400, width: 150, height: 20, type: 'platform' }
-        ],
-        hazards: [
-          { type: 'slide', x: 100, y: 300, width: 100, height: 200 }
-        ],
-        blueyElements: [
-          { type: 'monkey_bars', x: 450, y: 250 },
-          { type: 'slide', x: 100, y: 300 },
-          { type: 'roundabout', x: 600, y: 480 }
-        ]
-      },
-      creek: {
-        id: 'creek',
-        name: 'The Creek',
-        platforms: [
-          { x: 0, y: 550, width: 400, height: 50, type: 'solid' },
-          { x: 500, y: 580, width: 200, height: 20, type: 'platform' },
-          { x: 800, y: 550, width: 400, height: 50, type: 'solid' },
-          { x: 200, y: 450, width: 100, height: 20, type: 'platform' },
-          { x: 900, y: 450, width: 100, height: 20, type: 'platform' }
-        ],
-        hazards: [
-          { type: 'water', x: 400, y: 550, width: 400, height: 50 }
-        ],
-        blueyElements: [
-          { type: 'log_bridge', x: 450, y: 530 },
-          { type: 'rope_swing', x: 600, y: 400 },
-          { type: 'rock_pile', x: 300, y: 500 }
-        ]
-      }
-    };
-    
-    return maps[mapId] || maps.backyard;
+    // Copied so nothing in a match can alter the shared definition
+    return structuredClone(getStage(mapId));
   }
 
-  initializeMapElements(mapId) {
-    // Initialize Bluey-specific interactive elements
-    switch (mapId) {
-      case 'backyard':
-        this.addToy('keepy_uppy_ball', { x: 600, y: 300 });
-        this.addToy('magic_asparagus', { x: 800, y: 200 });
-        break;
-      case 'playground':
-        this.addToy('featherwand', { x: 600, y: 250 });
-        this.addCollectible('rainbow', { x: 300, y: 350 });
-        break;
-      case 'creek':
-        this.addToy('takeaway_phone', { x: 500, y: 400 });
-        this.addCollectible('creek_treasure', { x: 600, y: 530 });
-        break;
+  initializeMapElements() {
+    // Items off means an empty stage, starting toys included
+    if (!this.settings.itemsEnabled) return;
+    
+    // Place the stage's starting toys and collectibles
+    for (const item of this.map.items?.initial || []) {
+      this.spawnItem(item.kind, item.type, item.position);
     }
+    this.nextItemSpawnFrame = this.getNextItemSpawnFrame();
+  }
+
+  spawnItem(kind, type, position) {
+    return kind === 'toy' ? this.addToy(type, position) : this.addCollectible(type, position);
   }
 
   addToy(toyType, position) {
-    const toyId = `${toyType}_${Date.now()}`;
+    const definition = TOYS[toyType];
+    if (!definition) return null;
+    
+    const toyId = `${toyType}_${this.generateEntityId()}`;
     const toy = {
       id: toyId,
       type: toyType,
       position: { ...position },
       velocity: { x: 0, y: 0 },
-      active: true,
-      respawnTime: 300, // frames until respawn
-      effect: this.getToyEffect(toyType)
+      state: 'resting', // resting, held, thrown or falling (dropped)
+      holder: null, // socketId while held
+      thrower: null, // socketId while thrown
+      despawnFrames: definition.despawnFrames,
+      effect: { ...definition.effect }
     };
     
     this.gameElements.toys.set(toyId, toy);
+    return toy;
   }
 
   addCollectible(type, position) {
-    const collectibleId = `${type}_${Date.now()}`;
+    const definition = COLLECTIBLES[type];
+    if (!definition) return null;
+    
+    const collectibleId = `${type}_${this.generateEntityId()}`;
     const collectible = {
       id: collectibleId,
       type,
       position: { ...position },
-      value: this.getCollectibleValue(type),
+      value: definition.value,
+      despawnFrames: definition.despawnFrames,
       collected: false
     };
     
     this.gameElements.collectibles.set(collectibleId, collectible);
+    return collectible;
   }
 
-  getToyEffect(toyType) {
-    const effects = {
-      keepy_uppy_ball: { type: 'bounce_boost', power: 2.0, duration: 300 },
-      magic_asparagus: { type: 'health_restore', amount: 50 },
-      featherwand: { type: 'flight', duration: 180 },
-      takeaway_phone: { type: 'teleport', range: 300 }
-    };
-    
-    return effects[toyType] || { type: 'none' };
+  generateEntityId() {
+    return this.nextEntityId++;
   }
 
-  getCollectibleValue(type) {
-    const values = {
-      rainbow: 100,
-      creek_treasure: 150,
-      dance_sticker: 50
-    };
-    
-    return values[type] || 10;
+  quantize(value) {
+    return quantize(value, this.physics.precision);
   }
 
-  // Main game tick
+  quantizeMotion(body) {
+    quantizeMotion(body, this.physics.precision);
+  }
+
+  // Main game tick - always advances exactly one fixed step
   tick(frame) {
     this.frame = frame;
-    const deltaTime = Date.now() - this.lastUpdate;
-    this.lastUpdate = Date.now();
+    const deltaTime = this.frameDuration;
+    
+    if (this.suddenDeath && frame === this.suddenDeath.startFrame) {
+      this.beginSuddenDeath();
+    }
     
-    // Update all players
+    // Update all players (Map order is join order, which is identical everywhere)
     for (const player of this.players.values()) {
       this.updatePlayer(player, deltaTime);
     }
     
-    // Update toys and collectibles
+    // Spawn, carry, throw and despawn items
+    this.updateItemSpawner();
     this.updateToys(deltaTime);
     this.updateCollectibles(deltaTime);
     
-    // Check collisions
-    this.checkCollisions();
+    // The game mode's own rules (hill scoring, coin drops, ...)
+    this.mode.tick?.(this);
     
     // Update entities (projectiles, effects)
     this.updateEntities(deltaTime);
     
-    // Clean up expired elements
+    // Tick status effects, then clean up expired elements
+    this.tickStatusEffects();
     this.cleanup();
+    
+    this.recordPositions();
+  }
+
+  recordPositions() {
+    const positions = new Map();
+    for (const player of this.players.values()) {
+      positions.set(player.socketId, { ...player.position });
+    }
+    this.positionHistory[this.frame % this.positionHistory.length] = { frame: this.frame, positions };
+  }
+
+  // Where a player stood at the end of the given frame, or now if that frame is gone
+  getPositionAt(player, frame) {
+    const entry = this.positionHistory[frame % this.positionHistory.length];
+    if (entry && entry.frame === frame && entry.positions.has(player.socketId)) {
+      return entry.positions.get(player.socketId);
+    }
+    return player.position;
   }
 
   updatePlayer(player, deltaTime) {
+    // Eliminated fighters (and anyone sitting out sudden death) are out of play
+    if (player.eliminated) return;
+    
     if (player.isRespawning) {
       player.respawnFrames--;
       if (player.respawnFrames <= 0) {
@@ -342,22 +383,81 @@ class GameState {
     }
     
     // Update frame counters
-    if (player.shieldFrames > 0) player.shieldFrames--;
-    if (player.dodgeFrames > 0) player.dodgeFrames--;
-    if (player.attackFrames > 0) player.attackFrames--;
-    if (player.invulnerabilityFrames > 0) player.invulnerabilityFrames--;
+    if (player.hitstunFrames > 0) player.hitstunFrames--;
+    if (player.landingLagFrames > 0) player.landingLagFrames--;
+    if (player.ledgeCooldown > 0) player.ledgeCooldown--;
+    
+    // Held fighters can only mash; the grabber places them each frame
+    if (player.grabbedBy) {
+      this.mashGrab(player);
+      player.previousInput = { ...player.inputState };
+      this.updatePlayerAnimation(player);
+      return;
+    }
     
-    // Update state flags
-    player.isShielding = player.shieldFrames > 0;
-    player.isDodging = player.dodgeFrames > 0;
-    player.isAttacking = player.attackFrames > 0;
+    // Hanging fighters stay put until they pick a get-up
+    if (player.ledge) {
+      this.updateLedge(player);
+      player.previousInput = { ...player.inputState };
+      this.updatePlayerAnimation(player);
+      return;
+    }
+    
+    // Apply input; fighters in hitstun, shieldstun, landing lag or stunned can't
+    // act. Shieldstun keeps the shield up.
+    if (player.shieldstunFrames > 0) {
+      player.shieldstunFrames--;
+      player.acceleration.x = 0;
+    } else if (player.hitstunFrames > 0 || player.landingLagFrames > 0 || this.hasStatusType(player, 'stun')) {
+      player.acceleration.x = 0;
+      player.isShielding = false;
+    } else {
+      this.applyPlayerInput(player);
+    }
+    player.previousInput = { ...player.inputState };
+    this.updateShield(player);
+    
+    // Advance the current move, which may put hitboxes out this frame
+    if (player.move) {
+      this.updateMove(player);
+    }
+    player.isAttacking = player.move !== null;
+    
+    if (player.dodge) {
+      this.updateDodge(player);
+    }
+    player.isDodging = player.dodge !== null;
+    
+    if (player.grab) {
+      this.updateGrab(player);
+    }
     
-    // Apply input
-    this.applyPlayerInput(player);
+    // Flying fighters steer vertically instead of falling, unless they've been launched
+    if (player.hitstunFrames === 0 && this.hasStatusType(player, 'flight')) {
+      this.applyFlight(player);
+    }
     
     // Apply physics
     this.applyPhysics(player);
     
+    // Aerials and air dodges end when the fighter lands
+    if (player.move && player.isGrounded && this.getMoveDefinition(player, player.move.id).aerial) {
+      this.landDuringMove(player);
+    }
+    if (player.isGrounded) {
+      this.landDuringAirDodge(player);
+      this.refillRecovery(player);
+      player.ledgeGrabs = 0;
+    } else {
+      this.checkLedgeGrab(player);
+    }
+    
+    // Leaving the blast zones is the only way to lose a stock
+    if (this.isOutsideBlastZones(player)) {
+      this.knockoutPlayer(player, this.getKnockoutCredit(player));
+      return;
+    }
+    
     // Update animation
     this.updatePlayerAnimation(player);
     
@@ -369,89 +469,249 @@ class GameState {
 
   applyPlayerInput(player) {
     const input = player.inputState;
-    const stats = player.characterStats;
-    
-    // Horizontal movement
-    if (input.left && !input.right) {
-      player.acceleration.x = -stats.speed * 0.5;
-      player.facing = 'left';
-    } else if (input.right && !input.left) {
-      player.acceleration.x = stats.speed * 0.5;
-      player.facing = 'right';
-    } else {
+    const currentMove = player.move && this.getMoveDefinition(player, player.move.id);
+    const pressed = button => input[button] && !player.previousInput[button];
+    const attackPressed = !player.move && pressed('attack');
+    const specialPressed = !player.move && pressed('special');
+    
+    // A fighter holding someone can only pummel or throw
+    if (player.grab) {
       player.acceleration.x = 0;
+      this.applyGrabInput(player, pressed);
+      return;
     }
     
-    // Jumping
-    if (input.up && player.isGrounded && !player.isJumping) {
-      player.velocity.y = -stats.agility * 1.2;
-      player.isJumping = true;
-      player.isGrounded = false;
+    // Shield is up while held on the ground and there's shield left
+    player.isShielding = Boolean(input.shield) && player.isGrounded && !player.move && !player.dodge &&
+      player.shieldHealth > 0;
+    
+    // Running and jumping follow the shared rules the client predicts with.
+    // Grounded moves, dodges and shields root the fighter (shields can still
+    // jump out); aerials keep their drift. Up held while attacking means an up
+    // tilt, smash or special rather than a jump.
+    if ((currentMove && !currentMove.aerial) || (player.dodge && player.dodge.type !== 'air')) {
+      player.acceleration.x = 0;
+    } else if (player.isShielding) {
+      applyMovementInput(player, { ...input, left: false, right: false }, this.getMovementStats(player),
+        player.previousInput);
+    } else {
+      const movementInput = attackPressed || specialPressed ? { ...input, up: false } : input;
+      applyMovementInput(player, movementInput, this.getMovementStats(player), player.previousInput);
     }
     
-    // Shielding
-    if (input.shield && player.shieldFrames === 0 && !player.isDodging) {
-      player.shieldFrames = this.mechanics.shieldDuration;
+    // Nothing else can start until the current move or dodge is over
+    if (player.move || player.dodge) return;
+    
+    // Dodging, from shield or on its own
+    if (pressed('dodge') && this.startDodge(player, input)) return;
+    
+    // Attack out of shield is a grab
+    if (player.isShielding) {
+      if (attackPressed) {
+        player.isShielding = false;
+        this.startMove(player, 'grab');
+      }
+      return;
     }
     
-    // Dodging
-    if (input.dodge && player.dodgeFrames === 0 && !player.isShielding) {
-      player.dodgeFrames = this.mechanics.dodgeDuration;
-      player.invulnerabilityFrames = this.mechanics.dodgeDuration;
+    // Attacking (on press, not while held)
+    if (attackPressed && this.handleItemInput(player, input)) return;
+    
+    if (attackPressed) {
+      this.startMove(player, this.selectAttack(player, input, pressed));
+    } else if (specialPressed && player.blueyMeter >= 25) {
+      const special = this.selectSpecial(player, input);
+      
+      // Up specials in the air come out of the recovery budget
+      if (special === 'upSpecial' && !player.isGrounded) {
+        if (player.upSpecialsLeft <= 0) return;
+        player.upSpecialsLeft--;
+      }
       
-      // Dodge movement
-      const dodgeForce = player.facing === 'right' ? 8 : -8;
-      player.velocity.x += dodgeForce;
+      player.blueyMeter -= 25;
+      this.startMove(player, special);
+    }
+  }
+
+  // Specials go by the held direction; side is either way, like side specials in Smash
+  selectSpecial(player, input) {
+    if (input.up) return 'upSpecial';
+    if (input.down) return 'downSpecial';
+    if (input.left || input.right) return 'sideSpecial';
+    return 'neutralSpecial';
+  }
+
+  // Picks the normal for the current stick direction. A direction pressed on the
+  // same frame as attack is a smash; a held direction is a tilt.
+  selectAttack(player, input, pressed) {
+    const direction = input.up ? 'up' : input.down ? 'down' : (input.left || input.right) ? 'side' : null;
+    
+    if (!player.isGrounded) {
+      if (direction === 'up') return 'upAir';
+      if (direction === 'down') return 'downAir';
+      if (direction === 'side') {
+        const towardsFacing = player.facing === 'right' ? input.right : input.left;
+        return towardsFacing ? 'forwardAir' : 'backAir';
+      }
+      return 'neutralAir';
+    }
+    
+    const smash = pressed('left') || pressed('right') || pressed('up') || pressed('down');
+    switch (direction) {
+      case 'up':
+        return smash ? 'upSmash' : 'upTilt';
+      case 'down':
+        return smash ? 'downSmash' : 'downTilt';
+      case 'side':
+        return smash ? 'forwardSmash' : 'forwardTilt';
+      default:
+        return 'jab';
     }
+  }
+
+  // Move system
+  getMoveDefinition(player, moveId) {
+    const moveset = this.movesets.get(player.socketId);
+    return moveset ? moveset[moveId] || null : null;
+  }
+
+  startMove(player, moveId) {
+    if (!this.getMoveDefinition(player, moveId)) return false;
+    
+    // Attacking drops the shield
+    player.isShielding = false;
+    player.move = { id: moveId, frame: 0, hitPlayers: [], abilityUsed: false };
+    return true;
+  }
+
+  updateMove(player) {
+    const state = player.move;
+    const move = this.getMoveDefinition(player, state.id);
+    state.frame++;
     
-    // Attacking
-    if (input.attack && player.attackFrames === 0) {
-      this.executeAttack(player, 'basic');
+    const firstActive = move.startup + 1;
+    const lastActive = move.startup + move.active;
+    
+    if (state.frame >= firstActive && state.frame <= lastActive) {
+      if (move.special && state.frame === firstActive) {
+        state.abilityUsed = this.executeSpecialAttack(player, move.special);
+        
+        if (!state.abilityUsed && move.impulse) {
+          const direction = player.facing === 'right' ? 1 : -1;
+          player.velocity.x = this.quantize(player.velocity.x + move.impulse.x * direction);
+          player.velocity.y = this.quantize(player.velocity.y + move.impulse.y);
+          if (move.impulse.y < 0) player.isGrounded = false;
+        }
+      }
+      
+      if (!state.abilityUsed) {
+        for (const hitbox of move.hitboxes) {
+          const [from, to] = hitbox.frames || [firstActive, lastActive];
+          if (state.frame >= from && state.frame <= to) {
+            this.checkAttackHits(this.buildAttackData(player, state, hitbox));
+          }
+        }
+      }
     }
     
-    if (input.special && player.attackFrames === 0 && player.blueyMeter >= 25) {
-      this.executeSpecialAttack(player);
+    if (state.frame >= move.startup + move.active + move.recovery) {
+      player.move = null;
     }
   }
 
-  executeAttack(player, attackType) {
-    player.attackFrames = this.mechanics.attackCooldown;
+  landDuringMove(player) {
+    const move = this.getMoveDefinition(player, player.move.id);
+    player.move = null;
+    player.landingLagFrames = move.landingLag || 0;
+  }
+
+  buildAttackData(player, state, hitbox) {
+    const direction = player.facing === 'right' ? 1 : -1;
+    const centerX = player.position.x + hitbox.offset.x * direction;
+    const centerY = player.position.y + hitbox.offset.y;
     
-    const attackData = {
+    return {
       playerId: player.socketId,
-      type: attackType,
-      position: { ...player.position },
+      moveId: state.id,
       facing: player.facing,
       frame: this.frame,
-      damage: this.getAttackDamage(player, attackType),
-      knockback: this.getAttackKnockback(player, attackType),
-      hitbox: this.getAttackHitbox(player, attackType)
+      damage: this.getHitDamage(player, hitbox),
+      angle: hitbox.angle,
+      baseKnockback: hitbox.baseKnockback,
+      knockbackScaling: hitbox.knockbackScaling,
+      grab: Boolean(this.getMoveDefinition(player, state.id).grab),
+      hitbox: {
+        x: centerX - hitbox.size.width / 2,
+        y: centerY - hitbox.size.height / 2,
+        width: hitbox.size.width,
+        height: hitbox.size.height
+      },
+      // A move hits each defender at most once
+      exclude: state.hitPlayers
     };
-    
-    // Check for hits against other players
-    this.checkAttackHits(attackData);
   }
 
-  executeSpecialAttack(player) {
-    const ability = player.abilities[0]; // Use first ability for now
-    player.blueyMeter -= 25;
+  // Returns true if the character's ability replaced the move's own hitboxes
+  executeSpecialAttack(player, direction) {
+    const ability = player.specials[direction];
     
     switch (ability) {
       case 'keepy-uppy':
         this.activateKeepyUppy(player);
-        break;
+        return true;
       case 'shadowlands':
         this.activateShadowlands(player);
-        break;
+        return true;
       case 'dance-mode':
         this.activateDanceMode(player);
-        break;
+        return true;
       case 'magic-asparagus':
         this.activateMagicAsparagus(player);
-        break;
+        return true;
+      case 'sleepytime':
+        this.activateSleepytime(player);
+        return true;
+      case 'featherwand':
+        this.activateFeatherwand(player);
+        return true;
+      case 'takeaway':
+        this.activateTakeaway(player);
+        return true;
+      case 'dad-dance':
+        this.activateDadDance(player);
+        return true;
+      case 'meditation':
+        this.activateMeditation(player);
+        return true;
+      case 'helicopter':
+        this.activateHelicopter(player);
+        return true;
+      case 'yoga-ball':
+        this.activateYogaBall(player);
+        return true;
       default:
-        this.executeAttack(player, 'special');
+        return false;
+    }
+  }
+
+  // Opponents an area ability can affect
+  getPlayersInRange(player, range) {
+    const targets = [];
+    for (const otherPlayer of this.players.values()) {
+      if (otherPlayer.socketId === player.socketId) continue;
+      if (otherPlayer.isRespawning || otherPlayer.eliminated) continue;
+      if (this.isInvulnerable(otherPlayer) || !this.canHit(player.socketId, otherPlayer)) continue;
+      
+      const distance = Math.sqrt(
+        Math.pow(otherPlayer.position.x - player.position.x, 2) +
+        Math.pow(otherPlayer.position.y - player.position.y, 2)
+      );
+      
+      if (distance <= range) {
+        targets.push(otherPlayer);
+      }
     }
+    return targets;
   }
 
   activateKeepyUppy(player) {
@@ -474,122 +734,370 @@ class GameState {
 
   activateShadowlands(player) {
     // Shadowlands: Temporary invisibility and speed boost
-    player.statusEffects.set('shadowlands', {
-      duration: 180,
-      effects: { invisible: true, speedBoost: 1.5 }
-    });
+    this.applyStatusEffect(player, 'shadowlands', { source: player.socketId });
   }
 
   activateDanceMode(player) {
     // Dance mode: Area effect that stuns nearby players
-    const range = 150;
-    for (const otherPlayer of this.players.values()) {
-      if (otherPlayer.socketId === player.socketId) continue;
-      
-      const distance = Math.sqrt(
-        Math.pow(otherPlayer.position.x - player.position.x, 2) +
-        Math.pow(otherPlayer.position.y - player.position.y, 2)
-      );
-      
-      if (distance <= range) {
-        otherPlayer.statusEffects.set('stunned', { duration: 120 });
-      }
+    for (const otherPlayer of this.getPlayersInRange(player, 150)) {
+      this.applyStatusEffect(otherPlayer, 'stunned', { source: player.socketId });
     }
   }
 
   activateMagicAsparagus(player) {
     // Magic asparagus: Healing and temporary damage boost
-    player.health = Math.min(100, player.health + 30);
-    player.statusEffects.set('magic_boost', {
-      duration: 300,
-      effects: { damageBoost: 1.5 }
+    player.damage = Math.max(0, player.damage - 30);
+    this.applyStatusEffect(player, 'magic_boost', { source: player.socketId });
+  }
+
+  activateSleepytime(player) {
+    // Sleepytime: A slow lullaby that drifts forward and puts whoever it touches to sleep
+    this.createProjectile({
+      type: 'lullaby',
+      position: { x: player.position.x, y: player.position.y - 20 },
+      velocity: { x: player.facing === 'right' ? 4 : -4, y: 0 },
+      damage: 4,
+      lifetime: 120,
+      sleepFrames: 90,
+      owner: player.socketId
     });
   }
 
-  getAttackDamage(player, attackType) {
-    const baseDamage = {
-      basic: 12,
-      special: 20,
-      aerial: 15
-    };
-    
-    let damage = baseDamage[attackType] || 12;
-    damage *= player.characterStats.strength / 7; // Normalize around average
+  activateFeatherwand(player) {
+    // Featherwand: Everything nearby goes light as a feather; Bingo floats up and
+    // opponents are lifted off their feet
+    player.velocity.y = -10;
+    player.isGrounded = false;
     
-    // Apply status effects
-    if (player.statusEffects.has('magic_boost')) {
-      damage *= player.statusEffects.get('magic_boost').effects.damageBoost;
+    for (const otherPlayer of this.getPlayersInRange(player, 120)) {
+      otherPlayer.velocity.y = this.quantize(otherPlayer.velocity.y - 6);
+      otherPlayer.isGrounded = false;
     }
-    
-    return Math.round(damage);
   }
 
-  getAttackKnockback(player, attackType) {
-    const baseKnockback = {
-      basic: { x: 3, y: 1 },
-      special: { x: 5, y: 2 },
-      aerial: { x: 2, y: 4 }
-    };
-    
-    return baseKnockback[attackType] || baseKnockback.basic;
+  activateTakeaway(player) {
+    // Takeaway: Bandit blinks forward like he's dashing to pick up the order
+    const direction = player.facing === 'right' ? 1 : -1;
+    player.position.x = this.quantize(player.position.x + 150 * direction);
+    player.velocity = { x: 0, y: 0 };
+  }
+
+  activateDadDance(player) {
+    // Dad dance: So embarrassing that everyone nearby backs away
+    for (const otherPlayer of this.getPlayersInRange(player, 180)) {
+      const direction = otherPlayer.position.x >= player.position.x ? 1 : -1;
+      otherPlayer.velocity.x = this.quantize(otherPlayer.velocity.x + 9 * direction);
+      otherPlayer.velocity.y = this.quantize(otherPlayer.velocity.y - 4);
+      otherPlayer.isGrounded = false;
+    }
+  }
+
+  activateMeditation(player) {
+    // Meditation: A calm counter stance; the next hit within the window is turned back on the attacker
+    this.applyStatusEffect(player, 'meditation', { source: player.socketId });
   }
 
-  getAttackHitbox(player, attackType) {
+  activateHelicopter(player) {
+    // Helicopter: Spinning recovery that carries Chilli up and clips anyone beside her
     const direction = player.facing === 'right' ? 1 : -1;
+    player.velocity.x = 3 * direction;
+    player.velocity.y = -14;
+    player.isGrounded = false;
     
-    return {
-      x: player.position.x + (direction * 40),
-      y: player.position.y - 20,
-      width: 60,
-      height: 80
-    };
+    const damage = this.getHitDamage(player, { damage: 6 });
+    for (const otherPlayer of this.getPlayersInRange(player, 70)) {
+      this.applyDamage(otherPlayer, {
+        playerId: player.socketId,
+        damage,
+        angle: 80,
+        baseKnockback: 3,
+        knockbackScaling: 3,
+        facing: player.facing
+      });
+    }
+  }
+
+  activateYogaBall(player) {
+    // Yoga ball: A big heavy ball that rolls along the ground and bowls fighters over
+    this.createProjectile({
+      type: 'yoga_ball',
+      position: { ...player.position },
+      velocity: { x: player.facing === 'right' ? 6 : -6, y: 0 },
+      damage: 12,
+      bounces: 5,
+      lifetime: 180,
+      knockback: { angle: 35, base: 4, scaling: 5 },
+      owner: player.socketId
+    });
+  }
+
+  getHitDamage(player, hitbox) {
+    let damage = hitbox.damage;
+    damage *= player.characterStats.strength / 7; // Normalize around average
+    
+    // Apply status effects
+    damage *= this.getStatusMultiplier(player, 'damage');
+    
+    return Math.round(damage);
   }
 
   checkAttackHits(attackData) {
+    // Test defenders where the attacker saw them, not where they are now
+    const attacker = this.players.get(attackData.playerId);
+    const requestedRewind = this.getRequestedRewind(attacker);
+    const rewindFrames = Math.min(requestedRewind, this.maxRewindFrames);
+    attackData.rewindFrames = rewindFrames;
+    
+    const hits = [];
     for (const player of this.players.values()) {
       if (player.socketId === attackData.playerId) continue;
-      if (player.invulnerabilityFrames > 0) continue;
-      if (player.isRespawning) continue;
+      if (attackData.exclude.includes(player.socketId)) continue;
+      if (this.isInvulnerable(player) || !this.canHit(attackData.playerId, player)) continue;
+      if (player.isRespawning || player.eliminated) continue;
+      
+      const position = rewindFrames > 0
+        ? this.getPositionAt(player, this.frame - rewindFrames)
+        : player.position;
       
-      if (this.checkHitboxCollision(player.position, attackData.hitbox)) {
-        this.applyDamage(player, attackData);
+      if (!this.checkHitboxCollision(position, player.hurtbox, attackData.hitbox)) continue;
+      
+      // Grabs take the first fighter they touch who isn't already in a grab
+      if (attackData.grab) {
+        if (player.grab || player.grabbedBy) continue;
+        hits.push(player.socketId);
+        this.startGrab(attacker, player);
+        break;
       }
+      
+      hits.push(player.socketId);
+      attackData.exclude.push(player.socketId);
+      this.applyDamage(player, attackData);
+    }
+    
+    // Active frames that whiff are only worth reviewing if the rewind had to be clamped
+    if (requestedRewind > 0 && (hits.length > 0 || requestedRewind > rewindFrames)) {
+      this.rewindLog.push({
+        frame: this.frame,
+        attackerId: attackData.playerId,
+        moveId: attackData.moveId,
+        requestedRewind,
+        rewindFrames,
+        hits
+      });
     }
   }
 
+  // Frames between the attack and the state the attacker's client was showing
+  getRequestedRewind(attacker) {
+    if (!attacker || !Number.isInteger(attacker.viewFrame)) return 0;
+    return Math.max(0, this.frame - attacker.viewFrame);
+  }
+
+  // Removes and returns rewind records for frames that can no longer be rolled back
+  takeRewindRecords(settledFrame) {
+    const settled = this.rewindLog.filter(record => record.frame <= settledFrame);
+    this.rewindLog = this.rewindLog.filter(record => record.frame > settledFrame);
+    return settled;
+  }
+
   applyDamage(player, attackData) {
     const attacker = this.players.get(attackData.playerId);
     
+    // A meditating defender counters: the hit goes back to the attacker, harder.
+    // Throws can't be countered or shielded.
+    if (attacker && !attackData.grab && this.consumeStatusType(player, 'counter')) {
+      this.applyDamage(attacker, {
+        ...attackData,
+        playerId: player.socketId,
+        damage: Math.round(attackData.damage * 1.5),
+        facing: attacker.position.x >= player.position.x ? 'right' : 'left'
+      });
+      return;
+    }
+    
+    if (player.isShielding && !attackData.grab) {
+      this.blockAttack(player, attackData);
+      return;
+    }
+    
     // Apply damage
     player.damage += attackData.damage;
+    player.damageTaken += attackData.damage;
+    if (attacker) attacker.damageDealt += attackData.damage;
+    
+    // Launch along the hit's angle; quantized since sin/cos may differ in the last bit between engines
+    const knockback = this.calculateKnockback(player, attackData);
+    const radians = attackData.angle * Math.PI / 180;
+    const direction = attackData.facing === 'right' ? 1 : -1;
+    player.velocity.x = this.quantize(player.velocity.x + Math.cos(radians) * knockback * direction);
+    player.velocity.y = this.quantize(player.velocity.y - Math.sin(radians) * knockback);
+    player.isGrounded = false;
+    
+    // Getting hit interrupts whatever the defender was doing, and knocks their toy loose
+    player.hitstunFrames = Math.floor(knockback * this.mechanics.hitstunPerKnockback);
+    player.move = null;
+    player.isAttacking = false;
+    player.dodge = null;
+    player.isDodging = false;
+    player.ledge = null;
+    player.upSpecialsLeft = player.recovery.upSpecials; // Being launched gives the up special back
+    this.releaseGrab(player);
+    this.dropToy(player);
+    
+    if (attacker) {
+      player.lastHitBy = { socketId: attacker.socketId, frame: this.frame };
+    }
+  }
+
+  // Platform-fighter knockback: grows with the defender's percent (already
+  // including this hit, unless the game mode fixes it) and the hit's damage,
+  // shrinks with weight, then goes through the hitbox's base and scaling
+  calculateKnockback(player, attackData) {
+    const percent = this.mode.getKnockbackDamage?.(this, player) ?? player.damage;
+    const weight = player.characterStats.weight || 100;
+    const growth = (percent / 10 + percent * attackData.damage / 20) * (200 / (weight + 100)) * 1.4;
+    
+    return attackData.baseKnockback + attackData.knockbackScaling * growth * this.mechanics.knockbackGrowth;
+  }
+
+  isOutsideBlastZones(player) {
+    const zones = this.getBlastZones();
+    return (
+      player.position.x < zones.left ||
+      player.position.x > zones.right ||
+      player.position.y < zones.top ||
+      player.position.y > zones.bottom
+    );
+  }
+
+  // Sudden death closes the blast zones in on the middle of the camera bounds
+  // until someone goes out; the stage itself stays put
+  getBlastZones() {
+    const zones = this.map.blastZones;
+    if (!this.isSuddenDeath()) return zones;
     
-    // Apply knockback
-    const knockbackMultiplier = player.damage / 100 + 1;
-    player.velocity.x += attackData.knockback.x * knockbackMultiplier * 
-      (attackData.facing === 'right' ? 1 : -1);
-    player.velocity.y -= attackData.knockback.y * knockbackMultiplier;
+    const elapsed = this.frame - this.suddenDeath.startFrame - this.mechanics.suddenDeathShrinkDelay;
+    if (elapsed <= 0) return zones;
+    
+    const shrink = elapsed * this.mechanics.suddenDeathShrinkRate;
+    const camera = this.map.camera;
+    const centerX = (camera.left + camera.right) / 2;
+    const centerY = (camera.top + camera.bottom) / 2;
+    return {
+      left: Math.min(zones.left + shrink, centerX),
+      right: Math.max(zones.right - shrink, centerX),
+      top: Math.min(zones.top + shrink, centerY),
+      bottom: Math.max(zones.bottom - shrink, centerY)
+    };
+  }
+
+  // Sudden death
+  scheduleSuddenDeath(startFrame, players) {
+    this.suddenDeath = { startFrame, players: [...players] };
+  }
+
+  isSuddenDeath() {
+    return Boolean(this.suddenDeath) && this.frame >= this.suddenDeath.startFrame;
+  }
+
+  // The tied fighters come back at high percent on one life; everyone else sits out
+  beginSuddenDeath() {
+    let spawnIndex = 0;
+    for (const player of this.players.values()) {
+      if (!this.suddenDeath.players.includes(player.socketId)) {
+        player.eliminated = true;
+        continue;
+      }
+      
+      this.clearStatusEffects(player);
+      this.releaseGrab(player);
+      this.dropToy(player);
+      Object.assign(player, {
+        position: { ...this.getSpawnPoint(spawnIndex++) },
+        velocity: { x: 0, y: 0 },
+        lives: 1,
+        damage: this.mechanics.suddenDeathDamage,
+        eliminated: false,
+        isRespawning: false,
+        respawnFrames: 0,
+        hitstunFrames: 0,
+        shieldstunFrames: 0,
+        landingLagFrames: 0,
+        lastHitBy: null,
+        move: null,
+        dodge: null,
+        ledge: null,
+        animation: 'spawn'
+      });
+      this.mode.onSuddenDeath?.(this, player);
+    }
+  }
+
+  // Whoever hit the player last gets the KO, if it was recent enough to have
+  // caused it. Knocking out a teammate earns nothing.
+  getKnockoutCredit(player) {
+    if (!player.lastHitBy) return null;
+    if (this.frame - player.lastHitBy.frame > this.mechanics.lastHitWindow) return null;
     
-    // Set invulnerability
-    player.invulnerabilityFrames = this.mechanics.invulnerabilityFrames;
+    const attacker = this.players.get(player.lastHitBy.socketId) || null;
+    return attacker && !this.areTeammates(attacker, player) ? attacker : null;
+  }
+
+  // Teams
+  areTeammates(a, b) {
+    return Boolean(this.settings.teamMode && a.team && a.team === b.team);
+  }
+
+  // Teammates only hurt each other with friendly fire on
+  canHit(attackerId, defender) {
+    if (!this.settings.teamMode || this.settings.friendlyFire) return true;
+    const attacker = this.players.get(attackerId);
+    return !attacker || !this.areTeammates(attacker, defender);
+  }
+
+  // With pooled team stocks, a fighter out of lives borrows one from the
+  // teammate who has the most left
+  borrowTeamStock(player) {
+    if (!this.settings.teamMode || !this.settings.teamStocks) return false;
     
-    // Check for knockout
-    if (player.damage >= 100 || player.position.y > this.physics.stageHeight) {
-      this.knockoutPlayer(player, attacker);
+    let donor = null;
+    for (const teammate of this.players.values()) {
+      if (teammate === player || !this.areTeammates(teammate, player)) continue;
+      if (teammate.lives > 1 && (!donor || teammate.lives > donor.lives)) donor = teammate;
     }
+    if (!donor) return false;
+    
+    donor.lives--;
+    player.lives++;
+    return true;
   }
 
   knockoutPlayer(player, attacker) {
-    player.lives--;
+    const suddenDeath = this.isSuddenDeath();
+    if (suddenDeath || !this.mode.endlessLives) player.lives--;
     player.deaths++;
     player.damage = 0;
+    player.lastHitBy = null;
+    player.move = null;
+    player.hitstunFrames = 0;
+    player.velocity = { x: 0, y: 0 };
+    player.dodge = null;
+    player.ledge = null;
+    player.shieldstunFrames = 0;
+    player.shieldHealth = this.mechanics.shieldMax;
+    this.clearStatusEffects(player);
+    this.releaseGrab(player);
+    this.dropToy(player);
     
     if (attacker) {
       attacker.knockouts++;
       attacker.score += 100;
       attacker.combo++;
     }
+    this.mode.onKnockout?.(this, player, attacker);
     
-    if (player.lives <= 0) {
+    // Sudden death has no second chances
+    if (suddenDeath || (player.lives <= 0 && !this.borrowTeamStock(player))) {
       player.eliminated = true;
     } else {
       player.isRespawning = true;
@@ -598,92 +1106,425 @@ class GameState {
   }
 
   respawnPlayer(player) {
-    const spawnPoint = this.getSpawnPoint(Math.floor(Math.random() * 4));
+    const spawnPoint = this.getSpawnPoint(this.random.nextInt(this.map.spawnPoints.length));
     player.position = { ...spawnPoint };
     player.velocity = { x: 0, y: 0 };
     player.isRespawning = false;
-    player.invulnerabilityFrames = 120; // 2 seconds of invulnerability
+    this.applyStatusEffect(player, 'respawn_shield'); // 2 seconds of invulnerability
     player.animation = 'spawn';
   }
 
   applyPhysics(player) {
-    // Apply acceleration to velocity
-    player.velocity.x += player.acceleration.x;
-    player.velocity.y += this.physics.gravity;
-    
-    // Apply friction when grounded
-    if (player.isGrounded) {
-      player.velocity.x *= this.physics.friction;
-    } else {
-      player.velocity.x *= this.physics.airResistance;
-    }
-    
-    // Terminal velocity
-    player.velocity.y = Math.min(player.velocity.y, this.physics.maxFallSpeed);
-    
-    // Apply velocity to position
-    player.position.x += player.velocity.x;
-    player.position.y += player.velocity.y;
-    
-    // Stage boundaries
-    if (player.position.x < 0) {
-      player.position.x = 0;
-      player.velocity.x = 0;
-    }
-    if (player.position.x > this.physics.stageWidth) {
-      player.position.x = this.physics.stageWidth;
-      player.velocity.x = 0;
+    stepMovement(player, this.physics, this.map.platforms);
+  }
+
+  // Hurtboxes are centred on the fighter's position
+  checkHitboxCollision(position, hurtbox, hitbox) {
+    const halfWidth = hurtbox.width / 2;
+    const halfHeight = hurtbox.height / 2;
+    return (
+      position.x + halfWidth > hitbox.x &&
+      position.x - halfWidth < hitbox.x + hitbox.width &&
+      position.y + halfHeight > hitbox.y &&
+      position.y - halfHeight < hitbox.y + hitbox.height
+    );
+  }
+
+  // Defense: shields, dodges and grabs
+  updateShield(player) {
+    if (player.isShielding) {
+      player.shieldHealth = this.quantize(player.shieldHealth - this.mechanics.shieldDepletion);
+      if (player.shieldHealth <= 0) {
+        this.breakShield(player);
+      }
+    } else if (player.shieldHealth < this.mechanics.shieldMax) {
+      player.shieldHealth = Math.min(this.mechanics.shieldMax,
+        this.quantize(player.shieldHealth + this.mechanics.shieldRegen));
     }
-    
-    // Platform collision
-    this.checkPlatformCollisions(player);
   }
 
-  checkPlatformCollisions(player) {
-    let wasGrounded = player.isGrounded;
+  // A shielded hit costs shield health instead of percent and pushes the defender back
+  blockAttack(player, attackData) {
+    player.shieldHealth = this.quantize(player.shieldHealth - attackData.damage);
+    if (player.shieldHealth <= 0) {
+      this.breakShield(player);
+      return;
+    }
+    
+    const direction = attackData.facing === 'right' ? 1 : -1;
+    player.shieldstunFrames = Math.floor(attackData.damage * this.mechanics.shieldstunPerDamage);
+    player.velocity.x = this.quantize(player.velocity.x + direction * attackData.damage * this.mechanics.shieldPushback);
+  }
+
+  // Popped up and left dazed; the shield comes back partly grown
+  breakShield(player) {
+    player.isShielding = false;
+    player.shieldstunFrames = 0;
+    player.shieldHealth = this.mechanics.shieldBreakReset;
+    player.velocity.y = -8;
     player.isGrounded = false;
+    this.applyStatusEffect(player, 'shield_broken', { source: 'shield' });
+  }
+
+  // Grounded: a roll toward the held side, or a spot dodge in place.
+  // Airborne: an air dodge, drifting the held way, once per trip off the ground.
+  startDodge(player, input) {
+    const dodges = this.mechanics.dodges;
+    const horizontal = (input.right ? 1 : 0) - (input.left ? 1 : 0);
     
-    for (const platform of this.map.platforms) {
-      if (this.checkPlatformCollision(player, platform)) {
-        // Landing on platform
-        if (player.velocity.y > 0 && !wasGrounded) {
-          player.position.y = platform.y;
-          player.velocity.y = 0;
-          player.isGrounded = true;
-          player.isJumping = false;
-          
-          if (platform.type === 'bouncy') {
-            player.velocity.y = -15; // Trampoline effect
-          }
-        }
+    if (player.isGrounded) {
+      const type = horizontal !== 0 ? 'roll' : 'spot';
+      player.dodge = { type, frame: 0, direction: horizontal };
+      if (type === 'roll') {
+        player.velocity.x = this.quantize(horizontal * dodges.roll.speed);
+      }
+    } else {
+      if (player.airDodgeUsed) return false;
+      
+      const vertical = (input.down ? 1 : 0) - (input.up ? 1 : 0);
+      player.airDodgeUsed = true;
+      player.dodge = { type: 'air', frame: 0, direction: horizontal };
+      if (horizontal !== 0 || vertical !== 0) {
+        const length = Math.sqrt(horizontal * horizontal + vertical * vertical);
+        player.velocity.x = this.quantize(horizontal / length * dodges.air.speed);
+        player.velocity.y = this.quantize(vertical / length * dodges.air.speed);
       }
     }
+    
+    player.isShielding = false;
+    player.isDodging = true;
+    return true;
   }
 
-  checkPlatformCollision(player, platform) {
-    return (
-      player.position.x + 20 > platform.x &&
-      player.position.x - 20 < platform.x + platform.width &&
-      player.position.y + 40 > platform.y &&
-      player.position.y + 40 < platform.y + platform.height
-    );
+  updateDodge(player) {
+    player.dodge.frame++;
+    if (player.dodge.frame >= this.mechanics.dodges[player.dodge.type].duration) {
+      player.dodge = null;
+    }
   }
 
-  checkHitboxCollision(position, hitbox) {
-    return (
-      position.x + 20 > hitbox.x &&
-      position.x - 20 < hitbox.x + hitbox.width &&
-      position.y + 40 > hitbox.y &&
-      position.y - 40 < hitbox.y + hitbox.height
-    );
+  landDuringAirDodge(player) {
+    player.airDodgeUsed = false;
+    if (player.dodge && player.dodge.type === 'air') {
+      player.dodge = null;
+      player.landingLagFrames = this.mechanics.dodges.air.landingLag;
+    }
+  }
+
+  isIntangible(player) {
+    if (player.ledge) return this.isLedgeIntangible(player);
+    if (!player.dodge) return false;
+    const [from, to] = this.mechanics.dodges[player.dodge.type].intangible;
+    return player.dodge.frame >= from && player.dodge.frame <= to;
+  }
+
+  startGrab(grabber, target) {
+    grabber.move = null;
+    grabber.isAttacking = false;
+    grabber.grab = {
+      target: target.socketId,
+      holdFrames: Math.floor(this.mechanics.grabHoldFrames + target.damage * this.mechanics.grabHoldPerPercent),
+      pummelCooldown: 0
+    };
+    
+    target.grabbedBy = grabber.socketId;
+    target.move = null;
+    target.isAttacking = false;
+    target.isShielding = false;
+    target.shieldstunFrames = 0;
+    target.dodge = null;
+    target.isDodging = false;
+    target.ledge = null;
+    target.acceleration.x = 0;
+    this.dropToy(target);
+    this.holdGrabbed(grabber, target);
+  }
+
+  updateGrab(grabber) {
+    const grab = grabber.grab;
+    const target = this.players.get(grab.target);
+    if (!target || target.grabbedBy !== grabber.socketId) {
+      grabber.grab = null;
+      return;
+    }
+    
+    if (grab.pummelCooldown > 0) grab.pummelCooldown--;
+    grab.holdFrames--;
+    
+    // Held too long: both fighters are pushed apart
+    if (grab.holdFrames <= 0) {
+      const direction = grabber.facing === 'right' ? 1 : -1;
+      this.releaseGrab(grabber);
+      grabber.velocity.x = this.quantize(grabber.velocity.x - direction * 4);
+      target.velocity.x = this.quantize(target.velocity.x + direction * 4);
+      return;
+    }
+    
+    this.holdGrabbed(grabber, target);
+  }
+
+  holdGrabbed(grabber, target) {
+    const direction = grabber.facing === 'right' ? 1 : -1;
+    target.position = {
+      x: this.quantize(grabber.position.x + direction * this.mechanics.grabOffset),
+      y: grabber.position.y
+    };
+    target.velocity = { x: 0, y: 0 };
+    target.facing = grabber.facing === 'right' ? 'left' : 'right';
+  }
+
+  // Every fresh button press shortens the hold
+  mashGrab(player) {
+    const grabber = this.players.get(player.grabbedBy);
+    if (!grabber || !grabber.grab || grabber.grab.target !== player.socketId) {
+      player.grabbedBy = null;
+      return;
+    }
+    
+    const input = player.inputState;
+    const presses = Object.keys(input).filter(button => input[button] && !player.previousInput[button]).length;
+    grabber.grab.holdFrames -= presses * this.mechanics.grabMashFrames;
+  }
+
+  applyGrabInput(grabber, pressed) {
+    const forward = grabber.facing;
+    const back = forward === 'right' ? 'left' : 'right';
+    
+    if (pressed(forward)) {
+      this.throwGrabbed(grabber, 'forward');
+    } else if (pressed(back)) {
+      this.throwGrabbed(grabber, 'back');
+    } else if (pressed('up')) {
+      this.throwGrabbed(grabber, 'up');
+    } else if (pressed('down')) {
+      this.throwGrabbed(grabber, 'down');
+    } else if (pressed('attack') && grabber.grab.pummelCooldown === 0) {
+      this.pummel(grabber);
+    }
+  }
+
+  // Chip damage that doesn't end the grab
+  pummel(grabber) {
+    const target = this.players.get(grabber.grab.target);
+    if (!target) return;
+    
+    target.damage += Math.max(1, this.getHitDamage(grabber, PUMMEL));
+    target.lastHitBy = { socketId: grabber.socketId, frame: this.frame };
+    grabber.grab.pummelCooldown = PUMMEL.cooldown;
+  }
+
+  throwGrabbed(grabber, direction) {
+    const target = this.players.get(grabber.grab.target);
+    const data = THROWS[direction];
+    this.releaseGrab(grabber);
+    if (!target) return;
+    
+    // Back throws turn the thrower around first
+    if (direction === 'back') {
+      grabber.facing = grabber.facing === 'right' ? 'left' : 'right';
+    }
+    
+    this.applyDamage(target, {
+      playerId: grabber.socketId,
+      moveId: `${direction}Throw`,
+      facing: grabber.facing,
+      frame: this.frame,
+      damage: this.getHitDamage(grabber, data),
+      angle: data.angle,
+      baseKnockback: data.baseKnockback,
+      knockbackScaling: data.knockbackScaling,
+      grab: true
+    });
+  }
+
+  // Ends any grab the player is part of, on either side
+  releaseGrab(player) {
+    if (player.grab) {
+      const target = this.players.get(player.grab.target);
+      if (target && target.grabbedBy === player.socketId) target.grabbedBy = null;
+      player.grab = null;
+    }
+    if (player.grabbedBy) {
+      const grabber = this.players.get(player.grabbedBy);
+      if (grabber && grabber.grab && grabber.grab.target === player.socketId) grabber.grab = null;
+      player.grabbedBy = null;
+    }
+  }
+
+  // Ledges and recovery
+  refillRecovery(player) {
+    player.jumpsLeft = player.recovery.midairJumps;
+    player.upSpecialsLeft = player.recovery.upSpecials;
+    player.airDodgeUsed = false;
+  }
+
+  getLedge(ledgeId) {
+    return this.ledges.find(ledge => ledge.id === ledgeId) || null;
+  }
+
+  // Falling fighters catch a free ledge when their hands pass near its corner
+  checkLedgeGrab(player) {
+    if (player.velocity.y < 0 || player.inputState.down) return;
+    if (player.hitstunFrames > 0 || player.move || player.grab || player.ledgeCooldown > 0) return;
+    if (player.ledgeGrabs >= this.mechanics.maxLedgeGrabs) return;
+    
+    const top = player.position.y - player.hurtbox.height / 2;
+    for (const ledge of this.ledges) {
+      // How far outside the platform the fighter is; a little overlap still counts
+      const outside = ledge.side === 'left' ? ledge.x - player.position.x : player.position.x - ledge.x;
+      if (outside < -10 || outside > player.hurtbox.width / 2 + 20) continue;
+      if (Math.abs(top - ledge.y) > 30) continue;
+      if (this.isLedgeOccupied(ledge.id, player)) continue;
+      
+      this.grabLedge(player, ledge);
+      return;
+    }
+  }
+
+  isLedgeOccupied(ledgeId, player) {
+    for (const other of this.players.values()) {
+      if (other !== player && other.ledge && other.ledge.id === ledgeId) return true;
+    }
+    return false;
+  }
+
+  // Only the first grab since landing is invincible, so regrabbing can't stall forever
+  grabLedge(player, ledge) {
+    player.ledgeGrabs++;
+    player.ledge = {
+      id: ledge.id,
+      frame: 0,
+      intangibleFrames: player.ledgeGrabs === 1 ? this.mechanics.ledgeInvincibility : 0,
+      getup: null,
+      getupFrame: 0
+    };
+    
+    player.position = this.getHangPosition(player, ledge);
+    player.velocity = { x: 0, y: 0 };
+    player.acceleration.x = 0;
+    player.facing = ledge.facing;
+    player.isGrounded = false;
+    player.isJumping = false;
+    player.dodge = null;
+    player.isDodging = false;
+    this.refillRecovery(player);
+  }
+
+  // Just off the corner, with the top of the hurtbox level with the platform
+  getHangPosition(player, ledge) {
+    const outward = ledge.side === 'left' ? -1 : 1;
+    return {
+      x: ledge.x + outward * player.hurtbox.width / 2,
+      y: ledge.y + player.hurtbox.height / 2
+    };
+  }
+
+  updateLedge(player) {
+    const state = player.ledge;
+    const ledge = this.getLedge(state.id);
+    state.frame++;
+    if (state.intangibleFrames > 0) state.intangibleFrames--;
+    
+    if (state.getup) {
+      this.updateLedgeGetup(player, ledge);
+      return;
+    }
+    
+    if (state.frame >= this.mechanics.ledgeHangFrames) {
+      this.releaseLedge(player);
+      return;
+    }
+    if (state.frame < this.mechanics.ledgeActionableFrames) return;
+    
+    // Towards the stage climbs, away or down lets go
+    const input = player.inputState;
+    const pressed = button => input[button] && !player.previousInput[button];
+    const inward = ledge.facing;
+    const outward = inward === 'right' ? 'left' : 'right';
+    
+    if (pressed('up')) {
+      this.ledgeJump(player, ledge);
+    } else if (pressed('attack') || pressed('special')) {
+      this.startLedgeGetup(player, 'attack');
+    } else if (pressed('dodge') || pressed('shield')) {
+      this.startLedgeGetup(player, 'roll');
+    } else if (pressed(inward)) {
+      this.startLedgeGetup(player, 'normal');
+    } else if (pressed('down') || pressed(outward)) {
+      this.releaseLedge(player);
+    }
+  }
+
+  startLedgeGetup(player, type) {
+    player.ledge.getup = type;
+    player.ledge.getupFrame = 0;
+  }
+
+  // Climbs from the hang onto the stage over the get-up's duration
+  updateLedgeGetup(player, ledge) {
+    const state = player.ledge;
+    const getup = this.mechanics.ledgeGetups[state.getup];
+    const inward = ledge.side === 'left' ? 1 : -1;
+    const from = this.getHangPosition(player, ledge);
+    const to = { x: ledge.x + inward * getup.distance, y: ledge.y };
+    
+    state.getupFrame++;
+    const progress = Math.min(1, state.getupFrame / getup.duration);
+    player.position = {
+      x: this.quantize(from.x + (to.x - from.x) * progress),
+      y: this.quantize(from.y + (to.y - from.y) * progress)
+    };
+    
+    if (state.getupFrame >= getup.duration) {
+      const type = state.getup;
+      player.ledge = null;
+      player.isGrounded = true;
+      player.velocity = { x: 0, y: 0 };
+      if (type === 'attack') {
+        this.startMove(player, 'ledgeAttack');
+      }
+    }
+  }
+
+  // A free jump straight off the ledge; the recovery budget was refilled on the grab
+  ledgeJump(player, ledge) {
+    const inward = ledge.side === 'left' ? 1 : -1;
+    player.ledge = null;
+    player.ledgeCooldown = this.mechanics.ledgeRegrabCooldown;
+    player.velocity = {
+      x: inward * 3,
+      y: this.quantize(-player.characterStats.agility * this.mechanics.ledgeJumpSpeed)
+    };
+    player.isJumping = true;
+  }
+
+  releaseLedge(player) {
+    player.ledge = null;
+    player.ledgeCooldown = this.mechanics.ledgeRegrabCooldown;
+    player.velocity = { x: 0, y: 0 };
+  }
+
+  isLedgeIntangible(player) {
+    const state = player.ledge;
+    if (state.intangibleFrames > 0) return true;
+    if (!state.getup) return false;
+    
+    const [from, to] = this.mechanics.ledgeGetups[state.getup].intangible;
+    return state.getupFrame >= from && state.getupFrame <= to;
   }
 
   updatePlayerAnimation(player) {
     // Determine animation based on state
     if (player.isRespawning) {
       player.animation = 'respawn';
-    } else if (player.isAttacking) {
-      player.animation = 'attack';
+    } else if (player.grabbedBy) {
+      player.animation = 'grabbed';
+    } else if (player.grab) {
+      player.animation = 'grabbing';
+    } else if (player.ledge) {
+      player.animation = player.ledge.getup ? `${player.ledge.getup}Getup` : 'ledgeHang';
+    } else if (player.move) {
+      player.animation = player.move.id;
     } else if (player.isDodging) {
       player.animation = 'dodge';
     } else if (player.isShielding) {
@@ -699,51 +1540,209 @@ class GameState {
     player.animationFrame++;
   }
 
+  // Items
+  getNextItemSpawnFrame() {
+    const base = ITEM_FREQUENCIES[this.settings.itemFrequency] || ITEM_FREQUENCIES.medium;
+    return this.frame + Math.round(base * this.random.nextRange(0.75, 1.25));
+  }
+
+  // Drops a weighted pick from the stage's spawn table onto a random platform
+  updateItemSpawner() {
+    if (!this.settings.itemsEnabled || this.nextItemSpawnFrame === null) return;
+    if (this.frame < this.nextItemSpawnFrame) return;
+    
+    this.nextItemSpawnFrame = this.getNextItemSpawnFrame();
+    
+    const table = this.map.items?.spawnTable || [];
+    const onStage = this.gameElements.toys.size + this.gameElements.collectibles.size;
+    if (table.length === 0 || onStage >= this.mechanics.maxItems) return;
+    
+    const totalWeight = table.reduce((sum, entry) => sum + entry.weight, 0);
+    let roll = this.random.next() * totalWeight;
+    const entry = table.find(candidate => (roll -= candidate.weight) < 0) || table[table.length - 1];
+    
+    this.spawnItem(entry.kind, entry.type, this.getRandomStagePosition());
+  }
+
+  // Somewhere on top of a random platform, away from its edges
+  getRandomStagePosition() {
+    const platform = this.map.platforms[this.random.nextInt(this.map.platforms.length)];
+    const inset = Math.min(20, platform.width / 2);
+    return {
+      x: this.quantize(this.random.nextRange(platform.x + inset, platform.x + platform.width - inset)),
+      y: platform.y
+    };
+  }
+
   updateToys(deltaTime) {
-    for (const toy of this.gameElements.toys.values()) {
-      if (!toy.active && toy.respawnTime > 0) {
-        toy.respawnTime--;
-        if (toy.respawnTime <= 0) {
-          toy.active = true;
+    for (const [id, toy] of this.gameElements.toys) {
+      switch (toy.state) {
+        case 'held': {
+          const holder = this.players.get(toy.holder);
+          if (!holder || holder.heldItem !== id) {
+            this.releaseToy(toy);
+            break;
+          }
+          const direction = holder.facing === 'right' ? 1 : -1;
+          toy.position = {
+            x: this.quantize(holder.position.x + 20 * direction),
+            y: this.quantize(holder.position.y - 20)
+          };
+          break;
         }
+        case 'thrown':
+        case 'falling':
+          this.updateFlyingToy(id, toy);
+          break;
+        default:
+          toy.despawnFrames--;
+          if (toy.despawnFrames <= 0) {
+            this.gameElements.toys.delete(id);
+          }
       }
     }
   }
 
-  updateCollectibles(deltaTime) {
-    // Check if players are collecting items
-    for (const player of this.players.values()) {
-      for (const collectible of this.gameElements.collectibles.values()) {
-        if (!collectible.collected) {
-          const distance = Math.sqrt(
-            Math.pow(player.position.x - collectible.position.x, 2) +
-            Math.pow(player.position.y - collectible.position.y, 2)
-          );
-          
-          if (distance < 50) {
-            player.score += collectible.value;
-            collectible.collected = true;
-          }
+  // Thrown toys hit the first fighter they touch and break; dropped ones just fall
+  updateFlyingToy(id, toy) {
+    const previousY = toy.position.y;
+    toy.velocity.y = Math.min(toy.velocity.y + this.physics.gravity, this.physics.maxFallSpeed);
+    toy.position.x += toy.velocity.x;
+    toy.position.y += toy.velocity.y;
+    this.quantizeMotion(toy);
+    
+    if (this.isOutsideBlastZones(toy)) {
+      this.gameElements.toys.delete(id);
+      return;
+    }
+    
+    if (toy.state === 'thrown') {
+      for (const player of this.players.values()) {
+        if (player.socketId === toy.thrower || player.isRespawning || player.eliminated) continue;
+        if (this.isInvulnerable(player) || !this.canHit(toy.thrower, player)) continue;
+        
+        const toyBox = { x: toy.position.x - 10, y: toy.position.y - 10, width: 20, height: 20 };
+        if (this.checkHitboxCollision(player.position, player.hurtbox, toyBox)) {
+          const knockback = this.mechanics.itemThrowKnockback;
+          this.applyDamage(player, {
+            playerId: toy.thrower,
+            damage: TOYS[toy.type].throwDamage,
+            angle: knockback.angle,
+            baseKnockback: knockback.base,
+            knockbackScaling: knockback.scaling,
+            facing: toy.velocity.x >= 0 ? 'right' : 'left'
+          });
+          this.gameElements.toys.delete(id);
+          return;
         }
       }
     }
+    
+    // Land on top of platforms, like fighters do
+    if (toy.velocity.y < 0) return;
+    for (const platform of this.map.platforms) {
+      const overlapsX = toy.position.x >= platform.x && toy.position.x <= platform.x + platform.width;
+      if (overlapsX && previousY <= platform.y && toy.position.y >= platform.y) {
+        toy.position.y = platform.y;
+        toy.velocity = { x: 0, y: 0 };
+        toy.state = 'resting';
+        toy.thrower = null;
+        toy.despawnFrames = TOYS[toy.type].despawnFrames;
+        return;
+      }
+    }
   }
 
-  checkCollisions() {
-    // Player vs toy collisions
-    for (const player of this.players.values()) {
-      for (const toy of this.gameElements.toys.values()) {
-        if (toy.active) {
-          const distance = Math.sqrt(
-            Math.pow(player.position.x - toy.position.x, 2) +
-            Math.pow(player.position.y - toy.position.y, 2)
-          );
-          
-          if (distance < 40) {
-            this.applyToyEffect(player, toy);
-            toy.active = false;
-            toy.respawnTime = 300;
-          }
+  // Attack picks up a toy in reach. With a toy in hand it throws it the held
+  // direction instead, or uses it when no direction is held.
+  handleItemInput(player, input) {
+    const held = player.heldItem && this.gameElements.toys.get(player.heldItem);
+    if (held) {
+      const direction = input.up ? 'up' : input.down ? 'down' : input.left ? 'left' : input.right ? 'right' : null;
+      if (direction) {
+        this.throwToy(player, held, direction);
+      } else {
+        this.useToy(player, held);
+      }
+      return true;
+    }
+    
+    for (const toy of this.gameElements.toys.values()) {
+      if (toy.state !== 'resting') continue;
+      
+      const distance = Math.sqrt(
+        Math.pow(player.position.x - toy.position.x, 2) +
+        Math.pow(player.position.y - toy.position.y, 2)
+      );
+      
+      if (distance < this.mechanics.itemPickupRange) {
+        toy.state = 'held';
+        toy.holder = player.socketId;
+        player.heldItem = toy.id;
+        return true;
+      }
+    }
+    return false;
+  }
+
+  throwToy(player, toy, direction) {
+    const speed = TOYS[toy.type].throwSpeed;
+    const velocities = {
+      left: { x: -speed, y: -6 },
+      right: { x: speed, y: -6 },
+      up: { x: 0, y: -speed },
+      down: { x: 0, y: speed }
+    };
+    
+    if (direction === 'left' || direction === 'right') player.facing = direction;
+    toy.state = 'thrown';
+    toy.holder = null;
+    toy.thrower = player.socketId;
+    toy.velocity = { ...velocities[direction] };
+    player.heldItem = null;
+  }
+
+  useToy(player, toy) {
+    this.applyToyEffect(player, toy);
+    this.gameElements.toys.delete(toy.id);
+    player.heldItem = null;
+  }
+
+  // Lets go of the player's toy where they are; it falls to the nearest platform
+  dropToy(player) {
+    const toy = player.heldItem && this.gameElements.toys.get(player.heldItem);
+    player.heldItem = null;
+    if (toy) this.releaseToy(toy);
+  }
+
+  releaseToy(toy) {
+    toy.state = 'falling';
+    toy.holder = null;
+    toy.velocity = { x: 0, y: 0 };
+  }
+
+  updateCollectibles(deltaTime) {
+    for (const [id, collectible] of this.gameElements.collectibles) {
+      collectible.despawnFrames--;
+      if (collectible.despawnFrames <= 0) {
+        this.gameElements.collectibles.delete(id);
+        continue;
+      }
+      
+      // Check if players are collecting it
+      for (const player of this.players.values()) {
+        if (player.isRespawning || player.eliminated) continue;
+        
+        const distance = Math.sqrt(
+          Math.pow(player.position.x - collectible.position.x, 2) +
+          Math.pow(player.position.y - collectible.position.y, 2)
+        );
+        
+        if (distance < 50) {
+          player.score += collectible.value;
+          collectible.collected = true;
+          this.mode.onCollect?.(this, player, collectible);
+          break;
         }
       }
     }
@@ -754,34 +1753,41 @@ class GameState {
     
     switch (effect.type) {
       case 'bounce_boost':
-        player.velocity.y -= 10;
+        player.velocity.y = this.quantize(player.velocity.y - effect.power);
+        player.isGrounded = false;
         break;
       case 'health_restore':
-        player.health = Math.min(100, player.health + effect.amount);
+        player.damage = Math.max(0, player.damage - effect.amount);
         break;
       case 'flight':
-        player.statusEffects.set('flight', { duration: effect.duration });
+        this.applyStatusEffect(player, 'flight', { duration: effect.duration, source: toy.type });
         break;
-      case 'teleport':
+      case 'teleport': {
         // Random teleport within range
-        const angle = Math.random() * Math.PI * 2;
-        player.position.x += Math.cos(angle) * effect.range;
-        player.position.y += Math.sin(angle) * effect.range;
+        const angle = this.random.next() * Math.PI * 2;
+        player.position.x = this.quantize(player.position.x + Math.cos(angle) * effect.range);
+        player.position.y = this.quantize(player.position.y + Math.sin(angle) * effect.range);
         break;
+      }
     }
   }
 
   createProjectile(config) {
-    const projectileId = `proj_${Date.now()}_${Math.random()}`;
+    const projectileId = `proj_${this.generateEntityId()}`;
     const projectile = {
       id: projectileId,
       type: config.type,
       position: { ...config.position },
-      velocity: { ...config.velocity },
+      velocity: {
+        x: this.quantize(config.velocity.x),
+        y: this.quantize(config.velocity.y)
+      },
       damage: config.damage,
       owner: config.owner,
       bounces: config.bounces || 0,
       lifetime: config.lifetime || 300,
+      knockback: config.knockback || { angle: 27, base: 2.2, scaling: 2.2 },
+      sleepFrames: config.sleepFrames || 0,
       frame: this.frame
     };
     
@@ -806,10 +1812,12 @@ class GameState {
         entity.velocity.y += this.physics.gravity * 0.5;
       }
       
+      this.quantizeMotion(entity);
+      
       // Check collisions with players
       for (const player of this.players.values()) {
         if (player.socketId === entity.owner) continue;
-        if (player.invulnerabilityFrames > 0) continue;
+        if (this.isInvulnerable(player) || !this.canHit(entity.owner, player)) continue;
         
         const distance = Math.sqrt(
           Math.pow(player.position.x - entity.position.x, 2) +
@@ -820,10 +1828,18 @@ class GameState {
           this.applyDamage(player, {
             playerId: entity.owner,
             damage: entity.damage,
-            knockback: { x: 2, y: 1 },
+            angle: entity.knockback.angle,
+            baseKnockback: entity.knockback.base,
+            knockbackScaling: entity.knockback.scaling,
             facing: entity.velocity.x > 0 ? 'right' : 'left'
           });
           
+          // Lullabies leave their target asleep on the spot
+          if (entity.sleepFrames > 0) {
+            player.velocity = { x: 0, y: player.velocity.y > 0 ? player.velocity.y : 0 };
+            player.hitstunFrames = Math.max(player.hitstunFrames, entity.sleepFrames);
+          }
+          
           this.entities.delete(id);
           break;
         }
@@ -853,17 +1869,137 @@ class GameState {
     );
   }
 
-  cleanup() {
-    // Remove expired status effects
+  // Status effects
+  applyStatusEffect(player, effectId, options = {}) {
+    const definition = STATUS_EFFECTS[effectId];
+    if (!definition) {
+      throw new Error(`Unknown status effect: ${effectId}`);
+    }
+    
+    const duration = options.duration || definition.duration;
+    const current = player.statusEffects.get(effectId);
+    
+    if (!current) {
+      player.statusEffects.set(effectId, { duration, stacks: 1, source: options.source || null });
+      this.logStatusEvent(player, effectId, 'applied');
+      return true;
+    }
+    
+    switch (definition.stacking) {
+      case 'ignore':
+        return false;
+      case 'extend':
+        current.duration = Math.min(current.duration + duration, definition.maxDuration || Infinity);
+        break;
+      case 'stack':
+        current.stacks = Math.min(current.stacks + 1, definition.maxStacks || Infinity);
+        current.duration = duration;
+        break;
+      default:
+        current.duration = duration;
+    }
+    
+    current.source = options.source || current.source;
+    this.logStatusEvent(player, effectId, 'refreshed');
+    return true;
+  }
+
+  removeStatusEffect(player, effectId, reason = 'removed') {
+    if (!player.statusEffects.has(effectId)) return false;
+    
+    player.statusEffects.delete(effectId);
+    this.logStatusEvent(player, effectId, reason);
+    return true;
+  }
+
+  clearStatusEffects(player) {
+    for (const effectId of Array.from(player.statusEffects.keys())) {
+      this.removeStatusEffect(player, effectId);
+    }
+  }
+
+  // Removes every effect of a one-shot type (e.g. a counter that just fired)
+  consumeStatusType(player, type) {
+    let consumed = false;
+    for (const effectId of Array.from(player.statusEffects.keys())) {
+      if (STATUS_EFFECTS[effectId].types[type]) {
+        consumed = this.removeStatusEffect(player, effectId, 'consumed') || consumed;
+      }
+    }
+    return consumed;
+  }
+
+  tickStatusEffects() {
     for (const player of this.players.values()) {
-      for (const [effect, data] of player.statusEffects) {
-        data.duration--;
-        if (data.duration <= 0) {
-          player.statusEffects.delete(effect);
+      for (const [effectId, effect] of player.statusEffects) {
+        effect.duration--;
+        if (effect.duration <= 0) {
+          this.removeStatusEffect(player, effectId, 'expired');
         }
       }
     }
-    
+  }
+
+  hasStatusType(player, type) {
+    for (const effectId of player.statusEffects.keys()) {
+      if (STATUS_EFFECTS[effectId].types[type]) return true;
+    }
+    return false;
+  }
+
+  // Product of every active multiplier of a type; stacks compound
+  getStatusMultiplier(player, type) {
+    let multiplier = 1;
+    for (const [effectId, effect] of player.statusEffects) {
+      const value = STATUS_EFFECTS[effectId].types[type];
+      if (typeof value === 'number') {
+        multiplier *= Math.pow(value, effect.stacks);
+      }
+    }
+    return multiplier;
+  }
+
+  getMovementStats(player) {
+    const speed = this.getStatusMultiplier(player, 'speed');
+    return {
+      ...player.characterStats,
+      speed: player.characterStats.speed * speed,
+      midairJumps: player.recovery.midairJumps
+    };
+  }
+
+  isInvulnerable(player) {
+    return this.isIntangible(player) || this.hasStatusType(player, 'invulnerability');
+  }
+
+  applyFlight(player) {
+    // Cancels the gravity stepMovement is about to add
+    const input = player.inputState;
+    const lift = input.up ? -5 : input.down ? 5 : 0;
+    player.velocity.y = lift - this.physics.gravity;
+    player.isJumping = false;
+  }
+
+  logStatusEvent(player, effectId, event) {
+    const effect = player.statusEffects.get(effectId);
+    this.statusEventLog.push({
+      frame: this.frame,
+      socketId: player.socketId,
+      effect: effectId,
+      event,
+      duration: effect ? effect.duration : 0,
+      stacks: effect ? effect.stacks : 0
+    });
+  }
+
+  // Removes and returns status changes for frames that can no longer be rolled back
+  takeStatusEvents(settledFrame) {
+    const settled = this.statusEventLog.filter(record => record.frame <= settledFrame);
+    this.statusEventLog = this.statusEventLog.filter(record => record.frame > settledFrame);
+    return settled;
+  }
+
+  cleanup() {
     // Remove collected collectibles
     for (const [id, collectible] of this.gameElements.collectibles) {
       if (collectible.collected) {
@@ -879,9 +2015,42 @@ class GameState {
     
     player.inputState = { ...player.inputState, ...input.state };
     player.lastInputFrame = input.frame;
+    if (input.sequence) player.lastInputSequence = input.sequence;
+    if (Number.isInteger(input.viewFrame)) player.viewFrame = input.viewFrame;
     return true;
   }
 
+  // Snapshots for rollback netcode
+  saveSnapshot() {
+    // Deep copy of everything the simulation mutates; static map data is shared
+    return {
+      frame: this.frame,
+      rngState: this.random.getState(),
+      nextEntityId: this.nextEntityId,
+      nextItemSpawnFrame: this.nextItemSpawnFrame,
+      players: structuredClone(this.players),
+      entities: structuredClone(this.entities),
+      toys: structuredClone(this.gameElements.toys),
+      collectibles: structuredClone(this.gameElements.collectibles)
+    };
+  }
+
+  restoreSnapshot(snapshot) {
+    // Clone again so the stored snapshot survives repeated rollbacks
+    this.frame = snapshot.frame;
+    this.random.setState(snapshot.rngState);
+    this.nextEntityId = snapshot.nextEntityId;
+    this.nextItemSpawnFrame = snapshot.nextItemSpawnFrame;
+    this.players = structuredClone(snapshot.players);
+    this.entities = structuredClone(snapshot.entities);
+    this.gameElements.toys = structuredClone(snapshot.toys);
+    this.gameElements.collectibles = structuredClone(snapshot.collectibles);
+    
+    // Attacks and status changes from the rewound frames are logged again as they are resimulated
+    this.rewindLog = this.rewindLog.filter(record => record.frame <= snapshot.frame);
+    this.statusEventLog = this.statusEventLog.filter(record => record.frame <= snapshot.frame);
+  }
+
   // State accessors
   getInitialState() {
     return {
@@ -890,11 +2059,17 @@ class GameState {
         socketId: p.socketId,
         username: p.username,
         character: p.character,
+        team: p.team,
         position: p.position,
-        stats: { health: p.health, lives: p.lives, score: p.score }
+        characterStats: p.characterStats,
+        recovery: p.recovery,
+        stats: { damage: p.damage, lives: p.lives, score: p.score }
       })),
       map: this.map,
+      physics: this.physics,
       settings: this.settings,
+      seed: this.seed,
+      tickRate: this.tickRate,
       toys: Array.from(this.gameElements.toys.values()),
       collectibles: Array.from(this.gameElements.collectibles.values())
     };
@@ -907,15 +2082,26 @@ class GameState {
         id: p.id,
         socketId: p.socketId,
         username: p.username,
+        team: p.team,
         position: p.position,
+        velocity: p.velocity,
         facing: p.facing,
         animation: p.animation,
-        health: p.health,
+        damage: p.damage,
         lives: p.lives,
         score: p.score,
+        eliminated: p.eliminated || false,
         isShielding: p.isShielding,
         isDodging: p.isDodging,
-        statusEffects: Array.from(p.statusEffects.keys())
+        shieldHealth: p.shieldHealth,
+        heldItem: p.heldItem,
+        isInvisible: this.hasStatusType(p, 'invisibility'),
+        statusEffects: this.getPublicStatusEffects(p),
+        hitstunFrames: p.hitstunFrames,
+        shieldstunFrames: p.shieldstunFrames,
+        respawnFrames: p.respawnFrames,
+        landingLagFrames: p.landingLagFrames,
+        ...this.mode.getPlayerStats?.(this, p)
       })),
       entities: Array.from(this.entities.values()),
       toys: Array.from(this.gameElements.toys.values()),
@@ -923,9 +2109,97 @@ class GameState {
     };
   }
 
-  getDeltaState() {
-    // Return only changed data for efficient updates
-    return this.getPublicState(); // Simplified for now
+  // [id, framesLeft, stacks] per active effect
+  getPublicStatusEffects(player) {
+    return Array.from(player.statusEffects, ([effectId, effect]) => [effectId, effect.duration, effect.stacks]);
+  }
+
+  // Authoritative motion of one player, for the owning client to reconcile its prediction
+  getReconcileState(socketId, players = this.players) {
+    const player = players.get(socketId);
+    if (!player) return null;
+    
+    return {
+      sequence: player.lastInputSequence,
+      position: { ...player.position },
+      velocity: { ...player.velocity },
+      facing: player.facing,
+      isGrounded: player.isGrounded,
+      isJumping: player.isJumping,
+      jumpsLeft: player.jumpsLeft
+    };
+  }
+
+  getDeltaState(baseline = null, current = this.getPublicState()) {
+    // No acknowledged baseline: send a full keyframe the client can rebuild from
+    if (!baseline) {
+      return { keyframe: true, ...current };
+    }
+    
+    return {
+      keyframe: false,
+      frame: current.frame,
+      baseFrame: baseline.frame,
+      players: this.diffPlayers(baseline.players, current.players),
+      entities: this.diffCollection(baseline.entities, current.entities),
+      toys: this.diffCollection(baseline.toys, current.toys),
+      collectibles: this.diffCollection(baseline.collectibles, current.collectibles)
+    };
+  }
+
+  // Changed players carry only the fields that differ; players gone since the
+  // baseline are listed by socketId
+  diffPlayers(basePlayers, currentPlayers) {
+    const baseById = new Map(basePlayers.map(p => [p.socketId, p]));
+    const currentIds = new Set();
+    const changed = [];
+    
+    for (const player of currentPlayers) {
+      currentIds.add(player.socketId);
+      const base = baseById.get(player.socketId);
+      if (!base) {
+        changed.push(player);
+        continue;
+      }
+      
+      // Only the fields that differ from the baseline, keyed by socketId
+      const delta = { socketId: player.socketId };
+      let hasChanges = false;
+      for (const key of Object.keys(player)) {
+        if (JSON.stringify(player[key]) !== JSON.stringify(base[key])) {
+          delta[key] = player[key];
+          hasChanges = true;
+        }
+      }
+      
+      if (hasChanges) changed.push(delta);
+    }
+    
+    const removed = basePlayers
+      .filter(p => !currentIds.has(p.socketId))
+      .map(p => p.socketId);
+    
+    return { updated: changed, removed };
+  }
+
+  diffCollection(baseItems, currentItems) {
+    const baseById = new Map(baseItems.map(item => [item.id, item]));
+    const currentIds = new Set();
+    const updated = [];
+    
+    for (const item of currentItems) {
+      currentIds.add(item.id);
+      const base = baseById.get(item.id);
+      if (!base || JSON.stringify(base) !== JSON.stringify(item)) {
+        updated.push(item);
+      }
+    }
+    
+    const removed = baseItems
+      .filter(item => !currentIds.has(item.id))
+      .map(item => item.id);
+    
+    return { updated, removed };
   }
 
   getFullState() {
@@ -948,21 +2222,62 @@ class GameState {
         kos: player.knockouts,
         deaths: player.deaths,
         damage: player.damage,
-        eliminated: player.eliminated || false
+        damageDealt: player.damageDealt,
+        damageTaken: player.damageTaken,
+        eliminated: player.eliminated || false,
+        team: player.team,
+        ...this.mode.getPlayerStats?.(this, player)
       };
     }
     return stats;
   }
 
+  getResyncState() {
+    // Serializable version of getFullState for pushing to a desynced client
+    const full = this.getFullState();
+    return {
+      frame: full.frame,
+      rngState: this.random.getState(),
+      nextEntityId: this.nextEntityId,
+      nextItemSpawnFrame: this.nextItemSpawnFrame,
+      players: full.players.map(p => ({
+        ...p,
+        statusEffects: Array.from(p.statusEffects.entries())
+      })),
+      entities: full.entities,
+      toys: Array.from(full.gameElements.toys.values()),
+      collectibles: Array.from(full.gameElements.collectibles.values()),
+      physics: full.physics,
+      mechanics: full.mechanics
+    };
+  }
+
   getChecksum(frame) {
-    // Simple checksum for rollback netcode
-    let checksum = frame;
-    for (const player of this.players.values()) {
-      checksum ^= Math.floor(player.position.x) << 16;
-      checksum ^= Math.floor(player.position.y);
-      checksum ^= player.health << 8;
-    }
-    return checksum;
+    return this.computeChecksum(frame, this.players, this.entities);
+  }
+
+  getSnapshotChecksum(frame, snapshot) {
+    return this.computeChecksum(frame, snapshot.players, snapshot.entities);
+  }
+
+  computeChecksum(frame, players, entities) {
+    // Same fields the client sees in getPublicState(), so both sides can compute it
+    return computeStateChecksum({
+      frame,
+      players: Array.from(players.values()).map(p => ({
+        socketId: p.socketId,
+        position: p.position,
+        velocity: p.velocity,
+        damage: p.damage,
+        lives: p.lives,
+        statusEffects: this.getPublicStatusEffects(p),
+        hitstunFrames: p.hitstunFrames,
+        shieldstunFrames: p.shieldstunFrames,
+        respawnFrames: p.respawnFrames,
+        landingLagFrames: p.landingLagFrames
+      })),
+      entities: Array.from(entities.values())
+    });
   }
 }
 
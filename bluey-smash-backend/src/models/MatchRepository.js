@@ -0,0 +1,133 @@
+const { getDatabase } = require('./database');
+
+// Finished matches and how each participant placed
+class MatchRepository {
+  // match: { id, roomId, gameMode, mapId, settings, winner, tie, suddenDeath,
+  //          replayId, startedAt, endedAt, participants: [...] }
+  async recordMatch(match) {
+    await getDatabase().transaction(async db => {
+      await db.run(`
+        INSERT INTO matches (
+          id, room_id, game_mode, map_id, settings, winner, tie, sudden_death,
+          replay_id, started_at, ended_at, duration
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        match.id, match.roomId, match.gameMode, match.mapId, JSON.stringify(match.settings),
+        match.winner, match.tie ? 1 : 0, match.suddenDeath ? 1 : 0, match.replayId,
+        match.startedAt, match.endedAt, match.endedAt - match.startedAt
+      ]);
+
+      for (const participant of match.participants) {
+        await db.run(`
+          INSERT INTO match_participants (
+            match_id, player_id, username, character, team, placement, won,
+            knockouts, deaths, damage_dealt, damage_taken, result
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          match.id, participant.playerId, participant.username, participant.character,
+          participant.team, participant.placement, participant.won ? 1 : 0,
+          participant.knockouts, participant.deaths, participant.damageDealt,
+          participant.damageTaken, JSON.stringify(participant.result)
+        ]);
+      }
+    });
+  }
+
+  // Registered players ranked by wins with one character
+  async getCharacterLeaderboard(characterId, limit, offset) {
+    const rows = await getDatabase().all(`
+      SELECT pl.id, pl.username, pl.level, pl.rank,
+        COUNT(*) AS games, SUM(mp.won) AS wins, SUM(mp.knockouts) AS knockouts, SUM(mp.deaths) AS deaths
+      FROM match_participants mp
+      JOIN players pl ON pl.id = mp.player_id
+      WHERE mp.character = ?
+      GROUP BY pl.id
+      ORDER BY wins DESC, knockouts DESC, pl.username ASC
+      LIMIT ? OFFSET ?
+    `, [characterId, limit, offset]);
+
+    return rows.map(row => ({
+      playerId: row.id,
+      username: row.username,
+      level: row.level,
+      rank: row.rank,
+      games: row.games,
+      wins: row.wins,
+      knockouts: row.knockouts,
+      deaths: row.deaths
+    }));
+  }
+
+  async countCharacterPlayers(characterId) {
+    const row = await getDatabase().get(`
+      SELECT COUNT(DISTINCT mp.player_id) AS total
+      FROM match_participants mp
+      JOIN players pl ON pl.id = mp.player_id
+      WHERE mp.character = ?
+    `, [characterId]);
+    return row.total;
+  }
+
+  // Games, wins, KOs and deaths per character, for one player or everyone
+  async getCharacterUsage(playerId = null) {
+    const rows = await getDatabase().all(`
+      SELECT character, COUNT(*) AS games, SUM(won) AS wins,
+        SUM(knockouts) AS knockouts, SUM(deaths) AS deaths
+      FROM match_participants
+      WHERE character IS NOT NULL ${playerId ? 'AND player_id = ?' : ''}
+      GROUP BY character
+      ORDER BY games DESC, character ASC
+    `, playerId ? [playerId] : []);
+
+    return rows.map(row => ({
+      character: row.character,
+      games: row.games,
+      wins: row.wins,
+      knockouts: row.knockouts,
+      deaths: row.deaths
+    }));
+  }
+
+  // Most recent first
+  async findByPlayer(playerId, limit = 20) {
+    const rows = await getDatabase().all(`
+      SELECT m.*, p.placement, p.won, p.character, p.team, p.knockouts, p.deaths,
+        p.damage_dealt, p.damage_taken, p.result
+      FROM match_participants p
+      JOIN matches m ON m.id = p.match_id
+      WHERE p.player_id = ?
+      ORDER BY m.ended_at DESC
+      LIMIT ?
+    `, [playerId, limit]);
+
+    return rows.map(row => ({
+      id: row.id,
+      roomId: row.room_id,
+      gameMode: row.game_mode,
+      mapId: row.map_id,
+      winner: row.winner,
+      tie: Boolean(row.tie),
+      suddenDeath: Boolean(row.sudden_death),
+      replayId: row.replay_id,
+      startedAt: row.started_at,
+      endedAt: row.ended_at,
+      duration: row.duration,
+      placement: row.placement,
+      won: Boolean(row.won),
+      character: row.character,
+      team: row.team,
+      knockouts: row.knockouts,
+      deaths: row.deaths,
+      damageDealt: row.damage_dealt,
+      damageTaken: row.damage_taken,
+      result: JSON.parse(row.result)
+    }));
+  }
+}
+
+const matchRepository = new MatchRepository();
+
+module.exports = {
+  MatchRepository,
+  matchRepository
+};
@@ -1,4 +1,8 @@
 const { v4: uuidv4 } = require('uuid');
+const { characterRegistry } = require('../services/CharacterRegistry');
+const { getTeamColor } = require('../data/teams');
+const { PLACEMENT_MATCHES, UNRANKED, RATING_PERIOD_MS, getRankTier } = require('../data/ranks');
+const { DEFAULT_RATING, DEFAULT_DEVIATION, DEFAULT_VOLATILITY, inflateDeviation } = require('../utils/glicko2');
 
 class Player {
   constructor(socketId, data = {}) {
@@ -6,25 +10,35 @@ class Player {
     this.id = data.id || uuidv4();
     this.username = data.username || `Player_${socketId.slice(0, 6)}`;
     this.email = data.email || null;
+    this.isRegistered = data.isRegistered || false; // Has an account, so the profile is saved
     
     // Game-specific properties
-    this.character = data.character || null;
+    this.character = characterRegistry.has(data.character) ? data.character : null;
     this.skin = data.skin || 'default';
     this.level = data.level || 1;
     this.experience = data.experience || 0;
-    this.rank = data.rank || 'Bronze';
+    this.rank = data.rank || UNRANKED;
+    
+    // Glicko-2 skill rating, updated by RatingService after each match
+    this.rating = data.rating || DEFAULT_RATING;
+    this.ratingDeviation = data.ratingDeviation || DEFAULT_DEVIATION;
+    this.ratingVolatility = data.ratingVolatility || DEFAULT_VOLATILITY;
+    this.ratedGames = data.ratedGames || 0;
+    this.ratingUpdatedAt = data.ratingUpdatedAt || null; // Deviation is current as of this time
     
     // Session properties
     this.roomId = null;
+    this.team = null; // Team id while the room has team mode on
     this.isReady = false;
     this.isSpectating = false;
     this.socket = null; // Will be set by socket handler
+    this.wireEncoding = 'json'; // 'binary' once negotiated at auth
     
     // Game state
     this.gameState = {
       position: { x: 0, y: 0 },
       velocity: { x: 0, y: 0 },
-      health: 100,
+      damage: 0,
       lives: 3,
       score: 0,
       knockouts: 0,
@@ -51,7 +65,7 @@ class Player {
       longestWinStreak: data.longestWinStreak || 0,
       currentWinStreak: data.currentWinStreak || 0,
       hoursPlayed: data.hoursPlayed || 0,
-      lastPlayed: new Date()
+      lastPlayed: data.lastPlayed ? new Date(data.lastPlayed) : new Date()
     };
     
     // Connection tracking
@@ -80,7 +94,8 @@ class Player {
         quality: data.graphics?.quality || 'medium',
         showFPS: data.graphics?.showFPS || false,
         showHitboxes: data.graphics?.showHitboxes || false
-      }
+      },
+      ...data.preferences // Saved preferences from the profile, when there is one
     };
   }
 
@@ -108,7 +123,7 @@ class Player {
     this.gameState = {
       position: { x: 0, y: 0 },
       velocity: { x: 0, y: 0 },
-      health: 100,
+      damage: 0,
       lives: 3,
       score: 0,
       knockouts: 0,
@@ -126,16 +141,25 @@ class Player {
 
   // Character Management
   setCharacter(characterId) {
-    const validCharacters = ['bluey', 'bingo', 'bandit', 'chilli'];
-    if (validCharacters.includes(characterId)) {
-      this.character = characterId;
-      return true;
+    if (!characterRegistry.has(characterId)) {
+      return false;
     }
-    return false;
+    
+    this.character = characterId;
+    // Skins belong to a character; fall back if the new one doesn't have it
+    if (!characterRegistry.hasSkin(characterId, this.skin)) {
+      this.skin = 'default';
+    }
+    return true;
   }
 
   setSkin(skinId) {
+    if (!characterRegistry.hasSkin(this.character, skinId)) {
+      return false;
+    }
+    
     this.skin = skinId;
+    return true;
   }
 
   // Readiness State
@@ -151,6 +175,7 @@ class Player {
   // Statistics Updates
   addGameResult(result) {
     this.stats.totalGames++;
+    this.stats.hoursPlayed += (result.duration || 0) / 3600000;
     this.stats.totalKnockouts += result.knockouts || 0;
     this.stats.totalDeaths += result.deaths || 0;
     this.stats.totalDamageDealt += result.damageDealt || 0;
@@ -169,22 +194,64 @@ class Player {
     
     this.stats.lastPlayed = new Date();
     this.updateRank();
+    
+    // Playing earns experience; winning and KOs earn more
+    this.addExperience(50 + (result.won ? 100 : 0) + (result.knockouts || 0) * 10);
+  }
+
+  addExperience(amount) {
+    this.experience += amount;
+    this.level = Math.floor(this.experience / 1000) + 1;
   }
 
   updateRank() {
-    const winRate = this.stats.totalGames > 0 ? 
-      this.stats.gamesWon / this.stats.totalGames : 0;
-    const kdr = this.stats.totalDeaths > 0 ? 
-      this.stats.totalKnockouts / this.stats.totalDeaths : this.stats.totalKnockouts;
+    this.rank = getRankTier(this.getSkillRating(), this.ratedGames);
+  }
+
+  // Rating
+  getRating() {
+    return {
+      rating: this.rating,
+      deviation: this.ratingDeviation,
+      volatility: this.ratingVolatility
+    };
+  }
+
+  setRating({ rating, deviation, volatility }, now = Date.now()) {
+    this.rating = rating;
+    this.ratingDeviation = deviation;
+    this.ratingVolatility = volatility;
+    this.ratedGames++;
+    this.ratingUpdatedAt = now;
+    this.updateRank();
+  }
+
+  // Conservative estimate: what the player is almost surely better than
+  getSkillRating() {
+    return this.rating - 2 * this.ratingDeviation;
+  }
+
+  // Widens the deviation for every whole rating period without a match, so
+  // idle players drift down the skill rating and tiers until they play again
+  applyRatingDecay(now = Date.now()) {
+    if (!this.ratingUpdatedAt) return false;
     
-    // Simple ranking system based on win rate and KDR
-    const score = (winRate * 0.6) + (Math.min(kdr, 3) / 3 * 0.4);
+    const periods = Math.floor((now - this.ratingUpdatedAt) / RATING_PERIOD_MS);
+    if (periods < 1) return false;
     
-    if (score >= 0.8) this.rank = 'Diamond';
-    else if (score >= 0.65) this.rank = 'Platinum';
-    else if (score >= 0.5) this.rank = 'Gold';
-    else if (score >= 0.35) this.rank = 'Silver';
-    else this.rank = 'Bronze';
+    this.ratingDeviation = inflateDeviation(this.ratingDeviation, this.ratingVolatility, periods);
+    this.ratingUpdatedAt += periods * RATING_PERIOD_MS;
+    this.updateRank();
+    return true;
+  }
+
+  getRatingData() {
+    return {
+      rating: Math.round(this.rating),
+      deviation: Math.round(this.ratingDeviation),
+      skillRating: Math.round(this.getSkillRating()),
+      placementMatchesLeft: Math.max(PLACEMENT_MATCHES - this.ratedGames, 0)
+    };
   }
 
   // Connection Management
@@ -260,13 +327,15 @@ class Player {
       skin: this.skin,
       level: this.level,
       rank: this.rank,
+      team: this.team,
+      teamColor: getTeamColor(this.team),
       isReady: this.isReady,
       isSpectating: this.isSpectating,
       isConnected: this.isConnected,
       latency: this.latency,
       gameState: {
         position: this.gameState.position,
-        health: this.gameState.health,
+        damage: this.gameState.damage,
         lives: this.gameState.lives,
         score: this.gameState.score,
         knockouts: this.gameState.knockouts,
@@ -299,6 +368,39 @@ class Player {
     };
   }
 
+  // Account data (for the auth API; never includes credentials)
+  getAccountData() {
+    return {
+      id: this.id,
+      username: this.username,
+      email: this.email,
+      character: this.character,
+      skin: this.skin,
+      level: this.level,
+      experience: this.experience,
+      rank: this.rank,
+      rating: this.getRatingData(),
+      stats: this.stats
+    };
+  }
+
+  // Public profile (for the stats API)
+  getProfileData() {
+    return {
+      id: this.id,
+      username: this.username,
+      character: this.character,
+      skin: this.skin,
+      level: this.level,
+      experience: this.experience,
+      rank: this.rank,
+      rating: this.getRatingData(),
+      stats: this.stats,
+      winRate: this.getWinRate(),
+      kdr: this.getKDR()
+    };
+  }
+
   // Minimal data (for matchmaking)
   getMatchmakingData() {
     return {
@@ -307,6 +409,9 @@ class Player {
       username: this.username,
       level: this.level,
       rank: this.rank,
+      rating: this.rating,
+      ratingDeviation: this.ratingDeviation,
+      skillRating: this.getSkillRating(),
       character: this.character,
       latency: this.latency,
       preferences: {
@@ -323,6 +428,7 @@ class Player {
       socketId: this.socketId,
       username: this.username,
       roomId: this.roomId,
+      team: this.team,
       character: this.character,
       isReady: this.isReady,
       gameState: this.gameState,
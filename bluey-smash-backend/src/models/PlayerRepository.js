@@ -0,0 +1,211 @@
+const { getDatabase } = require('./database');
+const Player = require('./Player');
+
+// Saved profiles for players with an account. Guests are never written here.
+class PlayerRepository {
+  async findById(id) {
+    const row = await getDatabase().get('SELECT * FROM players WHERE id = ?', [id]);
+    return row ? this.toPlayerData(row) : null;
+  }
+
+  // Login lookup; emails are stored lower-case
+  async findCredentials(email) {
+    const row = await getDatabase().get(
+      'SELECT id, password_hash FROM players WHERE email = ? AND password_hash IS NOT NULL',
+      [email]
+    );
+    return row ? { id: row.id, passwordHash: row.password_hash } : null;
+  }
+
+  // First save of a new account, with the password it logs in with. With
+  // fromHistory the stats and rating are rebuilt from the matches already
+  // recorded under the player's id, for a guest upgrading after they left.
+  async create(player, passwordHash, { fromHistory = false } = {}) {
+    await getDatabase().transaction(async db => {
+      if (fromHistory) {
+        await this.applyMatchHistory(player, db);
+      }
+      await this.save(player, db);
+      await db.run('UPDATE players SET password_hash = ? WHERE id = ?', [passwordHash, player.id]);
+    });
+  }
+
+  // Replays recorded matches, oldest first, the way GameRoom applied them live;
+  // the most played character becomes the favourite
+  async applyMatchHistory(player, db) {
+    const rows = await db.all(`
+      SELECT p.character, p.won, p.knockouts, p.deaths, p.damage_dealt, p.damage_taken, p.result,
+        m.duration, m.ended_at
+      FROM match_participants p
+      JOIN matches m ON m.id = p.match_id
+      WHERE p.player_id = ?
+      ORDER BY m.ended_at ASC
+    `, [player.id]);
+
+    const games = new Map();
+    for (const row of rows) {
+      const result = JSON.parse(row.result);
+      if (result.rating) {
+        player.setRating(result.rating, row.ended_at);
+      }
+      player.addGameResult({
+        won: Boolean(row.won),
+        knockouts: row.knockouts,
+        deaths: row.deaths,
+        damageDealt: row.damage_dealt,
+        damageTaken: row.damage_taken,
+        duration: row.duration
+      });
+      player.stats.lastPlayed = new Date(row.ended_at);
+
+      if (row.character) {
+        games.set(row.character, (games.get(row.character) || 0) + 1);
+      }
+    }
+
+    if (games.size > 0) {
+      const [favorite] = Array.from(games).reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+      player.stats.favoriteCharacter = favorite;
+    }
+  }
+
+  // Read, change and write back a stored profile in one transaction, for
+  // changes to a player who has no live session to save them
+  async update(id, change) {
+    return getDatabase().transaction(async db => {
+      const row = await db.get('SELECT * FROM players WHERE id = ?', [id]);
+      if (!row) return null;
+
+      const player = new Player(null, this.toPlayerData(row));
+      change(player);
+      await this.save(player, db);
+      return player;
+    });
+  }
+
+  // Insert or update the whole profile from a live Player; db is the
+  // transaction's connection when called from inside one
+  async save(player, db = getDatabase()) {
+    const now = Date.now();
+    const stats = player.stats;
+
+    await db.run(`
+      INSERT INTO players (
+        id, username, email, level, experience, rank, rating, rating_deviation,
+        rating_volatility, rated_games, rating_updated_at, character, skin,
+        total_games, games_won, total_knockouts, total_deaths,
+        total_damage_dealt, total_damage_taken, favorite_character,
+        longest_win_streak, current_win_streak, hours_played,
+        preferences, last_played, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (id) DO UPDATE SET
+        username = excluded.username,
+        email = excluded.email,
+        level = excluded.level,
+        experience = excluded.experience,
+        rank = excluded.rank,
+        rating = excluded.rating,
+        rating_deviation = excluded.rating_deviation,
+        rating_volatility = excluded.rating_volatility,
+        rated_games = excluded.rated_games,
+        rating_updated_at = excluded.rating_updated_at,
+        character = excluded.character,
+        skin = excluded.skin,
+        total_games = excluded.total_games,
+        games_won = excluded.games_won,
+        total_knockouts = excluded.total_knockouts,
+        total_deaths = excluded.total_deaths,
+        total_damage_dealt = excluded.total_damage_dealt,
+        total_damage_taken = excluded.total_damage_taken,
+        favorite_character = excluded.favorite_character,
+        longest_win_streak = excluded.longest_win_streak,
+        current_win_streak = excluded.current_win_streak,
+        hours_played = excluded.hours_played,
+        preferences = excluded.preferences,
+        last_played = excluded.last_played,
+        updated_at = excluded.updated_at
+    `, [
+      player.id, player.username, player.email, player.level, player.experience, player.rank,
+      player.rating, player.ratingDeviation, player.ratingVolatility, player.ratedGames, player.ratingUpdatedAt,
+      player.character, player.skin,
+      stats.totalGames, stats.gamesWon, stats.totalKnockouts, stats.totalDeaths,
+      stats.totalDamageDealt, stats.totalDamageTaken, stats.favoriteCharacter,
+      stats.longestWinStreak, stats.currentWinStreak, stats.hoursPlayed,
+      JSON.stringify(player.preferences), new Date(stats.lastPlayed).getTime(), now, now
+    ]);
+  }
+
+  // orderBy must come from LeaderboardService's whitelist, never from a request
+  async getLeaderboard(orderBy, limit, offset, minRatedGames = 0) {
+    const rows = await getDatabase().all(`
+      SELECT * FROM players
+      WHERE total_games > 0 AND rated_games >= ?
+      ORDER BY ${orderBy} DESC, games_won DESC, username ASC
+      LIMIT ? OFFSET ?
+    `, [minRatedGames, limit, offset]);
+    return rows.map(row => this.toPlayerData(row));
+  }
+
+  async countRanked(minRatedGames = 0) {
+    const row = await getDatabase().get(
+      'SELECT COUNT(*) AS total FROM players WHERE total_games > 0 AND rated_games >= ?',
+      [minRatedGames]
+    );
+    return row.total;
+  }
+
+  // Profiles whose deviation has not been widened for at least a rating period
+  async findStaleRatings(before) {
+    const rows = await getDatabase().all(
+      'SELECT * FROM players WHERE rating_updated_at IS NOT NULL AND rating_updated_at <= ?',
+      [before]
+    );
+    return rows.map(row => this.toPlayerData(row));
+  }
+
+  async saveRating(player) {
+    await getDatabase().run(`
+      UPDATE players SET rating_deviation = ?, rating_updated_at = ?, rank = ?, updated_at = ?
+      WHERE id = ?
+    `, [player.ratingDeviation, player.ratingUpdatedAt, player.rank, Date.now(), player.id]);
+  }
+
+  // Row -> the data shape the Player constructor takes
+  toPlayerData(row) {
+    return {
+      id: row.id,
+      username: row.username,
+      email: row.email,
+      level: row.level,
+      experience: row.experience,
+      rank: row.rank,
+      rating: row.rating,
+      ratingDeviation: row.rating_deviation,
+      ratingVolatility: row.rating_volatility,
+      ratedGames: row.rated_games,
+      ratingUpdatedAt: row.rating_updated_at,
+      character: row.character,
+      skin: row.skin,
+      isRegistered: true,
+      totalGames: row.total_games,
+      gamesWon: row.games_won,
+      totalKnockouts: row.total_knockouts,
+      totalDeaths: row.total_deaths,
+      totalDamageDealt: row.total_damage_dealt,
+      totalDamageTaken: row.total_damage_taken,
+      favoriteCharacter: row.favorite_character,
+      longestWinStreak: row.longest_win_streak,
+      currentWinStreak: row.current_win_streak,
+      hoursPlayed: row.hours_played,
+      lastPlayed: row.last_played,
+      preferences: JSON.parse(row.preferences)
+    };
+  }
+}
+
+const playerRepository = new PlayerRepository();
+
+module.exports = {
+  PlayerRepository,
+  playerRepository
+};
@@ -0,0 +1,50 @@
+const { getDatabase } = require('./database');
+
+// Issued refresh tokens, stored by hash. Rotation revokes each one as it is
+// used; the family ties together every token rotated from one login.
+class RefreshTokenRepository {
+  async create({ tokenHash, playerId, familyId, expiresAt }) {
+    await getDatabase().run(`
+      INSERT INTO refresh_tokens (token_hash, player_id, family_id, expires_at, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `, [tokenHash, playerId, familyId, expiresAt, Date.now()]);
+  }
+
+  async findByHash(tokenHash) {
+    const row = await getDatabase().get('SELECT * FROM refresh_tokens WHERE token_hash = ?', [tokenHash]);
+    if (!row) return null;
+
+    return {
+      tokenHash: row.token_hash,
+      playerId: row.player_id,
+      familyId: row.family_id,
+      expiresAt: row.expires_at,
+      revokedAt: row.revoked_at,
+      createdAt: row.created_at
+    };
+  }
+
+  // True only for the caller that actually revoked it, so two requests racing
+  // with the same token cannot both rotate it
+  async revoke(tokenHash) {
+    const { changes } = await getDatabase().run(
+      'UPDATE refresh_tokens SET revoked_at = ? WHERE token_hash = ? AND revoked_at IS NULL',
+      [Date.now(), tokenHash]
+    );
+    return changes > 0;
+  }
+
+  async revokeFamily(familyId) {
+    await getDatabase().run(
+      'UPDATE refresh_tokens SET revoked_at = ? WHERE family_id = ? AND revoked_at IS NULL',
+      [Date.now(), familyId]
+    );
+  }
+}
+
+const refreshTokenRepository = new RefreshTokenRepository();
+
+module.exports = {
+  RefreshTokenRepository,
+  refreshTokenRepository
+};
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { logger } = require('../utils/logger');
+const { MIGRATIONS } = require('./migrations');
+
+const DEFAULT_DB_PATH = './data/game.db';
+
+// Promise wrapper around one sqlite3 connection. Statements run as they come,
+// so only the Database queue below and transactions holding it should use this.
+class Connection {
+  constructor(db) {
+    this.db = db;
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function (error) {
+        if (error) return reject(error);
+        resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+  }
+
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (error, row) => (error ? reject(error) : resolve(row || null)));
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (error, rows) => (error ? reject(error) : resolve(rows)));
+    });
+  }
+
+  // Several statements at once, no parameters (migrations)
+  exec(sql) {
+    return new Promise((resolve, reject) => {
+      this.db.exec(sql, error => (error ? reject(error) : resolve()));
+    });
+  }
+}
+
+// Every statement and transaction goes through one queue, so a plain run() from
+// one async caller can never land inside another caller's BEGIN/COMMIT.
+// Transaction work gets the Connection itself and must use it, not the Database.
+class Database {
+  constructor(filename) {
+    this.filename = filename;
+    this.connection = null;
+    this.queue = Promise.resolve();
+  }
+
+  open() {
+    return new Promise((resolve, reject) => {
+      const db = new sqlite3.Database(this.filename, error => (error ? reject(error) : resolve(this)));
+      this.connection = new Connection(db);
+    });
+  }
+
+  close() {
+    return this.enqueue(() => new Promise((resolve, reject) => {
+      if (!this.connection) return resolve();
+      this.connection.db.close(error => (error ? reject(error) : resolve()));
+      this.connection = null;
+    }));
+  }
+
+  enqueue(task) {
+    const result = this.queue.then(task);
+
+    // A failed statement must not block the ones queued behind it
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  run(sql, params) {
+    return this.enqueue(() => this.connection.run(sql, params));
+  }
+
+  get(sql, params) {
+    return this.enqueue(() => this.connection.get(sql, params));
+  }
+
+  all(sql, params) {
+    return this.enqueue(() => this.connection.all(sql, params));
+  }
+
+  exec(sql) {
+    return this.enqueue(() => this.connection.exec(sql));
+  }
+
+  transaction(work) {
+    return this.enqueue(async () => {
+      const connection = this.connection;
+      await connection.run('BEGIN');
+      try {
+        const value = await work(connection);
+        await connection.run('COMMIT');
+        return value;
+      } catch (error) {
+        await connection.run('ROLLBACK');
+        throw error;
+      }
+    });
+  }
+
+  async migrate() {
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at INTEGER NOT NULL
+      )
+    `);
+
+    const row = await this.get('SELECT MAX(version) AS version FROM schema_migrations');
+    const current = row.version || 0;
+
+    for (const migration of MIGRATIONS.filter(m => m.version > current)) {
+      await this.transaction(async db => {
+        await db.exec(migration.up);
+        await db.run(
+          'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+          [migration.version, migration.name, Date.now()]
+        );
+      });
+      logger.info(`🗄️ Applied migration ${migration.version}: ${migration.name}`);
+    }
+
+    return MIGRATIONS.length;
+  }
+}
+
+let database = null;
+
+async function initializeDatabase(filename = process.env.DB_PATH || DEFAULT_DB_PATH) {
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  await db.open();
+  await db.run('PRAGMA foreign_keys = ON');
+  const version = await db.migrate();
+
+  database = db;
+  logger.info(`🗄️ Database ready at ${filename} (schema v${version})`);
+  return db;
+}
+
+function getDatabase() {
+  if (!database) {
+    throw new Error('Database not initialized');
+  }
+  return database;
+}
+
+async function closeDatabase() {
+  if (!database) return;
+
+  const db = database;
+  database = null;
+  await db.close();
+  logger.info('🗄️ Database closed');
+}
+
+module.exports = {
+  Database,
+  initializeDatabase,
+  getDatabase,
+  closeDatabase
+};
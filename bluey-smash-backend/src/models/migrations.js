@@ -0,0 +1,142 @@
+// Schema changes, applied in order at startup by models/database. Each runs in
+// its own transaction and is recorded in schema_migrations. Never edit one that
+// has shipped; add a new migration instead.
+//
+// Timestamps are milliseconds since the epoch; JSON columns hold objects the
+// server reads back whole.
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'players and match history',
+    up: `
+      CREATE TABLE players (
+        id TEXT PRIMARY KEY,
+        username TEXT NOT NULL,
+        email TEXT,
+        level INTEGER NOT NULL DEFAULT 1,
+        experience INTEGER NOT NULL DEFAULT 0,
+        rank TEXT NOT NULL DEFAULT 'Bronze',
+        character TEXT,
+        skin TEXT NOT NULL DEFAULT 'default',
+        total_games INTEGER NOT NULL DEFAULT 0,
+        games_won INTEGER NOT NULL DEFAULT 0,
+        total_knockouts INTEGER NOT NULL DEFAULT 0,
+        total_deaths INTEGER NOT NULL DEFAULT 0,
+        total_damage_dealt REAL NOT NULL DEFAULT 0,
+        total_damage_taken REAL NOT NULL DEFAULT 0,
+        favorite_character TEXT,
+        longest_win_streak INTEGER NOT NULL DEFAULT 0,
+        current_win_streak INTEGER NOT NULL DEFAULT 0,
+        hours_played REAL NOT NULL DEFAULT 0,
+        preferences TEXT NOT NULL DEFAULT '{}',
+        last_played INTEGER,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE matches (
+        id TEXT PRIMARY KEY,
+        room_id TEXT NOT NULL,
+        game_mode TEXT NOT NULL,
+        map_id TEXT NOT NULL,
+        settings TEXT NOT NULL,
+        winner TEXT,
+        tie INTEGER NOT NULL DEFAULT 0,
+        sudden_death INTEGER NOT NULL DEFAULT 0,
+        replay_id TEXT,
+        started_at INTEGER NOT NULL,
+        ended_at INTEGER NOT NULL,
+        duration INTEGER NOT NULL
+      );
+
+      -- Guests play matches too, so player_id is not a foreign key into players
+      CREATE TABLE match_participants (
+        match_id TEXT NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+        player_id TEXT NOT NULL,
+        username TEXT NOT NULL,
+        character TEXT,
+        team TEXT,
+        placement INTEGER NOT NULL,
+        won INTEGER NOT NULL,
+        knockouts INTEGER NOT NULL DEFAULT 0,
+        deaths INTEGER NOT NULL DEFAULT 0,
+        damage_dealt REAL NOT NULL DEFAULT 0,
+        damage_taken REAL NOT NULL DEFAULT 0,
+        result TEXT NOT NULL,
+        PRIMARY KEY (match_id, player_id)
+      );
+
+      CREATE INDEX idx_match_participants_player ON match_participants (player_id);
+      CREATE INDEX idx_matches_ended_at ON matches (ended_at);
+    `
+  },
+  {
+    version: 2,
+    name: 'account credentials and refresh tokens',
+    up: `
+      ALTER TABLE players ADD COLUMN password_hash TEXT;
+      CREATE UNIQUE INDEX idx_players_email ON players (email);
+
+      -- Only a hash of each token is kept. Tokens rotated from the same login
+      -- share a family so a replayed one can revoke the whole chain.
+      CREATE TABLE refresh_tokens (
+        token_hash TEXT PRIMARY KEY,
+        player_id TEXT NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+        family_id TEXT NOT NULL,
+        expires_at INTEGER NOT NULL,
+        revoked_at INTEGER,
+        created_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX idx_refresh_tokens_family ON refresh_tokens (family_id);
+    `
+  },
+  {
+    version: 3,
+    name: 'leaderboards',
+    up: `
+      ALTER TABLE players ADD COLUMN rating REAL NOT NULL DEFAULT 0;
+
+      -- Same formula as Player.updateRank, so existing profiles rank right away
+      UPDATE players SET rating = ROUND(1000 * (
+        0.6 * (CASE WHEN total_games > 0 THEN CAST(games_won AS REAL) / total_games ELSE 0 END) +
+        0.4 * MIN(CASE WHEN total_deaths > 0 THEN CAST(total_knockouts AS REAL) / total_deaths ELSE total_knockouts END, 3) / 3
+      ));
+
+      CREATE INDEX idx_players_rating ON players (rating);
+      CREATE INDEX idx_players_games_won ON players (games_won);
+      CREATE INDEX idx_players_total_knockouts ON players (total_knockouts);
+      CREATE INDEX idx_players_longest_win_streak ON players (longest_win_streak);
+      CREATE INDEX idx_match_participants_character ON match_participants (character);
+    `
+  },
+  {
+    version: 4,
+    name: 'glicko-2 ratings',
+    up: `
+      ALTER TABLE players ADD COLUMN rating_deviation REAL NOT NULL DEFAULT 350;
+      ALTER TABLE players ADD COLUMN rating_volatility REAL NOT NULL DEFAULT 0.06;
+      ALTER TABLE players ADD COLUMN rated_games INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE players ADD COLUMN rating_updated_at INTEGER;
+
+      -- The old win-rate score has no Glicko equivalent, so everyone re-places
+      UPDATE players SET rating = 1500, rank = 'Unranked';
+
+      DROP INDEX idx_players_rating;
+      CREATE INDEX idx_players_skill_rating ON players (rating - 2 * rating_deviation);
+      CREATE INDEX idx_players_rating_updated_at ON players (rating_updated_at);
+    `
+  }
+];
+
+// Catch ordering mistakes at startup instead of half-way through a migration
+MIGRATIONS.forEach((migration, index) => {
+  if (migration.version !== index + 1) {
+    throw new Error(`Migration ${migration.name} should be version ${index + 1}`);
+  }
+});
+
+module.exports = {
+  MIGRATIONS
+};
@@ -0,0 +1,23 @@
+// Knock opponents out for points; ends when one side is left standing or
+// someone reaches the target score
+module.exports = {
+  id: 'classic',
+  name: 'Classic',
+
+  isOver(room, sides) {
+    const activeSides = sides.filter(side => !side.eliminated);
+    return activeSides.length <= 1 || Math.max(...sides.map(side => side.score)) >= 10;
+  },
+
+  compare(a, b) {
+    return b.score - a.score;
+  },
+
+  summarize(stats) {
+    return {
+      score: stats.score,
+      kos: stats.kos,
+      deaths: stats.deaths
+    };
+  }
+};
@@ -0,0 +1,56 @@
+const { COLLECTIBLES } = require('../data/items');
+
+// Collectibles rain onto the stage and are worth their value in coins. A KO
+// costs half the fighter's coins; most coins when the clock runs out wins.
+const COIN_TYPES = Object.keys(COLLECTIBLES);
+const COIN_SPAWN_INTERVAL = 90; // Frames between coin drops
+const MAX_COINS = 6; // Collectibles on the stage at once before drops pause
+
+module.exports = {
+  id: 'coin',
+  name: 'Coin Battle',
+  endlessLives: true,
+
+  setup(state) {
+    for (const player of state.players.values()) {
+      player.coins = 0;
+    }
+  },
+
+  // Drops run whether or not items are enabled
+  tick(state) {
+    if (state.frame % COIN_SPAWN_INTERVAL !== 0) return;
+    if (state.gameElements.collectibles.size >= MAX_COINS) return;
+    
+    const type = COIN_TYPES[state.random.nextInt(COIN_TYPES.length)];
+    state.addCollectible(type, state.getRandomStagePosition());
+  },
+
+  onCollect(state, player, collectible) {
+    player.coins += collectible.value;
+  },
+
+  onKnockout(state, player) {
+    player.coins -= Math.floor(player.coins / 2);
+  },
+
+  getPlayerStats(state, player) {
+    return { coins: player.coins };
+  },
+
+  isOver(room) {
+    return room.isTimeUp();
+  },
+
+  compare(a, b) {
+    return b.coins !== a.coins ? b.coins - a.coins : b.kos - a.kos;
+  },
+
+  summarize(stats) {
+    return {
+      coins: stats.coins,
+      kos: stats.kos,
+      deaths: stats.deaths
+    };
+  }
+};
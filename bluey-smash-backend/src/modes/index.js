@@ -0,0 +1,69 @@
+// Game modes, one module per mode. GameState runs a mode's match rules inside
+// the simulation (so they roll back with everything else) and GameRoom asks it
+// when the match is over and how to rank the results. A mode exports:
+//
+//   id, name        identity and display name; ids are what room:create and
+//                   matchmaking preferences send as gameMode
+//   endlessLives    optional; knockouts never cost lives, the fighter just respawns
+//   setup(state)    optional; once after the players are placed, to add the
+//                   mode's per-player fields
+//   tick(state)     optional; every simulated frame, after players and items update
+//   onCollect(state, player, collectible)  optional; a collectible was picked up
+//   onKnockout(state, player, attacker)    optional; player was knocked out
+//   onSuddenDeath(state, player)           optional; player was just set up for sudden death
+//   getPlayerStats(state, player)          optional; extra per-player fields for public state and results
+//   getKnockbackDamage(state, player)      optional; the percent knockback is worked out from,
+//                                          in place of the player's damage
+//   isOver(room, sides)     win check after every frame; sides come from
+//                           GameRoom.getSides (teams, or each player alone)
+//   compare(a, b)   orders players and sides for results, best first
+//   summarize(stats)  result fields reported for a player or side
+
+const DEFAULT_GAME_MODE = 'classic';
+
+const GAME_MODES = new Map();
+
+function registerGameMode(mode) {
+  if (typeof mode.id !== 'string' || !/^[a-z][a-z-]*$/.test(mode.id)) {
+    throw new Error(`Invalid game mode id "${mode.id}"`);
+  }
+  for (const hook of ['isOver', 'compare', 'summarize']) {
+    if (typeof mode[hook] !== 'function') {
+      throw new Error(`Game mode ${mode.id} needs ${hook}()`);
+    }
+  }
+  if (GAME_MODES.has(mode.id)) {
+    throw new Error(`Duplicate game mode id "${mode.id}"`);
+  }
+  GAME_MODES.set(mode.id, mode);
+  return mode;
+}
+
+function hasGameMode(modeId) {
+  return GAME_MODES.has(modeId);
+}
+
+// Unknown ids fall back to the default mode; rooms reject them up front
+function getGameMode(modeId) {
+  return GAME_MODES.get(modeId) || GAME_MODES.get(DEFAULT_GAME_MODE);
+}
+
+// What clients need to offer the modes
+function getGameModeList() {
+  return Array.from(GAME_MODES.values()).map(mode => ({ id: mode.id, name: mode.name }));
+}
+
+registerGameMode(require('./classic'));
+registerGameMode(require('./time'));
+registerGameMode(require('./stock'));
+registerGameMode(require('./coin'));
+registerGameMode(require('./stamina'));
+registerGameMode(require('./kingOfTheHill'));
+
+module.exports = {
+  DEFAULT_GAME_MODE,
+  registerGameMode,
+  hasGameMode,
+  getGameMode,
+  getGameModeList
+};
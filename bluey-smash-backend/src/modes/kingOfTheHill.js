@@ -0,0 +1,56 @@
+// Stand in the stage's hill zone with no opponent inside to score hill time.
+// The first side to hold it for settings.hillTarget seconds wins; otherwise the
+// most hill time when the clock runs out does. Lives are unlimited.
+function isOnHill(player, hill) {
+  return player.position.x >= hill.x && player.position.x <= hill.x + hill.width &&
+    player.position.y >= hill.y && player.position.y <= hill.y + hill.height;
+}
+
+module.exports = {
+  id: 'king-of-the-hill',
+  name: 'King of the Hill',
+  endlessLives: true,
+
+  setup(state) {
+    for (const player of state.players.values()) {
+      player.hillFrames = 0;
+    }
+  },
+
+  tick(state) {
+    const hill = state.map.hill;
+    if (!hill) return;
+    
+    const occupants = Array.from(state.players.values())
+      .filter(player => !player.eliminated && !player.isRespawning && isOnHill(player, hill));
+    if (occupants.length === 0) return;
+    
+    // Contested while more than one side is on it
+    const sides = new Set(occupants.map(player => player.team || player.socketId));
+    if (sides.size > 1) return;
+    
+    // One frame of hill time per frame held, taken in turn by teammates sharing it
+    occupants[state.frame % occupants.length].hillFrames++;
+  },
+
+  getPlayerStats(state, player) {
+    return { hillFrames: player.hillFrames };
+  },
+
+  isOver(room, sides) {
+    const target = room.settings.hillTarget * room.tickRate;
+    return room.isTimeUp() || sides.some(side => side.hillFrames >= target);
+  },
+
+  compare(a, b) {
+    return b.hillFrames !== a.hillFrames ? b.hillFrames - a.hillFrames : b.kos - a.kos;
+  },
+
+  summarize(stats) {
+    return {
+      hillFrames: stats.hillFrames,
+      kos: stats.kos,
+      deaths: stats.deaths
+    };
+  }
+};
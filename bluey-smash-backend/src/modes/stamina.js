@@ -0,0 +1,55 @@
+// Damage counts down a fixed pool of HP (settings.staminaHp) instead of raising
+// knockback; running out is a KO just like leaving the blast zones. Last side
+// with lives left wins.
+function getMaxHp(state) {
+  return state.settings.staminaHp || 150;
+}
+
+// Percent every hit's knockback is worked out from, however much HP is gone
+const KNOCKBACK_DAMAGE = 50;
+
+module.exports = {
+  id: 'stamina',
+  name: 'Stamina',
+
+  tick(state) {
+    const maxHp = getMaxHp(state);
+    for (const player of state.players.values()) {
+      if (player.eliminated || player.isRespawning) continue;
+      if (player.damage >= maxHp) {
+        state.knockoutPlayer(player, state.getKnockoutCredit(player));
+      }
+    }
+  },
+
+  // Sudden death percent would be an instant KO here; one hit left instead
+  onSuddenDeath(state, player) {
+    player.damage = getMaxHp(state) - 1;
+  },
+
+  getKnockbackDamage() {
+    return KNOCKBACK_DAMAGE;
+  },
+
+  getPlayerStats(state, player) {
+    return { hp: Math.max(0, getMaxHp(state) - player.damage) };
+  },
+
+  isOver(room, sides) {
+    return sides.filter(side => side.lives > 0).length <= 1;
+  },
+
+  // First by lives remaining, then by HP left
+  compare(a, b) {
+    return b.lives !== a.lives ? b.lives - a.lives : b.hp - a.hp;
+  },
+
+  summarize(stats) {
+    return {
+      lives: stats.lives,
+      hp: stats.hp,
+      kos: stats.kos,
+      deaths: stats.deaths
+    };
+  }
+};
@@ -0,0 +1,26 @@
+// Last side with lives left wins
+module.exports = {
+  id: 'stock',
+  name: 'Stock',
+
+  isOver(room, sides) {
+    return sides.filter(side => side.lives > 0).length <= 1;
+  },
+
+  // First by lives remaining, then by score
+  compare(a, b) {
+    if (b.lives !== a.lives) {
+      return b.lives - a.lives;
+    }
+    return b.score - a.score;
+  },
+
+  summarize(stats) {
+    return {
+      lives: stats.lives,
+      score: stats.score,
+      kos: stats.kos,
+      deaths: stats.deaths
+    };
+  }
+};
@@ -0,0 +1,24 @@
+// Unlimited lives until the clock runs out; KOs scored minus falls decides it
+module.exports = {
+  id: 'time',
+  name: 'Time',
+  endlessLives: true,
+
+  isOver(room) {
+    return room.isTimeUp();
+  },
+
+  compare(a, b) {
+    const net = (b.kos - b.deaths) - (a.kos - a.deaths);
+    return net !== 0 ? net : b.score - a.score;
+  },
+
+  summarize(stats) {
+    return {
+      net: stats.kos - stats.deaths,
+      kos: stats.kos,
+      deaths: stats.deaths,
+      score: stats.score
+    };
+  }
+};
@@ -9,11 +9,12 @@ const morgan = require('morgan');
 require('dotenv').config();
 
 const GameManager = require('./services/GameManager');
+const { characterRegistry } = require('./services/CharacterRegistry');
 const SocketHandler = require('./websocket/SocketHandler');
 const authRoutes = require('./controllers/authController');
 const gameRoutes = require('./controllers/gameController');
 const statsRoutes = require('./controllers/statsController');
-const { initializeDatabase } = require('./models/database');
+const { initializeDatabase, closeDatabase } = require('./models/database');
 const { logger } = require('./utils/logger');
 const { validateEnvironment } = require('./utils/validation');
 
@@ -84,7 +85,7 @@ class BlueySmashServer {
     });
 
     // API routes
-    this.app.use('/api/auth', authRoutes);
+    this.app.use('/api/auth', authRoutes(this.gameManager));
     this.app.use('/api/game', gameRoutes(this.gameManager));
     this.app.use('/api/stats', statsRoutes(this.gameManager));
 
@@ -115,6 +116,9 @@ class BlueySmashServer {
       // Initialize database
       await initializeDatabase();
       
+      // Load and validate character definitions
+      characterRegistry.load();
+      
       // Start game manager
       await this.gameManager.initialize();
 
@@ -145,6 +149,9 @@ class BlueySmashServer {
     // Stop game manager
     await this.gameManager.shutdown();
     
+    // Profiles were saved above, so the database can go
+    await closeDatabase();
+    
     // Close HTTP server
     this.server.close(() => {
       logger.info('✅ Server shutdown complete');
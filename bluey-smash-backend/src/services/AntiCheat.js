@@ -1,4 +1,5 @@
 const { logger } = require('../utils/logger');
+const { EVENTS } = require('../../../shared/protocol');
 
 class AntiCheat {
   constructor() {
@@ -16,7 +17,8 @@ class AntiCheat {
       invalidStates: 10, // Invalid game states per minute
       healthManipulation: 3, // Suspicious health changes
       scoreManipulation: 5, // Suspicious score changes
-      positionRollback: 50 // Max rollback distance
+      positionRollback: 50, // Max rollback distance
+      rewindHistorySize: 100 // Lag-compensated attacks kept per player for review
     };
     
     // Time windows for tracking
@@ -127,6 +129,9 @@ class AntiCheat {
       lastGroundTime: Date.now(),
       impossibleActions: 0,
       
+      // Lag-compensated attacks (how far the server rewound defenders)
+      rewindHistory: [],
+      
       // Performance metrics
       averageLatency: 0,
       latencyHistory: [],
@@ -490,7 +495,9 @@ class AntiCheat {
       damage_hack: { medium: 1, high: 1, critical: 2 },
       physics_violation: { medium: 5, high: 10, critical: 20 },
       impossible_state: { medium: 3, high: 8, critical: 15 },
-      attack_spam: { medium: 5, high: 12, critical: 25 }
+      attack_spam: { medium: 5, high: 12, critical: 25 },
+      // Lag spikes also trip this, so it takes a lot before it matters
+      excessive_rewind: { medium: 10, high: 25, critical: 50 }
     };
     
     const rules = severityRules[violationType] || { medium: 5, high: 10, critical: 20 };
@@ -513,7 +520,7 @@ class AntiCheat {
     
     // Send warning to player
     if (player.socket) {
-      player.socket.emit('anti-cheat:warning', {
+      player.socket.emit(EVENTS.ANTI_CHEAT_WARNING, {
         type: violationType,
         message: 'Suspicious activity detected. Please play fairly.',
         warningCount: playerData.warningCount
@@ -525,7 +532,7 @@ class AntiCheat {
     logger.info(`👢 Kicking ${player.username} for ${violationType}`);
     
     if (player.socket) {
-      player.socket.emit('anti-cheat:kick', {
+      player.socket.emit(EVENTS.ANTI_CHEAT_KICK, {
         reason: violationType,
         message: 'You have been kicked for suspicious activity.'
       });
@@ -541,7 +548,7 @@ class AntiCheat {
     logger.warn(`🔨 Banned ${player.username} (${player.id}) for ${violationType}`);
     
     if (player.socket) {
-      player.socket.emit('anti-cheat:ban', {
+      player.socket.emit(EVENTS.ANTI_CHEAT_BAN, {
         reason: violationType,
         message: 'You have been banned for cheating.'
       });
@@ -560,6 +567,35 @@ class AntiCheat {
     });
   }
 
+  // Lag compensation: the server rewound defenders for one of this player's attacks
+  recordRewind(player, record) {
+    if (!this.enabled) return;
+    
+    if (!this.playerData.has(player.socketId)) {
+      this.initializePlayerTracking(player);
+    }
+    
+    const playerData = this.playerData.get(player.socketId);
+    playerData.rewindHistory.push({ timestamp: Date.now(), ...record });
+    if (playerData.rewindHistory.length > this.thresholds.rewindHistorySize) {
+      playerData.rewindHistory.shift();
+    }
+    
+    // The client claimed to be looking further back than we allow
+    if (record.requestedRewind > record.rewindFrames) {
+      this.recordViolation(player, 'excessive_rewind', {
+        frame: record.frame,
+        requestedRewind: record.requestedRewind,
+        maxRewind: record.rewindFrames
+      });
+    }
+  }
+
+  getRewindHistory(socketId) {
+    const playerData = this.playerData.get(socketId);
+    return playerData ? playerData.rewindHistory : [];
+  }
+
   isPlayerBanned(playerId) {
     return this.banList.has(playerId);
   }
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('../utils/logger');
+const Player = require('../models/Player');
+const { playerRepository } = require('../models/PlayerRepository');
+const { refreshTokenRepository } = require('../models/RefreshTokenRepository');
+
+const TOKEN_ISSUER = 'bluey-smash';
+const ACCESS_AUDIENCE = 'bluey-smash:access';
+const GUEST_AUDIENCE = 'bluey-smash:guest';
+const GUEST_TOKEN_TTL = '1d';
+const BCRYPT_ROUNDS = 12;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Thrown for anything the client got wrong; status is the HTTP status to answer with
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Accounts, passwords and the tokens this server issues. Access tokens are
+// short-lived JWTs; refresh tokens are opaque, single use and rotated.
+class AuthService {
+  constructor() {
+    this.accessTokenTtl = process.env.JWT_EXPIRES_IN || '15m';
+    this.refreshTokenTtlMs = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * DAY_MS;
+    this.dummyHash = null; // Compared against for unknown emails, so timing does not leak them
+  }
+
+  // guest: { id, player } when a guest is upgrading; player is null if they
+  // are no longer connected, in which case their stats, rating and character
+  // usage are rebuilt from the matches recorded under their id
+  async register({ username, email, password }, guest = null) {
+    if (await playerRepository.findCredentials(email)) {
+      throw new AuthError('Email already registered', 409);
+    }
+    if (guest && await playerRepository.findById(guest.id)) {
+      throw new AuthError('Guest already upgraded to an account', 409);
+    }
+
+    const player = (guest && guest.player) || new Player(null, { id: guest ? guest.id : undefined, username });
+    player.username = username;
+    player.email = email;
+    player.isRegistered = true;
+
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    try {
+      await playerRepository.create(player, passwordHash, { fromHistory: Boolean(guest && !guest.player) });
+    } catch (error) {
+      // Another registration took the email between the check above and this insert
+      if (error.code === 'SQLITE_CONSTRAINT') {
+        throw new AuthError('Email already registered', 409);
+      }
+      throw error;
+    }
+
+    logger.info(`📝 Account registered: ${username}${guest ? ' (upgraded from guest)' : ''}`);
+    return {
+      player: player.getAccountData(),
+      ...(await this.createSession(player.id))
+    };
+  }
+
+  async login({ email, password }) {
+    const credentials = await playerRepository.findCredentials(email);
+    if (!this.dummyHash) {
+      this.dummyHash = await bcrypt.hash('', BCRYPT_ROUNDS);
+    }
+
+    const valid = await bcrypt.compare(password, credentials ? credentials.passwordHash : this.dummyHash);
+    if (!credentials || !valid) {
+      throw new AuthError('Invalid email or password');
+    }
+
+    const profile = await playerRepository.findById(credentials.id);
+    return {
+      player: new Player(null, profile).getAccountData(),
+      ...(await this.createSession(credentials.id))
+    };
+  }
+
+  // Trades a refresh token for a new pair. A token that was already used means
+  // it leaked, so every token from that login is revoked.
+  async refresh(refreshToken) {
+    const tokenHash = hashToken(refreshToken);
+    const stored = await refreshTokenRepository.findByHash(tokenHash);
+    if (!stored) {
+      throw new AuthError('Invalid refresh token');
+    }
+
+    if (stored.revokedAt || !(await refreshTokenRepository.revoke(tokenHash))) {
+      await refreshTokenRepository.revokeFamily(stored.familyId);
+      logger.warn(`🚨 Refresh token reused for player ${stored.playerId}; session revoked`);
+      throw new AuthError('Refresh token already used');
+    }
+
+    if (stored.expiresAt <= Date.now()) {
+      throw new AuthError('Refresh token expired');
+    }
+
+    return this.createSession(stored.playerId, stored.familyId);
+  }
+
+  // Ends the login the token belongs to; unknown tokens are ignored
+  async logout(refreshToken) {
+    const stored = await refreshTokenRepository.findByHash(hashToken(refreshToken));
+    if (stored) {
+      await refreshTokenRepository.revokeFamily(stored.familyId);
+    }
+  }
+
+  async createSession(playerId, familyId = uuidv4()) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    await refreshTokenRepository.create({
+      tokenHash: hashToken(refreshToken),
+      playerId,
+      familyId,
+      expiresAt: Date.now() + this.refreshTokenTtlMs
+    });
+
+    return {
+      accessToken: this.sign(playerId, ACCESS_AUDIENCE, this.accessTokenTtl),
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: this.accessTokenTtl
+    };
+  }
+
+  // Returns the player id; throws unless this server issued the token
+  verifyAccessToken(token) {
+    return this.verify(token, ACCESS_AUDIENCE);
+  }
+
+  // Handed to guests at auth:guest so they can later prove who to upgrade
+  signGuestToken(playerId) {
+    return this.sign(playerId, GUEST_AUDIENCE, GUEST_TOKEN_TTL);
+  }
+
+  verifyGuestToken(token) {
+    return this.verify(token, GUEST_AUDIENCE);
+  }
+
+  sign(playerId, audience, expiresIn) {
+    return jwt.sign({}, process.env.JWT_SECRET, {
+      algorithm: 'HS256',
+      subject: playerId,
+      issuer: TOKEN_ISSUER,
+      audience,
+      expiresIn
+    });
+  }
+
+  verify(token, audience) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+        algorithms: ['HS256'],
+        issuer: TOKEN_ISSUER,
+        audience
+      });
+      return decoded.sub;
+    } catch (error) {
+      throw new AuthError(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+    }
+  }
+}
+
+const authService = new AuthService();
+
+module.exports = {
+  AuthError,
+  AuthService,
+  authService
+};
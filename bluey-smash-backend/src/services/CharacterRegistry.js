@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { DEFAULT_MOVESET } = require('../data/moves');
+
+// Fighters are defined one per file in src/data/characters (.json or .js
+// exporting the same shape). Adding a character means adding a file:
+//
+//   id         unique id, must match what clients send in player:character
+//   name       display name
+//   order      optional position on the character select screen
+//   stats      { speed, strength, agility, weight }
+//   abilities  special ability ids
+//   specials   { neutral, side, up, down } ability per special direction; each must
+//              be in abilities. Defaults to the abilities in that order; a
+//              direction without one uses the generic special from data/moves.js
+//   hurtbox    { width, height } centred on the fighter's position
+//   recovery   { midairJumps, upSpecials } usable per trip off the ground; both
+//              refill on landing or grabbing a ledge. Defaults to one of each
+//   skins      skin ids; 'default' is always available
+//   moves      optional per-move overrides of DEFAULT_MOVESET (see data/moves.js)
+
+const CHARACTERS_DIR = path.join(__dirname, '../data/characters');
+const DEFAULT_CHARACTER = 'bluey';
+const STAT_NAMES = ['speed', 'strength', 'agility', 'weight'];
+const SPECIAL_DIRECTIONS = ['neutral', 'side', 'up', 'down'];
+
+class CharacterRegistry {
+  constructor(directory = CHARACTERS_DIR) {
+    this.directory = directory;
+    this.characters = new Map();
+    this.loaded = false;
+  }
+
+  // Reads and validates every definition; a bad file stops startup rather than
+  // surfacing mid-match
+  load() {
+    const definitions = [];
+    const files = fs.readdirSync(this.directory)
+      .filter(file => file.endsWith('.json') || file.endsWith('.js'))
+      .sort();
+
+    for (const file of files) {
+      const definition = require(path.join(this.directory, file));
+      const character = this.validate(definition, file);
+
+      if (definitions.some(existing => existing.id === character.id)) {
+        throw new Error(`Duplicate character id "${character.id}" in ${file}`);
+      }
+      definitions.push(character);
+    }
+
+    // Roster order decides character select and who gets auto-assigned first
+    definitions.sort((a, b) => a.order - b.order);
+    const characters = new Map(definitions.map(character => [character.id, character]));
+
+    if (!characters.has(DEFAULT_CHARACTER)) {
+      throw new Error(`Default character "${DEFAULT_CHARACTER}" is not defined`);
+    }
+
+    this.characters = characters;
+    this.loaded = true;
+    logger.info(`🐶 Loaded ${characters.size} characters: ${Array.from(characters.keys()).join(', ')}`);
+    return this;
+  }
+
+  validate(definition, source) {
+    const fail = reason => {
+      throw new Error(`Invalid character definition ${source}: ${reason}`);
+    };
+
+    if (!definition || typeof definition !== 'object') fail('must be an object');
+    if (typeof definition.id !== 'string' || !/^[a-z][a-z0-9-]*$/.test(definition.id)) {
+      fail('id must be a lowercase string');
+    }
+    if (typeof definition.name !== 'string' || !definition.name) fail('name is required');
+    if (definition.order !== undefined && typeof definition.order !== 'number') {
+      fail('order must be a number');
+    }
+
+    const stats = definition.stats || {};
+    for (const stat of STAT_NAMES) {
+      if (typeof stats[stat] !== 'number' || stats[stat] <= 0) {
+        fail(`stats.${stat} must be a positive number`);
+      }
+    }
+
+    const abilities = definition.abilities || [];
+    if (!Array.isArray(abilities) || abilities.some(ability => typeof ability !== 'string')) {
+      fail('abilities must be a list of ability ids');
+    }
+
+    const specials = {};
+    if (definition.specials) {
+      for (const [direction, ability] of Object.entries(definition.specials)) {
+        if (!SPECIAL_DIRECTIONS.includes(direction)) fail(`unknown special direction "${direction}"`);
+        if (!abilities.includes(ability)) fail(`specials.${direction} "${ability}" is not in abilities`);
+        specials[direction] = ability;
+      }
+    } else {
+      SPECIAL_DIRECTIONS.forEach((direction, index) => {
+        if (abilities[index]) specials[direction] = abilities[index];
+      });
+    }
+
+    const hurtbox = definition.hurtbox || { width: 40, height: 80 };
+    if (!(hurtbox.width > 0) || !(hurtbox.height > 0)) {
+      fail('hurtbox needs a positive width and height');
+    }
+
+    const recovery = { midairJumps: 1, upSpecials: 1, ...definition.recovery };
+    for (const field of ['midairJumps', 'upSpecials']) {
+      if (!Number.isInteger(recovery[field]) || recovery[field] < 0) {
+        fail(`recovery.${field} must be a whole number`);
+      }
+    }
+    
+    const skins = definition.skins || ['default'];
+    if (!Array.isArray(skins) || skins.some(skin => typeof skin !== 'string')) {
+      fail('skins must be a list of skin ids');
+    }
+
+    const moves = definition.moves || {};
+    for (const [moveId, move] of Object.entries(moves)) {
+      if (!DEFAULT_MOVESET[moveId]) fail(`unknown move "${moveId}"`);
+      for (const field of ['startup', 'active', 'recovery']) {
+        if (!Number.isInteger(move[field]) || move[field] < 0) {
+          fail(`moves.${moveId}.${field} must be a whole number of frames`);
+        }
+      }
+      if (!Array.isArray(move.hitboxes)) fail(`moves.${moveId}.hitboxes must be a list`);
+    }
+
+    return {
+      id: definition.id,
+      name: definition.name,
+      order: definition.order !== undefined ? definition.order : Infinity,
+      stats: { ...stats },
+      abilities: [...abilities],
+      specials,
+      hurtbox: { width: hurtbox.width, height: hurtbox.height },
+      recovery: { midairJumps: recovery.midairJumps, upSpecials: recovery.upSpecials },
+      skins: skins.includes('default') ? [...skins] : ['default', ...skins],
+      moves
+    };
+  }
+
+  ensureLoaded() {
+    if (!this.loaded) this.load();
+  }
+
+  has(characterId) {
+    this.ensureLoaded();
+    return this.characters.has(characterId);
+  }
+
+  get(characterId) {
+    this.ensureLoaded();
+    return this.characters.get(characterId) || null;
+  }
+
+  getDefault() {
+    return this.get(DEFAULT_CHARACTER);
+  }
+
+  getIds() {
+    this.ensureLoaded();
+    return Array.from(this.characters.keys());
+  }
+
+  hasSkin(characterId, skinId) {
+    const character = this.get(characterId);
+    return character ? character.skins.includes(skinId) : skinId === 'default';
+  }
+
+  // What the lobby needs for character select; move data stays on the server
+  getRoster() {
+    this.ensureLoaded();
+    const roster = {};
+    for (const character of this.characters.values()) {
+      roster[character.id] = {
+        name: character.name,
+        abilities: character.abilities,
+        specials: character.specials,
+        stats: character.stats,
+        recovery: character.recovery,
+        skins: character.skins
+      };
+    }
+    return roster;
+  }
+}
+
+const characterRegistry = new CharacterRegistry();
+
+module.exports = {
+  CharacterRegistry,
+  characterRegistry
+};
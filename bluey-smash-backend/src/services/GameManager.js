@@ -2,8 +2,15 @@ const { v4: uuidv4 } = require('uuid');
 const { logger } = require('../utils/logger');
 const GameRoom = require('./GameRoom');
 const Player = require('../models/Player');
+const { playerRepository } = require('../models/PlayerRepository');
 const AntiCheat = require('./AntiCheat');
 const ReplaySystem = require('./ReplaySystem');
+const { ratingService } = require('./RatingService');
+const { EVENTS } = require('../../../shared/protocol');
+const { DEFAULT_STAGE } = require('../../../shared/stages');
+const { DEFAULT_GAME_MODE, hasGameMode } = require('../modes');
+
+const RATING_DECAY_INTERVAL = 60 * 60 * 1000; // Hourly; decay itself is per day idle
 
 class GameManager {
   constructor() {
@@ -19,6 +26,7 @@ class GameManager {
     this.spectatorLimit = parseInt(process.env.SPECTATOR_LIMIT) || 50;
     
     this.gameLoop = null;
+    this.ratingDecayTimer = null;
     this.stats = {
       totalGames: 0,
       activeRooms: 0,
@@ -40,6 +48,10 @@ class GameManager {
     // Initialize replay system
     await this.replaySystem.initialize();
     
+    // Catch up on rating decay, then keep it current
+    await this.decayRatings();
+    this.ratingDecayTimer = setInterval(() => this.decayRatings(), RATING_DECAY_INTERVAL);
+    
     logger.info('✅ Game Manager initialized successfully');
   }
 
@@ -59,6 +71,8 @@ class GameManager {
       if (room.isActive()) {
         room.tick();
       }
+      this.reportRewinds(room);
+      this.reportStatusEvents(room);
     }
     
     // Clean up inactive rooms
@@ -102,6 +116,11 @@ class GameManager {
     this.players.delete(socketId);
     this.stats.totalPlayers = this.players.size;
     
+    if (player.isRegistered) {
+      playerRepository.save(player)
+        .catch(error => logger.error(`Failed to save profile for ${player.username}:`, error));
+    }
+    
     logger.info(`👋 Player disconnected: ${player.username} (${socketId})`);
     return player;
   }
@@ -110,6 +129,14 @@ class GameManager {
     return this.players.get(socketId);
   }
 
+  // By player id rather than socket, for callers outside the socket layer
+  findPlayerById(playerId) {
+    for (const player of this.players.values()) {
+      if (player.id === playerId) return player;
+    }
+    return null;
+  }
+
   // Room Management
   createRoom(hostSocketId, roomConfig = {}) {
     const roomId = uuidv4();
@@ -121,10 +148,12 @@ class GameManager {
 
     const room = new GameRoom(roomId, host, {
       maxPlayers: Math.min(roomConfig.maxPlayers || 4, this.maxPlayersPerRoom),
-      gameMode: roomConfig.gameMode || 'classic',
-      mapId: roomConfig.mapId || 'backyard',
+      gameMode: roomConfig.gameMode || DEFAULT_GAME_MODE,
+      mapId: roomConfig.mapId || DEFAULT_STAGE,
       isPrivate: roomConfig.isPrivate || false,
-      ...roomConfig
+      ...roomConfig,
+      tickRate: this.gameTickRate,
+      findOnlinePlayer: playerId => this.findPlayerById(playerId)
     });
 
     this.rooms.set(roomId, room);
@@ -216,9 +245,13 @@ class GameManager {
     if (!player) throw new Error('Player not found');
     if (player.roomId) throw new Error('Player already in a room');
 
+    // Without an explicit mode, queue for the one in the player's saved preferences
+    const gameMode = preferences.gameMode || player.preferences.gameMode || DEFAULT_GAME_MODE;
+    if (!hasGameMode(gameMode)) throw new Error(`Unknown game mode: ${gameMode}`);
+
     this.matchmaking.set(socketId, {
       player,
-      preferences,
+      preferences: { ...preferences, gameMode },
       joinedAt: Date.now()
     });
 
@@ -247,7 +280,7 @@ class GameManager {
     const groups = new Map();
     
     for (const entry of waitingPlayers) {
-      const key = `${entry.preferences.gameMode || 'classic'}_${entry.preferences.mapId || 'backyard'}`;
+      const key = `${entry.preferences.gameMode}_${entry.preferences.mapId || DEFAULT_STAGE}`;
       if (!groups.has(key)) groups.set(key, []);
       groups.get(key).push(entry);
     }
@@ -293,6 +326,9 @@ class GameManager {
     const room = this.rooms.get(roomId);
     if (!room) throw new Error('Room not found');
     
+    const player = this.players.get(socketId);
+    if (!player) throw new Error('Player not found');
+    
     const spectators = this.spectators.get(roomId) || new Set();
     if (spectators.size >= this.spectatorLimit) {
       throw new Error('Spectator limit reached');
@@ -300,6 +336,7 @@ class GameManager {
     
     spectators.add(socketId);
     this.spectators.set(roomId, spectators);
+    room.addSpectator(player);
     
     logger.info(`👁️ Spectator ${socketId} joined room ${roomId}`);
     return room.getSpectatorData();
@@ -309,6 +346,7 @@ class GameManager {
     for (const [roomId, spectators] of this.spectators) {
       if (spectators.has(socketId)) {
         spectators.delete(socketId);
+        this.rooms.get(roomId)?.removeSpectator(socketId);
         if (spectators.size === 0) {
           this.spectators.delete(roomId);
         }
@@ -323,6 +361,14 @@ class GameManager {
     return this.spectators.get(roomId) || new Set();
   }
 
+  // The room a socket is watching, if any
+  getSpectatedRoom(socketId) {
+    for (const [roomId, spectators] of this.spectators) {
+      if (spectators.has(socketId)) return this.rooms.get(roomId) || null;
+    }
+    return null;
+  }
+
   // Game Session Management
   startGameSession(roomId) {
     const room = this.rooms.get(roomId);
@@ -363,6 +409,33 @@ class GameManager {
     return this.antiCheat.validateAction(player, action);
   }
 
+  reportRewinds(room) {
+    for (const record of room.takeSettledRewinds()) {
+      const player = this.players.get(record.attackerId);
+      if (player) {
+        this.antiCheat.recordRewind(player, { ...record, roomId: room.id });
+      }
+    }
+  }
+
+  // Status changes only go out once settled, so a rollback never has to take one back
+  reportStatusEvents(room) {
+    const events = room.takeSettledStatusEvents();
+    if (events.length === 0) return;
+    
+    room.broadcast(EVENTS.GAME_STATUS_EFFECTS, { events });
+    
+    if (room.replayId) {
+      for (const event of events) {
+        this.replaySystem.recordEvent(room.replayId, {
+          frame: event.frame,
+          type: 'status_effect',
+          data: event
+        });
+      }
+    }
+  }
+
   reportSuspiciousActivity(socketId, activity) {
     const player = this.players.get(socketId);
     if (!player) return;
@@ -398,6 +471,29 @@ class GameManager {
     };
   }
 
+  async decayRatings() {
+    const now = Date.now();
+    for (const player of this.players.values()) {
+      player.applyRatingDecay(now);
+    }
+    
+    try {
+      await ratingService.decayInactive(now);
+    } catch (error) {
+      logger.error('Failed to apply rating decay:', error);
+    }
+  }
+
+  async saveProfiles() {
+    const registered = Array.from(this.players.values()).filter(player => player.isRegistered);
+    
+    try {
+      await Promise.all(registered.map(player => playerRepository.save(player)));
+    } catch (error) {
+      logger.error('Failed to save player profiles:', error);
+    }
+  }
+
   async shutdown() {
     logger.info('🛑 Shutting down Game Manager...');
     
@@ -405,10 +501,11 @@ class GameManager {
     if (this.gameLoop) {
       clearInterval(this.gameLoop);
     }
+    clearInterval(this.ratingDecayTimer);
     
     // Notify all players about shutdown
     for (const room of this.rooms.values()) {
-      room.broadcast('server:shutdown', { 
+      room.broadcast(EVENTS.SERVER_SHUTDOWN, { 
         message: 'Server is shutting down',
         gracePeriod: 30000 
       });
@@ -416,6 +513,7 @@ class GameManager {
     
     // Save any pending data
     await this.replaySystem.shutdown();
+    await this.saveProfiles();
     
     logger.info('✅ Game Manager shutdown complete');
   }
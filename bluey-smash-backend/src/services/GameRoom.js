@@ -1,34 +1,67 @@
 const { v4: uuidv4 } = require('uuid');
 const { logger } = require('../utils/logger');
 const GameState = require('../models/GameState');
+const { characterRegistry } = require('./CharacterRegistry');
 const { validateGameInput } = require('../utils/validation');
+const { seedFromId } = require('../utils/random');
+const { isBinaryEvent, encodeServerEvent } = require('../../../shared/binaryCodec');
+const { EVENTS } = require('../../../shared/protocol');
+const { DEFAULT_STAGE, hasStage } = require('../../../shared/stages');
+const { ITEM_FREQUENCIES } = require('../data/items');
+const { TEAMS, TEAM_IDS } = require('../data/teams');
+const { DEFAULT_GAME_MODE, hasGameMode, getGameMode } = require('../modes');
+const { playerRepository } = require('../models/PlayerRepository');
+const { matchRepository } = require('../models/MatchRepository');
+const { leaderboardService } = require('./LeaderboardService');
+const { ratingService } = require('./RatingService');
 
 class GameRoom {
   constructor(id, host, config = {}) {
     this.id = id;
     this.host = host;
     this.players = new Map();
+    this.spectators = new Map(); // socketId -> Player watching; sent state updates like players
     this.gameState = new GameState();
     
     // Room configuration
     this.maxPlayers = config.maxPlayers || 4;
-    this.gameMode = config.gameMode || 'classic';
-    this.mapId = config.mapId || 'backyard';
+    this.gameMode = config.gameMode || DEFAULT_GAME_MODE;
+    if (!hasGameMode(this.gameMode)) {
+      throw new Error(`Unknown game mode: ${this.gameMode}`);
+    }
+    this.mode = getGameMode(this.gameMode);
+    this.mapId = config.mapId || DEFAULT_STAGE;
+    if (!hasStage(this.mapId)) {
+      throw new Error(`Unknown stage: ${this.mapId}`);
+    }
     this.isPrivate = config.isPrivate || false;
+    this.tickRate = config.tickRate || 60;
     this.settings = {
       stockLives: config.stockLives || 3,
       timeLimit: config.timeLimit || 300, // 5 minutes
+      staminaHp: config.staminaHp || 150, // HP per life in stamina
+      hillTarget: config.hillTarget || 30, // Seconds on the hill to win king of the hill
+      suddenDeath: config.suddenDeath !== false, // Off: a tie for first ends the match as a tie
+      suddenDeathTime: config.suddenDeathTime || 60, // Seconds before an undecided sudden death ends as a tie
       itemsEnabled: config.itemsEnabled !== false,
+      itemFrequency: config.itemFrequency || 'medium',
       teamMode: config.teamMode || false,
+      teamCount: config.teamCount || 2,
+      friendlyFire: config.friendlyFire || false,
+      teamStocks: config.teamStocks || false, // Eliminated teammates borrow lives from the rest of the team
       ...config.settings
     };
     
     // Game session state
     this.sessionId = null;
+    this.seed = null;
     this.isGameActive = false;
     this.gameStartTime = null;
     this.gameEndTime = null;
     this.gameResults = null;
+    this.matchRoster = new Map(); // socketId -> Player for everyone who started the match
+    this.findOnlinePlayer = config.findOnlinePlayer || (() => null); // Live session by player id
+    this.suddenDeath = null; // { startFrame, sides, players, standings } once a tie goes to sudden death
     
     // Room metadata
     this.createdAt = Date.now();
@@ -40,30 +73,31 @@ class GameRoom {
     this.confirmedFrame = 0;
     this.currentFrame = 0;
     
-    // Bluey-specific character data
-    this.blueyCharacters = {
-      'bluey': {
-        name: 'Bluey',
-        abilities: ['keepy-uppy', 'shadowlands', 'dance-mode'],
-        stats: { speed: 8, strength: 6, agility: 9 }
-      },
-      'bingo': {
-        name: 'Bingo',
-        abilities: ['magic-asparagus', 'sleepytime', 'featherwand'],
-        stats: { speed: 7, strength: 5, agility: 8 }
-      },
-      'bandit': {
-        name: 'Bandit (Dad)',
-        abilities: ['takeaway', 'shadowlands', 'dad-dance'],
-        stats: { speed: 6, strength: 9, agility: 7 }
-      },
-      'chilli': {
-        name: 'Chilli (Mum)',
-        abilities: ['meditation', 'helicopter', 'yoga-ball'],
-        stats: { speed: 7, strength: 7, agility: 8 }
-      }
+    // State snapshots taken at the start of each frame, indexed like inputBuffer
+    this.snapshotBuffer = new Array(120).fill(null);
+    this.maxRollbackFrames = config.maxRollbackFrames || 60;
+    this.maxInputDelay = config.maxInputDelay || 30; // How far ahead of currentFrame an input may be stamped
+    this.pendingRollbackFrame = null; // Earliest frame a late input changed, replayed once per tick
+    this.rollbackStats = {
+      rollbacks: 0,
+      framesResimulated: 0,
+      rejectedLateInputs: 0,
+      rejectedEarlyInputs: 0
     };
     
+    // Delta-compressed state updates
+    this.stateHistory = new Map(); // frame -> public state sent at that frame
+    this.stateAcks = new Map(); // socketId -> last state frame the client acknowledged
+    this.stateBroadcastInterval = 3; // 20fps for state updates
+    this.maxDeltaBaseAge = 60; // frames; older acks get a keyframe instead
+    
+    // Desync detection
+    this.desyncStats = new Map(); // socketId -> { checks, mismatches, lastMismatchFrame, lastResyncFrame }
+    this.resyncCooldownFrames = 30;
+    
+    // Lag compensation: how far back attack hitboxes may be checked
+    this.maxRewindFrames = config.maxRewindFrames !== undefined ? config.maxRewindFrames : 12;
+    
     logger.info(`🏠 Game room created: ${id} (${this.gameMode} on ${this.mapId})`);
   }
 
@@ -84,6 +118,7 @@ class GameRoom {
     
     this.players.set(player.socketId, player);
     player.roomId = this.id;
+    player.team = this.settings.teamMode ? this.getSmallestTeam() : null;
     
     // Initialize input buffer for this player
     this.inputBuffer.set(player.socketId, {
@@ -96,7 +131,7 @@ class GameRoom {
     logger.info(`👤 Player ${player.username} joined room ${this.id} as ${player.character}`);
     
     // Broadcast player joined
-    this.broadcast('room:player-joined', {
+    this.broadcast(EVENTS.ROOM_PLAYER_JOINED, {
       player: player.getPublicData(),
       roomInfo: this.getPublicInfo()
     }, player.socketId);
@@ -109,7 +144,10 @@ class GameRoom {
     if (!player) return false;
     
     this.players.delete(socketId);
+    player.team = null;
     this.inputBuffer.delete(socketId);
+    this.stateAcks.delete(socketId);
+    this.desyncStats.delete(socketId);
     
     // If removing host and room has other players, transfer host
     if (this.host.socketId === socketId && this.players.size > 0) {
@@ -120,7 +158,7 @@ class GameRoom {
     this.updateLastActivity();
     
     // Broadcast player left
-    this.broadcast('room:player-left', {
+    this.broadcast(EVENTS.ROOM_PLAYER_LEFT, {
       playerId: socketId,
       roomInfo: this.getPublicInfo()
     });
@@ -129,16 +167,25 @@ class GameRoom {
     return true;
   }
 
+  addSpectator(player) {
+    this.spectators.set(player.socketId, player);
+  }
+
+  removeSpectator(socketId) {
+    this.stateAcks.delete(socketId);
+    return this.spectators.delete(socketId);
+  }
+
   getAvailableCharacter() {
     const usedCharacters = new Set(
       Array.from(this.players.values()).map(p => p.character).filter(Boolean)
     );
     
-    const available = Object.keys(this.blueyCharacters).find(char => 
+    const available = characterRegistry.getIds().find(char => 
       !usedCharacters.has(char)
     );
     
-    return available || 'bluey'; // Default to Bluey if all taken
+    return available || characterRegistry.getDefault().id; // Default to Bluey if all taken
   }
 
   // Game State Management
@@ -151,25 +198,48 @@ class GameRoom {
       throw new Error('Need at least 2 players to start');
     }
     
+    if (this.settings.teamMode) {
+      for (const player of this.players.values()) {
+        if (!player.team) player.team = this.getSmallestTeam();
+      }
+      if (new Set(Array.from(this.players.values()).map(p => p.team)).size < 2) {
+        throw new Error('Need players on at least two teams');
+      }
+    }
+    
     this.sessionId = uuidv4();
+    this.seed = seedFromId(this.sessionId);
     this.isGameActive = true;
+    this.suddenDeath = null;
     this.gameStartTime = Date.now();
+    this.matchRoster = new Map(this.players);
     this.currentFrame = 0;
     this.confirmedFrame = 0;
+    this.snapshotBuffer.fill(null);
+    this.pendingRollbackFrame = null;
+    this.rollbackStats = { rollbacks: 0, framesResimulated: 0, rejectedLateInputs: 0, rejectedEarlyInputs: 0 };
+    this.stateHistory.clear();
+    this.stateAcks.clear();
+    this.desyncStats.clear();
     
     // Initialize game state with all players
     this.gameState.initialize({
       players: Array.from(this.players.values()),
       mapId: this.mapId,
+      gameMode: this.gameMode,
       settings: this.settings,
-      characters: this.blueyCharacters
+      seed: this.seed,
+      tickRate: this.tickRate,
+      maxRewindFrames: this.maxRewindFrames
     });
     
     // Broadcast game start
-    this.broadcast('game:start', {
+    this.broadcast(EVENTS.GAME_START, {
       sessionId: this.sessionId,
       gameState: this.gameState.getInitialState(),
       settings: this.settings,
+      frame: this.currentFrame,
+      tickRate: this.tickRate,
       timestamp: this.gameStartTime
     });
     
@@ -185,77 +255,218 @@ class GameRoom {
     this.gameResults = results || this.calculateGameResults();
     
     // Broadcast game end
-    this.broadcast('game:end', {
+    this.broadcast(EVENTS.GAME_END, {
       sessionId: this.sessionId,
       results: this.gameResults,
       duration: this.gameEndTime - this.gameStartTime,
       timestamp: this.gameEndTime
     });
     
+    this.recordResults();
+    
     logger.info(`🏁 Game ended in room ${this.id} (duration: ${this.gameEndTime - this.gameStartTime}ms)`);
     return true;
   }
 
+  // Rates the match and folds it into each player's stats, then saves the
+  // match history and the profiles of players with accounts
+  recordResults() {
+    const duration = this.gameEndTime - this.gameStartTime;
+    const results = this.gameResults;
+    const stats = this.gameState.getPlayerStats();
+    
+    // Anyone who left before the end lost, whatever the standings said when they went:
+    // everyone who stayed is ranked without them, and they all place below the last of those
+    const leavers = Array.from(this.matchRoster.keys()).filter(socketId => !this.players.has(socketId));
+    const placements = this.rankWithout(results.rankings || [], leavers);
+    const lastPlace = Object.keys(stats).length - leavers.length + 1;
+    
+    const participants = [];
+    const rated = []; // Everyone who started the match, including leavers
+    
+    for (const [socketId, playerStats] of Object.entries(stats)) {
+      const fighter = this.gameState.players.get(socketId);
+      const placement = placements.get(socketId);
+      const left = leavers.includes(socketId);
+      const participant = {
+        playerId: fighter.id,
+        username: fighter.username,
+        character: fighter.character,
+        team: fighter.team,
+        placement: left ? lastPlace : placement ? placement.rank : participants.length + 1,
+        won: !left && !results.tie && (results.winners || []).includes(socketId),
+        knockouts: playerStats.kos,
+        deaths: playerStats.deaths,
+        damageDealt: playerStats.damageDealt,
+        damageTaken: playerStats.damageTaken,
+        result: { ...(placement || playerStats) }
+      };
+      if (left) participant.result.left = true;
+      participants.push(participant);
+      
+      const player = this.matchRoster.get(socketId);
+      if (player) rated.push({ player, participant });
+    }
+    
+    // Ratings move before addGameResult so the rank it sets is the new one
+    const ratingChanges = ratingService.rateMatch(rated.map(({ player, participant }) => ({
+      player,
+      placement: participant.placement,
+      team: participant.team
+    })));
+    
+    const registered = [];
+    const departed = []; // Leavers with an account and no live session to carry the result
+    for (const { player, participant } of rated) {
+      const wasRated = ratingChanges.has(player.id);
+      if (wasRated) {
+        participant.result.ratingChange = Math.round(ratingChanges.get(player.id));
+        participant.result.rating = player.getRating(); // Lets a guest's rating carry over to an account
+      }
+      
+      // A leaver's Player was detached (and saved) when they left, so the result goes to
+      // whoever holds the profile now: their new session if they came back, or the stored row
+      const holder = participant.result.left ? this.findOnlinePlayer(player.id) : player;
+      if (!holder) {
+        if (player.isRegistered) departed.push({ player, participant, wasRated });
+        continue;
+      }
+      
+      if (holder !== player && wasRated) holder.setRating(player.getRating(), player.ratingUpdatedAt);
+      holder.addGameResult({ ...participant, duration });
+      if (holder.isRegistered) registered.push(holder);
+    }
+    
+    const match = {
+      id: this.sessionId,
+      roomId: this.id,
+      gameMode: this.gameMode,
+      mapId: this.mapId,
+      settings: this.settings,
+      winner: results.winner || null,
+      tie: results.tie || false,
+      suddenDeath: results.suddenDeath || false,
+      replayId: this.replayId,
+      startedAt: this.gameStartTime,
+      endedAt: this.gameEndTime,
+      participants
+    };
+    
+    // Saving never holds up the room; a failure only costs the history
+    matchRepository.recordMatch(match)
+      .then(() => Promise.all([
+        ...registered.map(player => playerRepository.save(player)),
+        ...departed.map(({ player, participant, wasRated }) => playerRepository.update(player.id, stored => {
+          if (wasRated) stored.setRating(player.getRating(), player.ratingUpdatedAt);
+          stored.addGameResult({ ...participant, duration });
+        }))
+      ]))
+      .then(() => leaderboardService.refresh())
+      .catch(error => logger.error(`Failed to save results for room ${this.id}:`, error));
+  }
+
+  // Rankings with some players taken out; the rest close the gaps and keep their ties
+  rankWithout(rankings, removed) {
+    const kept = rankings.filter(entry => !removed.includes(entry.playerId));
+    const placements = new Map();
+    kept.forEach((entry, index) => {
+      const previous = kept[index - 1];
+      const rank = previous && previous.rank === entry.rank ? placements.get(previous.playerId).rank : index + 1;
+      placements.set(entry.playerId, { ...entry, rank });
+    });
+    return placements;
+  }
+
   calculateGameResults() {
-    // Calculate winner based on game mode and current state
-    const playerStats = this.gameState.getPlayerStats();
+    // Ranked by the game mode's own ordering
+    if (!this.suddenDeath) {
+      return this.rankResults(this.gameState.getPlayerStats(), this.mode.compare, this.mode.summarize);
+    }
     
-    switch (this.gameMode) {
-      case 'classic':
-        // Winner is last player standing or highest score
-        return this.calculateClassicResults(playerStats);
-      case 'time':
-        // Winner has highest score when time runs out
-        return this.calculateTimeResults(playerStats);
-      case 'stock':
-        // Winner is last player with lives remaining
-        return this.calculateStockResults(playerStats);
-      default:
-        return this.calculateClassicResults(playerStats);
+    // After sudden death everyone keeps the standings that tied, and surviving
+    // it puts a side ahead of the others it tied with
+    const current = this.gameState.getPlayerStats();
+    const standings = {};
+    for (const [playerId, stats] of Object.entries(this.suddenDeath.standings)) {
+      const survived = this.suddenDeath.players.includes(playerId) && current[playerId] && !current[playerId].eliminated;
+      standings[playerId] = { ...stats, suddenDeathSurvivors: survived ? 1 : 0 };
     }
+    
+    const compare = (a, b) =>
+      (Math.sign(b.suddenDeathSurvivors) - Math.sign(a.suddenDeathSurvivors)) || this.mode.compare(a, b);
+    return { ...this.rankResults(standings, compare, this.mode.summarize), suddenDeath: true };
   }
 
-  calculateClassicResults(playerStats) {
-    const sorted = Object.entries(playerStats)
-      .sort((a, b) => b[1].score - a[1].score);
+  // Ranks players, or teams and then their players in team mode. Anyone the
+  // ordering can't separate shares a rank. winner is the winning player or team
+  // id, or null on a tie; winners lists every player sharing first place.
+  rankResults(playerStats, compare, summarize) {
+    const sides = this.getSides(playerStats).sort(compare);
+    const sideRanks = this.assignRanks(sides, compare);
+    const rankOfSide = new Map(sides.map((side, index) => [side.id, sideRanks[index]]));
+    const tie = sides.length > 1 && sideRanks[1] === 1;
     
-    return {
-      winner: sorted[0]?.[0],
-      rankings: sorted.map(([playerId, stats], index) => ({
-        rank: index + 1,
-        playerId,
-        score: stats.score,
-        kos: stats.kos,
-        deaths: stats.deaths
-      }))
+    const sorted = Object.entries(playerStats).sort((a, b) =>
+      (rankOfSide.get(this.getSideId(...a)) - rankOfSide.get(this.getSideId(...b))) || compare(a[1], b[1]));
+    const playerRanks = this.assignRanks(sorted, (a, b) =>
+      (rankOfSide.get(this.getSideId(...a)) - rankOfSide.get(this.getSideId(...b))) || compare(a[1], b[1]));
+    
+    const results = {
+      winner: tie ? null : sides[0]?.id,
+      winners: sides.filter((side, index) => sideRanks[index] === 1).flatMap(side => side.players),
+      tie
     };
+    
+    if (this.settings.teamMode) {
+      results.teamRankings = sides.map((team, index) => ({
+        rank: sideRanks[index],
+        team: team.id,
+        color: TEAMS[team.id]?.color || null,
+        players: team.players,
+        ...summarize(team)
+      }));
+    }
+    
+    results.rankings = sorted.map(([playerId, stats], index) => ({
+      rank: playerRanks[index],
+      playerId,
+      ...(this.settings.teamMode ? { team: stats.team } : {}),
+      ...summarize(stats)
+    }));
+    return results;
   }
 
-  calculateTimeResults(playerStats) {
-    return this.calculateClassicResults(playerStats);
+  // 1-based ranks for an already sorted list; equal neighbours share a rank
+  assignRanks(sorted, compare) {
+    const ranks = [];
+    sorted.forEach((entry, index) => {
+      ranks.push(index > 0 && compare(sorted[index - 1], entry) === 0 ? ranks[index - 1] : index + 1);
+    });
+    return ranks;
   }
 
-  calculateStockResults(playerStats) {
-    const sorted = Object.entries(playerStats)
-      .sort((a, b) => {
-        // First by lives remaining, then by score
-        if (b[1].lives !== a[1].lives) {
-          return b[1].lives - a[1].lives;
-        }
-        return b[1].score - a[1].score;
-      });
-    
-    return {
-      winner: sorted[0]?.[0],
-      rankings: sorted.map(([playerId, stats], index) => ({
-        rank: index + 1,
-        playerId,
-        lives: stats.lives,
-        score: stats.score,
-        kos: stats.kos,
-        deaths: stats.deaths
-      }))
-    };
+  getSideId(playerId, stats) {
+    return this.settings.teamMode && stats.team ? stats.team : playerId;
+  }
+
+  // Who competes against whom: teams in team mode, otherwise each player alone
+  getSides(playerStats) {
+    const sides = new Map();
+    for (const [playerId, stats] of Object.entries(playerStats)) {
+      const sideId = this.getSideId(playerId, stats);
+      if (!sides.has(sideId)) {
+        sides.set(sideId, { id: sideId, players: [], eliminated: true });
+      }
+      
+      // Every numeric stat (including the game mode's own) is a team total
+      const side = sides.get(sideId);
+      side.players.push(playerId);
+      for (const [field, value] of Object.entries(stats)) {
+        if (typeof value === 'number') side[field] = (side[field] || 0) + value;
+      }
+      side.eliminated = side.eliminated && stats.eliminated;
+    }
+    return Array.from(sides.values());
   }
 
   // Input Handling and Rollback Netcode
@@ -271,6 +482,20 @@ class GameRoom {
     const inputData = this.inputBuffer.get(socketId);
     if (!inputData) return false;
     
+    // Inputs older than our rollback window can no longer be applied faithfully
+    if (this.currentFrame - input.frame >= this.maxRollbackFrames) {
+      this.rollbackStats.rejectedLateInputs++;
+      logger.warn(`Dropping late input from player ${socketId} (frame ${input.frame}, current ${this.currentFrame})`);
+      return false;
+    }
+    
+    // Far-future frames would sit in the buffer and overwrite inputs still to come
+    if (input.frame > this.currentFrame + this.maxInputDelay) {
+      this.rollbackStats.rejectedEarlyInputs++;
+      logger.warn(`Dropping early input from player ${socketId} (frame ${input.frame}, current ${this.currentFrame})`);
+      return false;
+    }
+    
     // Store input in circular buffer
     const frameIndex = input.frame % inputData.buffer.length;
     inputData.buffer[frameIndex] = {
@@ -279,17 +504,17 @@ class GameRoom {
       socketId
     };
     
-    // Advance current frame
-    this.currentFrame = Math.max(this.currentFrame, input.frame);
-    
-    // Check if we can advance confirmed frame
-    this.updateConfirmedFrame();
-    
-    // Apply input to game state
-    this.gameState.applyInput(socketId, input);
+    // Late input: the next tick rewinds to the earliest frame any late input
+    // was pressed on and replays up to now, once for all of them. Inputs for
+    // future frames are applied by tick() when their frame comes up.
+    if (input.frame > 0 && input.frame <= this.currentFrame) {
+      this.pendingRollbackFrame = this.pendingRollbackFrame === null
+        ? input.frame
+        : Math.min(this.pendingRollbackFrame, input.frame);
+    }
     
     // Broadcast input to other players for client-side prediction
-    this.broadcast('game:input', {
+    this.broadcast(EVENTS.GAME_INPUT, {
       playerId: socketId,
       input: input,
       frame: this.currentFrame
@@ -298,6 +523,50 @@ class GameRoom {
     return true;
   }
 
+  applyPendingRollback() {
+    if (this.pendingRollbackFrame === null) return;
+    
+    const frame = this.pendingRollbackFrame;
+    this.pendingRollbackFrame = null;
+    this.rollbackTo(frame);
+  }
+
+  rollbackTo(frame) {
+    const snapshot = this.snapshotBuffer[frame % this.snapshotBuffer.length];
+    if (!snapshot || snapshot.frame !== frame) {
+      logger.warn(`No snapshot for frame ${frame} in room ${this.id}, cannot roll back`);
+      return false;
+    }
+    
+    this.gameState.restoreSnapshot(snapshot.state);
+    
+    for (let f = frame; f <= this.currentFrame; f++) {
+      this.simulateFrame(f);
+    }
+    
+    this.rollbackStats.rollbacks++;
+    this.rollbackStats.framesResimulated += this.currentFrame - frame + 1;
+    return true;
+  }
+
+  simulateFrame(frame) {
+    // Snapshot the state before this frame's inputs so a late input can rewind here
+    this.snapshotBuffer[frame % this.snapshotBuffer.length] = {
+      frame,
+      state: this.gameState.saveSnapshot()
+    };
+    
+    // Apply every input recorded for this frame; players without one keep their last input
+    for (const [socketId, inputData] of this.inputBuffer) {
+      const input = inputData.buffer[frame % inputData.buffer.length];
+      if (input && input.frame === frame) {
+        this.gameState.applyInput(socketId, input);
+      }
+    }
+    
+    this.gameState.tick(frame);
+  }
+
   updateConfirmedFrame() {
     // Find the latest frame where we have inputs from all players
     let latestConfirmed = this.confirmedFrame;
@@ -325,22 +594,92 @@ class GameRoom {
     if (latestConfirmed > this.confirmedFrame) {
       this.confirmedFrame = latestConfirmed;
       
-      // Broadcast confirmed frame for rollback
-      this.broadcast('game:confirmed-frame', {
-        frame: this.confirmedFrame,
-        checksum: this.gameState.getChecksum(this.confirmedFrame)
+      // Broadcast confirmed frame for rollback; clients check their own state for it against the checksum
+      const checksum = this.getFrameChecksum(this.confirmedFrame);
+      if (checksum !== null) {
+        this.broadcast(EVENTS.GAME_CONFIRMED_FRAME, { frame: this.confirmedFrame, checksum });
+      }
+    }
+  }
+
+  // Checksum of the simulation at the end of frame, or null once it is too old to rebuild
+  getFrameChecksum(frame) {
+    if (frame === this.currentFrame) {
+      return this.gameState.getChecksum(frame);
+    }
+    
+    // The snapshot taken before frame + 1 is the state at the end of frame
+    const snapshot = this.snapshotBuffer[(frame + 1) % this.snapshotBuffer.length];
+    if (snapshot && snapshot.frame === frame + 1) {
+      return this.gameState.getSnapshotChecksum(frame, snapshot.state);
+    }
+    
+    return null;
+  }
+
+  verifyChecksum(socketId, frame, checksum) {
+    if (!this.isGameActive || !this.players.has(socketId)) return false;
+    
+    // Only confirmed frames are final; anything later may still be rolled back
+    if (frame > this.confirmedFrame) return false;
+    const expected = this.getFrameChecksum(frame);
+    if (expected === null) return false;
+    
+    if (!this.desyncStats.has(socketId)) {
+      this.desyncStats.set(socketId, {
+        checks: 0,
+        mismatches: 0,
+        lastMismatchFrame: null,
+        lastResyncFrame: null
       });
     }
+    
+    const stats = this.desyncStats.get(socketId);
+    stats.checks++;
+    
+    if (expected === checksum) return true;
+    
+    stats.mismatches++;
+    stats.lastMismatchFrame = frame;
+    logger.warn(`🔀 Desync detected for player ${socketId} in room ${this.id} at frame ${frame} (${stats.mismatches} total)`);
+    
+    // Push authoritative state, but don't flood a client that is still catching up
+    if (stats.lastResyncFrame === null ||
+        this.currentFrame - stats.lastResyncFrame >= this.resyncCooldownFrames) {
+      this.resyncPlayer(socketId);
+    }
+    
+    return false;
+  }
+
+  resyncPlayer(socketId) {
+    const stats = this.desyncStats.get(socketId);
+    if (stats) stats.lastResyncFrame = this.currentFrame;
+    
+    // The client's delta baseline is suspect too; its next state update will be a keyframe
+    this.stateAcks.delete(socketId);
+    
+    this.sendToPlayer(socketId, EVENTS.GAME_RESYNC, {
+      frame: this.currentFrame,
+      confirmedFrame: this.confirmedFrame,
+      state: this.gameState.getResyncState(),
+      timestamp: Date.now()
+    });
   }
 
   // Game Loop Tick
   tick() {
     if (!this.isGameActive) return;
     
+    this.applyPendingRollback();
+    
     this.currentFrame++;
     
     // Update game state
-    this.gameState.tick(this.currentFrame);
+    this.simulateFrame(this.currentFrame);
+    
+    // Check if we can advance confirmed frame, now that late inputs are replayed
+    this.updateConfirmedFrame();
     
     // Check win conditions
     if (this.checkWinConditions()) {
@@ -349,46 +688,169 @@ class GameRoom {
     }
     
     // Broadcast game state update every few frames
-    if (this.currentFrame % 3 === 0) { // 20fps for state updates
-      this.broadcast('game:state-update', {
-        frame: this.currentFrame,
-        state: this.gameState.getDeltaState(),
-        timestamp: Date.now()
-      });
+    if (this.currentFrame % this.stateBroadcastInterval === 0) {
+      this.broadcastStateUpdate();
     }
     
     this.updateLastActivity();
   }
 
+  // Last frame no late input can change any more
+  getSettledFrame() {
+    return this.isGameActive
+      ? Math.max(this.confirmedFrame, this.currentFrame - this.maxRollbackFrames)
+      : Infinity;
+  }
+
+  // Rewound attacks from settled frames
+  takeSettledRewinds() {
+    if (!this.gameState.initialized) return [];
+    return this.gameState.takeRewindRecords(this.getSettledFrame());
+  }
+
+  // Status effects applied, refreshed or ended on settled frames
+  takeSettledStatusEvents() {
+    if (!this.gameState.initialized) return [];
+    return this.gameState.takeStatusEvents(this.getSettledFrame());
+  }
+
   checkWinConditions() {
-    const stats = this.gameState.getPlayerStats();
+    // Teams count as one side each in team mode
+    const sides = this.getSides(this.gameState.getPlayerStats());
     
-    switch (this.gameMode) {
-      case 'stock':
-        // Game ends when only one player has lives left
-        const playersWithLives = Object.values(stats).filter(s => s.lives > 0);
-        return playersWithLives.length <= 1;
-        
-      case 'time':
-        // Game ends when time limit reached
-        const elapsed = Date.now() - this.gameStartTime;
-        return elapsed >= (this.settings.timeLimit * 1000);
-        
-      case 'classic':
-        // Game ends when target score reached or all but one eliminated
-        const activePlayers = Object.values(stats).filter(s => !s.eliminated);
-        return activePlayers.length <= 1 || Math.max(...Object.values(stats).map(s => s.score)) >= 10;
-        
-      default:
-        return false;
+    if (this.suddenDeath) {
+      return this.isSuddenDeathOver(sides);
+    }
+    if (!this.mode.isOver(this, sides)) return false;
+    
+    // A tie for first goes to sudden death unless the room turned it off
+    const tied = this.getTiedSides(sides);
+    if (tied.length > 1 && this.settings.suddenDeath) {
+      this.startSuddenDeath(tied);
+      return false;
+    }
+    return true;
+  }
+
+  // Sides the game mode can't separate for first place
+  getTiedSides(sides) {
+    const sorted = [...sides].sort(this.mode.compare);
+    return sorted.filter(side => this.mode.compare(sorted[0], side) === 0);
+  }
+
+  // Starts on the next frame so the simulation (and any resimulation) picks it
+  // up at a fixed point
+  startSuddenDeath(tiedSides) {
+    const startFrame = this.currentFrame + 1;
+    const players = tiedSides.flatMap(side => side.players);
+    
+    this.suddenDeath = {
+      startFrame,
+      sides: tiedSides.map(side => side.id),
+      players,
+      standings: this.gameState.getPlayerStats() // The tied standings, for the final results
+    };
+    this.gameState.scheduleSuddenDeath(startFrame, players);
+    
+    this.broadcast(EVENTS.GAME_PHASE, {
+      phase: 'sudden-death',
+      frame: startFrame,
+      players,
+      timestamp: Date.now()
+    });
+    
+    logger.info(`⚡ Sudden death in room ${this.id} between ${players.length} players`);
+  }
+
+  // Over when one tied side is left standing, or nobody is, or it runs too long
+  isSuddenDeathOver(sides) {
+    const standing = sides.filter(side => this.suddenDeath.sides.includes(side.id) && !side.eliminated);
+    const elapsed = this.currentFrame - this.suddenDeath.startFrame;
+    return standing.length <= 1 || elapsed >= this.settings.suddenDeathTime * this.tickRate;
+  }
+
+  // Time limit counted in simulated frames, not wall time
+  isTimeUp() {
+    return this.currentFrame >= this.settings.timeLimit * this.tickRate;
+  }
+
+  // Delta-compressed state sync
+  broadcastStateUpdate() {
+    const current = structuredClone(this.gameState.getPublicState());
+    this.stateHistory.set(this.currentFrame, current);
+    
+    // Forget baselines too old to be worth diffing against
+    for (const frame of this.stateHistory.keys()) {
+      if (this.currentFrame - frame > this.maxDeltaBaseAge) {
+        this.stateHistory.delete(frame);
+      }
+    }
+    
+    // Players and spectators acked on the same frame share one encoded delta
+    const deltasByBase = new Map();
+    const timestamp = Date.now();
+    
+    for (const recipient of [...this.players.values(), ...this.spectators.values()]) {
+      if (!recipient.socket) continue;
+      
+      const ackedFrame = this.stateAcks.get(recipient.socketId);
+      const baseline = this.stateHistory.get(ackedFrame) || null;
+      const baseKey = baseline ? ackedFrame : 'keyframe';
+      
+      if (!deltasByBase.has(baseKey)) {
+        deltasByBase.set(baseKey, this.gameState.getDeltaState(baseline, current));
+      }
+      
+      this.emitToPlayer(recipient, EVENTS.GAME_STATE_UPDATE, {
+        frame: this.currentFrame,
+        state: deltasByBase.get(baseKey),
+        reconcile: this.players.has(recipient.socketId) ? this.getReconcileState(recipient.socketId) : null,
+        timestamp
+      });
+    }
+  }
+
+  // The player's state right after their latest input was simulated. Frames the
+  // server ran since then only held that input, and the client replays its own
+  // newer inputs over them, so reconciling against the current frame would count them twice.
+  getReconcileState(socketId) {
+    const player = this.gameState.players.get(socketId);
+    if (!player) return null;
+    
+    const inputFrame = player.lastInputFrame;
+    if (inputFrame < this.currentFrame) {
+      const snapshot = this.snapshotBuffer[(inputFrame + 1) % this.snapshotBuffer.length];
+      if (snapshot && snapshot.frame === inputFrame + 1) {
+        return this.gameState.getReconcileState(socketId, snapshot.state.players);
+      }
     }
+    
+    return this.gameState.getReconcileState(socketId);
+  }
+
+  acknowledgeState(socketId, frame) {
+    if (!this.players.has(socketId) && !this.spectators.has(socketId)) return false;
+    
+    // Ignore acks for frames we never sent or that arrive out of order
+    if (!this.stateHistory.has(frame)) return false;
+    if (frame <= (this.stateAcks.get(socketId) || 0)) return false;
+    
+    this.stateAcks.set(socketId, frame);
+    return true;
   }
 
   // Communication
   broadcast(event, data, excludeSocketId = null) {
+    let encoded = null; // Binary form is built at most once per broadcast
+    
     for (const player of this.players.values()) {
       if (player.socketId !== excludeSocketId && player.socket) {
-        player.socket.emit(event, data);
+        if (player.wireEncoding === 'binary' && isBinaryEvent(event)) {
+          encoded = encoded || encodeServerEvent(event, data);
+          player.socket.emit(event, encoded);
+        } else {
+          player.socket.emit(event, data);
+        }
       }
     }
   }
@@ -396,6 +858,14 @@ class GameRoom {
   sendToPlayer(socketId, event, data) {
     const player = this.players.get(socketId);
     if (player && player.socket) {
+      this.emitToPlayer(player, event, data);
+    }
+  }
+
+  emitToPlayer(player, event, data) {
+    if (player.wireEncoding === 'binary' && isBinaryEvent(event)) {
+      player.socket.emit(event, encodeServerEvent(event, data));
+    } else {
       player.socket.emit(event, data);
     }
   }
@@ -406,12 +876,120 @@ class GameRoom {
       throw new Error('Cannot change settings during active game');
     }
     
+    if (newSettings.itemFrequency !== undefined && !ITEM_FREQUENCIES[newSettings.itemFrequency]) {
+      throw new Error(`Unknown item frequency: ${newSettings.itemFrequency}`);
+    }
+    
+    for (const field of ['staminaHp', 'hillTarget', 'suddenDeathTime']) {
+      if (newSettings[field] !== undefined && !(newSettings[field] > 0)) {
+        throw new Error(`${field} must be a positive number`);
+      }
+    }
+    
+    if (newSettings.teamCount !== undefined &&
+        (!Number.isInteger(newSettings.teamCount) || newSettings.teamCount < 2 || newSettings.teamCount > TEAM_IDS.length)) {
+      throw new Error(`Team count must be between 2 and ${TEAM_IDS.length}`);
+    }
+    
+    const previous = this.settings;
     this.settings = { ...this.settings, ...newSettings };
     this.updateLastActivity();
     
-    this.broadcast('room:settings-updated', {
+    this.broadcast(EVENTS.ROOM_SETTINGS_UPDATED, {
       settings: this.settings
     });
+    
+    // Turning teams on (or changing how many) deals everyone out again
+    if (this.settings.teamMode && (!previous.teamMode || previous.teamCount !== this.settings.teamCount)) {
+      this.autoBalanceTeams();
+    } else if (!this.settings.teamMode && previous.teamMode) {
+      this.clearTeams();
+    }
+  }
+
+  // Teams
+  getTeamIds() {
+    return TEAM_IDS.slice(0, this.settings.teamCount);
+  }
+
+  // Fewest players first; ties go to the earlier team
+  getSmallestTeam() {
+    const sizes = new Map(this.getTeamIds().map(team => [team, 0]));
+    for (const player of this.players.values()) {
+      if (sizes.has(player.team)) sizes.set(player.team, sizes.get(player.team) + 1);
+    }
+    
+    let smallest = null;
+    for (const [team, size] of sizes) {
+      if (smallest === null || size < sizes.get(smallest)) smallest = team;
+    }
+    return smallest;
+  }
+
+  setPlayerTeam(socketId, teamId) {
+    if (this.isGameActive) {
+      throw new Error('Cannot change teams during active game');
+    }
+    if (!this.settings.teamMode) {
+      throw new Error('Team mode is off');
+    }
+    
+    const player = this.players.get(socketId);
+    if (!player) {
+      throw new Error('Player not in room');
+    }
+    if (!this.getTeamIds().includes(teamId)) {
+      throw new Error(`Unknown team: ${teamId}`);
+    }
+    
+    player.team = teamId;
+    this.updateLastActivity();
+    this.broadcastTeams();
+  }
+
+  // Deals players out in join order, so team sizes differ by at most one
+  autoBalanceTeams() {
+    if (this.isGameActive) {
+      throw new Error('Cannot change teams during active game');
+    }
+    if (!this.settings.teamMode) {
+      throw new Error('Team mode is off');
+    }
+    
+    const teams = this.getTeamIds();
+    let index = 0;
+    for (const player of this.players.values()) {
+      player.team = teams[index++ % teams.length];
+    }
+    
+    this.updateLastActivity();
+    this.broadcastTeams();
+  }
+
+  clearTeams() {
+    for (const player of this.players.values()) {
+      player.team = null;
+    }
+    this.broadcastTeams();
+  }
+
+  broadcastTeams() {
+    this.broadcast(EVENTS.ROOM_TEAMS_UPDATED, {
+      teams: this.getTeamRoster(),
+      roomInfo: this.getPublicInfo()
+    });
+  }
+
+  getTeamRoster() {
+    if (!this.settings.teamMode) return null;
+    
+    const players = Array.from(this.players.values());
+    return this.getTeamIds().map(id => ({
+      id,
+      name: TEAMS[id].name,
+      color: TEAMS[id].color,
+      players: players.filter(player => player.team === id).map(player => player.socketId)
+    }));
   }
 
   updateLastActivity() {
@@ -448,6 +1026,7 @@ class GameRoom {
       isPrivate: this.isPrivate,
       isGameActive: this.isGameActive,
       settings: this.settings,
+      teams: this.getTeamRoster(),
       canJoin: !this.isFull() && !this.isGameActive,
       createdAt: this.createdAt
     };
@@ -465,9 +1044,12 @@ class GameRoom {
   getGameData() {
     return {
       sessionId: this.sessionId,
+      seed: this.seed,
       gameState: this.gameState.getFullState(),
       currentFrame: this.currentFrame,
       confirmedFrame: this.confirmedFrame,
+      rollbackStats: this.rollbackStats,
+      desyncStats: Object.fromEntries(this.desyncStats),
       gameStartTime: this.gameStartTime,
       settings: this.settings
     };
@@ -0,0 +1,181 @@
+const { logger } = require('../utils/logger');
+const Player = require('../models/Player');
+const { playerRepository } = require('../models/PlayerRepository');
+const { matchRepository } = require('../models/MatchRepository');
+const { characterRegistry } = require('./CharacterRegistry');
+const { PLACEMENT_MATCHES } = require('../data/ranks');
+
+// Leaderboard -> the players column (or expression) it ranks by and the
+// Player value shown. The rating board ranks by skill rating and leaves out
+// players still in placement. 'character' ranks by wins with one character,
+// from match history, and needs a characterId.
+const PLAYER_BOARDS = {
+  rating: {
+    orderBy: 'rating - 2 * rating_deviation',
+    minRatedGames: PLACEMENT_MATCHES,
+    value: player => Math.round(player.getSkillRating())
+  },
+  wins: { orderBy: 'games_won', value: player => player.stats.gamesWon },
+  knockouts: { orderBy: 'total_knockouts', value: player => player.stats.totalKnockouts },
+  streak: { orderBy: 'longest_win_streak', value: player => player.stats.longestWinStreak }
+};
+const CHARACTER_BOARD = 'character';
+const LEADERBOARDS = [...Object.keys(PLAYER_BOARDS), CHARACTER_BOARD];
+
+const PUSH_SIZE = 10; // Subscribers get the top of the board
+const RECENT_MATCHES = 10;
+
+function rate(part, whole) {
+  return whole > 0 ? part / whole : 0;
+}
+
+// Leaderboards and profiles for registered players. Boards with socket
+// subscribers are re-read after each recorded match and pushed when they move.
+class LeaderboardService {
+  constructor() {
+    this.watched = new Map(); // key -> { board, characterId, subscribers, lastPushed }
+    this.listeners = [];
+  }
+
+  getBoardKey(board, characterId = null) {
+    if (!LEADERBOARDS.includes(board)) {
+      throw new Error(`Unknown leaderboard: ${board}`);
+    }
+    if (board !== CHARACTER_BOARD) return board;
+
+    if (!characterRegistry.has(characterId)) {
+      throw new Error(`Unknown character: ${characterId}`);
+    }
+    return `${board}:${characterId}`;
+  }
+
+  async getLeaderboard(board, { characterId = null, limit = PUSH_SIZE, offset = 0 } = {}) {
+    this.getBoardKey(board, characterId);
+
+    if (board === CHARACTER_BOARD) {
+      const [rows, total] = await Promise.all([
+        matchRepository.getCharacterLeaderboard(characterId, limit, offset),
+        matchRepository.countCharacterPlayers(characterId)
+      ]);
+      const entries = rows.map((row, index) => ({
+        position: offset + index + 1,
+        ...row,
+        winRate: rate(row.wins, row.games),
+        value: row.wins
+      }));
+      return { board, characterId, total, limit, offset, entries };
+    }
+
+    const { orderBy, minRatedGames = 0, value } = PLAYER_BOARDS[board];
+    const [profiles, total] = await Promise.all([
+      playerRepository.getLeaderboard(orderBy, limit, offset, minRatedGames),
+      playerRepository.countRanked(minRatedGames)
+    ]);
+    const entries = profiles.map((profile, index) => {
+      const player = new Player(null, profile);
+      return {
+        position: offset + index + 1,
+        playerId: player.id,
+        username: player.username,
+        level: player.level,
+        rank: player.rank,
+        rating: player.getRatingData(),
+        games: player.stats.totalGames,
+        wins: player.stats.gamesWon,
+        knockouts: player.stats.totalKnockouts,
+        longestWinStreak: player.stats.longestWinStreak,
+        winRate: player.getWinRate(),
+        kdr: player.getKDR(),
+        value: value(player)
+      };
+    });
+    return { board, total, limit, offset, entries };
+  }
+
+  async getPlayerProfile(playerId) {
+    const profile = await playerRepository.findById(playerId);
+    if (!profile) return null;
+
+    const [characters, recentMatches] = await Promise.all([
+      matchRepository.getCharacterUsage(playerId),
+      matchRepository.findByPlayer(playerId, RECENT_MATCHES)
+    ]);
+
+    return {
+      ...new Player(null, profile).getProfileData(),
+      characters: this.withRates(characters),
+      recentMatches
+    };
+  }
+
+  // Every character, including ones nobody has played yet
+  async getCharacterUsage() {
+    const usage = await matchRepository.getCharacterUsage();
+    const played = new Map(usage.map(entry => [entry.character, entry]));
+    const totalPicks = usage.reduce((sum, entry) => sum + entry.games, 0);
+
+    const characters = characterRegistry.getIds().map(id => ({
+      name: characterRegistry.get(id).name,
+      ...(played.get(id) || { character: id, games: 0, wins: 0, knockouts: 0, deaths: 0 }),
+      pickRate: rate(played.has(id) ? played.get(id).games : 0, totalPicks)
+    }));
+
+    return this.withRates(characters).sort((a, b) => b.games - a.games);
+  }
+
+  withRates(entries) {
+    return entries.map(entry => ({
+      ...entry,
+      winRate: rate(entry.wins, entry.games),
+      kdr: entry.deaths > 0 ? entry.knockouts / entry.deaths : entry.knockouts
+    }));
+  }
+
+  // Push subscriptions; listener(leaderboard) runs for each board that changed
+  onUpdate(listener) {
+    this.listeners.push(listener);
+  }
+
+  // Returns the key to unwatch with
+  watch(board, characterId = null) {
+    const key = this.getBoardKey(board, characterId);
+    const entry = this.watched.get(key) || { board, characterId, subscribers: 0, lastPushed: null };
+    entry.subscribers++;
+    this.watched.set(key, entry);
+    return key;
+  }
+
+  unwatch(key) {
+    const entry = this.watched.get(key);
+    if (!entry) return;
+
+    entry.subscribers--;
+    if (entry.subscribers <= 0) {
+      this.watched.delete(key);
+    }
+  }
+
+  // Called once a match is saved
+  async refresh() {
+    for (const [key, entry] of this.watched) {
+      try {
+        const leaderboard = await this.getLeaderboard(entry.board, { characterId: entry.characterId });
+        const snapshot = JSON.stringify(leaderboard.entries);
+        if (snapshot === entry.lastPushed) continue;
+
+        entry.lastPushed = snapshot;
+        this.listeners.forEach(listener => listener(leaderboard));
+      } catch (error) {
+        logger.error(`Failed to refresh leaderboard ${key}:`, error);
+      }
+    }
+  }
+}
+
+const leaderboardService = new LeaderboardService();
+
+module.exports = {
+  LEADERBOARDS,
+  LeaderboardService,
+  leaderboardService
+};
@@ -0,0 +1,62 @@
+const { logger } = require('../utils/logger');
+const Player = require('../models/Player');
+const { playerRepository } = require('../models/PlayerRepository');
+const { RATING_PERIOD_MS } = require('../data/ranks');
+const { updateRating } = require('../utils/glicko2');
+
+// Glicko-2 ratings from match results. A free-for-all is rated as every pair
+// of players having played each other: the better placement wins, equal
+// placements draw and teammates are not compared.
+class RatingService {
+  // participants: [{ player, placement, team }], all rated in one period from
+  // everyone's pre-match rating. Returns playerId -> rating change.
+  rateMatch(participants, now = Date.now()) {
+    participants.forEach(({ player }) => player.applyRatingDecay(now));
+    
+    const updates = [];
+    for (const entry of participants) {
+      const results = participants
+        .filter(other => other !== entry && !(entry.team && entry.team === other.team))
+        .map(other => ({
+          rating: other.player.rating,
+          deviation: other.player.ratingDeviation,
+          score: entry.placement < other.placement ? 1 : entry.placement === other.placement ? 0.5 : 0
+        }));
+      
+      if (results.length > 0) {
+        updates.push({ player: entry.player, rating: updateRating(entry.player.getRating(), results) });
+      }
+    }
+    
+    const changes = new Map();
+    for (const { player, rating } of updates) {
+      changes.set(player.id, rating.rating - player.rating);
+      player.setRating(rating, now);
+    }
+    return changes;
+  }
+
+  // Widens the deviation of saved profiles that have sat out a rating period.
+  // Connected players decay in memory (see GameManager) and save as usual.
+  async decayInactive(now = Date.now()) {
+    const profiles = await playerRepository.findStaleRatings(now - RATING_PERIOD_MS);
+    
+    for (const profile of profiles) {
+      const player = new Player(null, profile);
+      if (player.applyRatingDecay(now)) {
+        await playerRepository.saveRating(player);
+      }
+    }
+    
+    if (profiles.length > 0) {
+      logger.info(`📉 Rating decay applied to ${profiles.length} inactive players`);
+    }
+  }
+}
+
+const ratingService = new RatingService();
+
+module.exports = {
+  RatingService,
+  ratingService
+};
@@ -63,6 +63,8 @@ class ReplaySystem {
       id: replayId,
       roomId: gameRoom.id,
       sessionId: gameRoom.sessionId,
+      seed: gameRoom.seed,
+      tickRate: gameRoom.tickRate,
       startTime: Date.now(),
       endTime: null,
       
@@ -235,18 +237,29 @@ class ReplaySystem {
     }
   }
 
+  // Filenames only carry the first 8 characters of the id, so the match is
+  // confirmed against the id stored inside
+  async findReplayFile(replayId) {
+    const files = await fs.readdir(this.replayDirectory);
+    const suffix = `_${replayId.slice(0, 8)}.json`;
+    
+    for (const file of files.filter(name => name.endsWith(suffix))) {
+      const filepath = path.join(this.replayDirectory, file);
+      const replay = JSON.parse(await fs.readFile(filepath, 'utf-8'));
+      if (replay.id === replayId) return { filepath, replay };
+    }
+    return null;
+  }
+
   async loadReplay(replayId) {
     try {
-      const files = await fs.readdir(this.replayDirectory);
-      const replayFile = files.find(file => file.includes(replayId));
+      const found = await this.findReplayFile(replayId);
       
-      if (!replayFile) {
+      if (!found) {
         throw new Error('Replay not found');
       }
       
-      const filepath = path.join(this.replayDirectory, replayFile);
-      const data = await fs.readFile(filepath, 'utf-8');
-      const replay = JSON.parse(data);
+      const replay = found.replay;
       
       // Decompress if needed
       if (replay.compressed) {
@@ -264,14 +277,13 @@ class ReplaySystem {
 
   async deleteReplay(replayId) {
     try {
-      const files = await fs.readdir(this.replayDirectory);
-      const replayFile = files.find(file => file.includes(replayId));
+      const found = await this.findReplayFile(replayId);
       
-      if (!replayFile) {
+      if (!found) {
         return false;
       }
       
-      const filepath = path.join(this.replayDirectory, replayFile);
+      const filepath = found.filepath;
       const stats = await fs.stat(filepath);
       
       await fs.unlink(filepath);
@@ -352,7 +364,7 @@ class ReplaySystem {
         id: p.id,
         pos: [Math.round(p.position.x), Math.round(p.position.y)],
         vel: [Math.round(p.velocity.x * 10) / 10, Math.round(p.velocity.y * 10) / 10],
-        hp: p.health,
+        dmg: p.damage,
         lives: p.lives,
         score: p.score,
         anim: p.animation,
@@ -371,7 +383,7 @@ class ReplaySystem {
       id: playerState.id,
       pos: [Math.round(playerState.position.x), Math.round(playerState.position.y)],
       vel: [Math.round(playerState.velocity.x * 10) / 10, Math.round(playerState.velocity.y * 10) / 10],
-      hp: playerState.health,
+      dmg: playerState.damage,
       lives: playerState.lives,
       score: playerState.score,
       anim: playerState.animation,
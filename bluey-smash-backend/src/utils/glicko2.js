@@ -0,0 +1,102 @@
+// Glicko-2 (Glickman, "Example of the Glicko-2 system", 2013). Ratings are
+// kept on the familiar Glicko scale (1500 / 350) and converted internally.
+
+const SCALE = 173.7178;
+const DEFAULT_RATING = 1500;
+const DEFAULT_DEVIATION = 350;
+const DEFAULT_VOLATILITY = 0.06;
+const TAU = 0.5; // How much volatility may change per period; 0.3-1.2 is sensible
+const EPSILON = 0.000001;
+
+function g(phi) {
+  return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+}
+
+function expectedScore(mu, opponentMu, opponentPhi) {
+  return 1 / (1 + Math.exp(-g(opponentPhi) * (mu - opponentMu)));
+}
+
+// Step 5: new volatility, by the Illinois algorithm
+function updateVolatility(phi, sigma, delta, v) {
+  const a = Math.log(sigma * sigma);
+  const f = x => {
+    const ex = Math.exp(x);
+    const d = phi * phi + v + ex;
+    return (ex * (delta * delta - d)) / (2 * d * d) - (x - a) / (TAU * TAU);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * TAU) < 0) k++;
+    B = a - k * TAU;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > EPSILON) {
+    const C = A + (A - B) * fA / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA /= 2;
+    }
+    B = C;
+    fB = fC;
+  }
+
+  return Math.exp(A / 2);
+}
+
+// rating: { rating, deviation, volatility }; results: [{ rating, deviation, score }]
+// with score 1 for a win, 0.5 for a draw and 0 for a loss, all in one period
+function updateRating({ rating, deviation, volatility }, results) {
+  const mu = (rating - DEFAULT_RATING) / SCALE;
+  const phi = deviation / SCALE;
+
+  if (results.length === 0) {
+    return { rating, deviation: inflateDeviation(deviation, volatility), volatility };
+  }
+
+  let vInverse = 0;
+  let improvement = 0;
+  for (const result of results) {
+    const opponentMu = (result.rating - DEFAULT_RATING) / SCALE;
+    const opponentPhi = result.deviation / SCALE;
+    const expected = expectedScore(mu, opponentMu, opponentPhi);
+    vInverse += g(opponentPhi) ** 2 * expected * (1 - expected);
+    improvement += g(opponentPhi) * (result.score - expected);
+  }
+
+  const v = 1 / vInverse;
+  const newVolatility = updateVolatility(phi, volatility, v * improvement, v);
+  const phiStar = Math.sqrt(phi * phi + newVolatility * newVolatility);
+  const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const newMu = mu + newPhi * newPhi * improvement;
+
+  return {
+    rating: newMu * SCALE + DEFAULT_RATING,
+    deviation: Math.min(newPhi * SCALE, DEFAULT_DEVIATION),
+    volatility: newVolatility
+  };
+}
+
+// Deviation after rating periods with no games; never above a new player's
+function inflateDeviation(deviation, volatility, periods = 1) {
+  const phi = deviation / SCALE;
+  const inflated = Math.sqrt(phi * phi + periods * volatility * volatility) * SCALE;
+  return Math.min(inflated, DEFAULT_DEVIATION);
+}
+
+module.exports = {
+  DEFAULT_RATING,
+  DEFAULT_DEVIATION,
+  DEFAULT_VOLATILITY,
+  updateRating,
+  inflateDeviation
+};
@@ -0,0 +1,45 @@
+// Small seeded PRNG (mulberry32) so matches, rollbacks and replays draw the
+// same "random" numbers from the same seed.
+class SeededRandom {
+  constructor(seed = 1) {
+    this.state = seed >>> 0;
+  }
+
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Integer in [0, max)
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  // Float in [min, max)
+  nextRange(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  setState(state) {
+    this.state = state >>> 0;
+  }
+}
+
+// Derive a 32-bit seed from a session id (uuid) so it can be reproduced from logs
+function seedFromId(id) {
+  let hash = 2166136261;
+  for (let i = 0; i < id.length; i++) {
+    hash ^= id.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+module.exports = { SeededRandom, seedFromId };
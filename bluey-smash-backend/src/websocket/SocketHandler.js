@@ -1,6 +1,22 @@
 const { logger } = require('../utils/logger');
 const { validateSocketInput } = require('../utils/validation');
-const jwt = require('jsonwebtoken');
+const {
+  BINARY_PROTOCOL_VERSION,
+  isBinaryMessage,
+  decodeInput
+} = require('../../../shared/binaryCodec');
+const {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  EVENTS,
+  validateClientPayload,
+  isCompatibleVersion
+} = require('../../../shared/protocol');
+const { DEFAULT_GAME_MODE, getGameModeList } = require('../modes');
+const { characterRegistry } = require('../services/CharacterRegistry');
+const { playerRepository } = require('../models/PlayerRepository');
+const { authService } = require('../services/AuthService');
+const { leaderboardService } = require('../services/LeaderboardService');
 
 class SocketHandler {
   constructor(io, gameManager) {
@@ -15,6 +31,15 @@ class SocketHandler {
       maxRequests: 30, // Max 30 requests per second per socket
       blockDuration: 5000 // Block for 5 seconds if exceeded
     };
+    
+    // In-match traffic has its own budget: an input every 60Hz tick, an ack per
+    // 20Hz state update and a checksum per confirmed state, with room for bursts
+    this.realtimeEvents = new Set([EVENTS.GAME_INPUT, EVENTS.GAME_STATE_ACK, EVENTS.GAME_CHECKSUM]);
+    this.realtimeRateLimitConfig = {
+      windowMs: 1000,
+      maxRequests: 180,
+      blockDuration: 5000
+    };
   }
 
   initialize() {
@@ -22,6 +47,12 @@ class SocketHandler {
       this.handleConnection(socket);
     });
     
+    // Boards that moved after a match go to everyone subscribed to them
+    leaderboardService.onUpdate((leaderboard) => {
+      const key = leaderboardService.getBoardKey(leaderboard.board, leaderboard.characterId);
+      this.io.to(`leaderboard_${key}`).emit(EVENTS.LEADERBOARD_UPDATE, leaderboard);
+    });
+    
     logger.info('🔌 Socket.IO handlers initialized');
   }
 
@@ -30,29 +61,49 @@ class SocketHandler {
     
     // Initialize rate limiting for this socket
     this.rateLimits.set(socket.id, {
-      requests: [],
-      blockedUntil: 0
+      general: { requests: [], blockedUntil: 0 },
+      realtime: { requests: [], blockedUntil: 0 }
     });
     
     // Set up middleware for rate limiting
     socket.use((packet, next) => {
-      if (this.checkRateLimit(socket.id)) {
+      if (this.checkRateLimit(socket.id, packet[0])) {
         next();
       } else {
         logger.warn(`⚠️ Rate limit exceeded for socket ${socket.id}`);
-        socket.emit('error', { 
+        socket.emit(EVENTS.ERROR, { 
           type: 'RATE_LIMIT',
           message: 'Too many requests, please slow down'
         });
       }
     });
 
+    // Payload validation against the shared protocol schemas
+    socket.use((packet, next) => {
+      const [event, data] = packet;
+      
+      // Binary payloads are checked after decoding by their handlers
+      if (isBinaryMessage(data)) return next();
+      
+      const problem = validateClientPayload(event, data);
+      if (problem) {
+        logger.warn(`⚠️ Invalid ${event} payload from ${socket.id}: ${problem}`);
+        socket.emit(EVENTS.ERROR, {
+          type: 'INVALID_PAYLOAD',
+          message: problem
+        });
+        return;
+      }
+      
+      next();
+    });
+
     // Authentication middleware
     socket.use((packet, next) => {
       const [event, data] = packet;
       
       // Skip auth for initial connection events
-      if (['auth:login', 'auth:guest', 'ping'].includes(event)) {
+      if ([EVENTS.AUTH_LOGIN, EVENTS.AUTH_GUEST, EVENTS.PING].includes(event)) {
         return next();
       }
       
@@ -71,6 +122,7 @@ class SocketHandler {
     this.setupGameHandlers(socket);
     this.setupMatchmakingHandlers(socket);
     this.setupSpectatorHandlers(socket);
+    this.setupLeaderboardHandlers(socket);
     this.setupUtilityHandlers(socket);
     
     // Connection management
@@ -78,52 +130,71 @@ class SocketHandler {
   }
 
   setupAuthHandlers(socket) {
-    socket.on('auth:login', async (data) => {
+    socket.on(EVENTS.AUTH_LOGIN, async (data) => {
       try {
-        const { token, username, character } = data;
+        const { token, username, character, binaryProtocol, protocolVersion } = data;
         
-        // Verify JWT token (if provided)
+        if (!this.checkProtocolVersion(socket, protocolVersion)) return;
+        
+        // Only access tokens from /api/auth are accepted (if provided)
         let userId = null;
         if (token) {
           try {
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            userId = decoded.userId;
+            userId = authService.verifyAccessToken(token);
           } catch (err) {
-            logger.warn(`Invalid JWT token from ${socket.id}:`, err.message);
+            logger.warn(`Rejected token from ${socket.id}: ${err.message}`);
+            socket.emit(EVENTS.AUTH_ERROR, { message: err.message, code: 'INVALID_TOKEN' });
+            return;
           }
         }
         
+        // One session per account: an older one is closed first, so its profile is
+        // saved before this login reads it back
+        if (userId) this.replaceSession(userId);
+        
+        // Accounts pick up their saved profile
+        const profile = userId ? await playerRepository.findById(userId) : null;
+        if (userId && !profile) {
+          socket.emit(EVENTS.AUTH_ERROR, { message: 'Account not found', code: 'ACCOUNT_NOT_FOUND' });
+          return;
+        }
+        
+        // Again, for a login of the same account that got in while the profile loaded
+        if (userId) this.replaceSession(userId);
+        
         // Create player
         const player = this.gameManager.addPlayer(socket.id, {
+          ...profile,
           id: userId,
-          username: username || `Player_${socket.id.slice(0, 6)}`,
-          character
+          username: (profile && profile.username) || username || `Player_${socket.id.slice(0, 6)}`,
+          character: character || (profile && profile.character),
+          isRegistered: Boolean(userId)
         });
+        player.applyRatingDecay(); // Time away since the profile was saved
         
         player.setSocket(socket);
+        player.wireEncoding = this.negotiateWireEncoding(binaryProtocol);
         socket.player = player;
         this.connectedSockets.set(socket.id, socket);
         
-        socket.emit('auth:success', {
+        socket.emit(EVENTS.AUTH_SUCCESS, {
           player: player.getPublicData(),
-          serverInfo: {
-            version: '1.0.0',
-            maxPlayersPerRoom: this.gameManager.maxPlayersPerRoom,
-            tickRate: this.gameManager.gameTickRate
-          }
+          serverInfo: this.getServerInfo(player)
         });
         
         logger.info(`✅ Player authenticated: ${player.username} (${socket.id})`);
         
       } catch (error) {
         logger.error('Auth error:', error);
-        socket.emit('auth:error', { message: 'Authentication failed' });
+        socket.emit(EVENTS.AUTH_ERROR, { message: 'Authentication failed' });
       }
     });
 
-    socket.on('auth:guest', (data) => {
+    socket.on(EVENTS.AUTH_GUEST, (data) => {
       try {
-        const { username, character } = data || {};
+        const { username, character, binaryProtocol, protocolVersion } = data || {};
+        
+        if (!this.checkProtocolVersion(socket, protocolVersion)) return;
         
         const player = this.gameManager.addPlayer(socket.id, {
           username: username || `Guest_${socket.id.slice(0, 6)}`,
@@ -131,29 +202,73 @@ class SocketHandler {
         });
         
         player.setSocket(socket);
+        player.wireEncoding = this.negotiateWireEncoding(binaryProtocol);
         socket.player = player;
         this.connectedSockets.set(socket.id, socket);
         
-        socket.emit('auth:success', {
+        socket.emit(EVENTS.AUTH_SUCCESS, {
           player: player.getPublicData(),
-          serverInfo: {
-            version: '1.0.0',
-            maxPlayersPerRoom: this.gameManager.maxPlayersPerRoom,
-            tickRate: this.gameManager.gameTickRate
-          }
+          serverInfo: this.getServerInfo(player),
+          guestToken: authService.signGuestToken(player.id) // For upgrading via /api/auth/register
         });
         
         logger.info(`👤 Guest player connected: ${player.username} (${socket.id})`);
         
       } catch (error) {
         logger.error('Guest auth error:', error);
-        socket.emit('auth:error', { message: 'Guest authentication failed' });
+        socket.emit(EVENTS.AUTH_ERROR, { message: 'Guest authentication failed' });
       }
     });
   }
 
+  // Signs out the connected session of an account, if there is one
+  replaceSession(userId) {
+    const previous = this.gameManager.findPlayerById(userId);
+    if (!previous) return;
+    
+    const oldSocket = this.connectedSockets.get(previous.socketId);
+    this.gameManager.removePlayer(previous.socketId); // Saves the profile
+    
+    if (oldSocket) {
+      oldSocket.player = null; // Already removed; the disconnect below has nothing left to clean up
+      oldSocket.emit(EVENTS.ERROR, { message: 'Signed in from another connection', code: 'SESSION_REPLACED' });
+      oldSocket.disconnect(true);
+    }
+    
+    logger.info(`🔁 Replaced the older session of ${previous.username} (${previous.socketId})`);
+  }
+
+  checkProtocolVersion(socket, clientVersion) {
+    if (isCompatibleVersion(clientVersion)) return true;
+    
+    logger.warn(`Protocol version mismatch from ${socket.id}: client ${clientVersion}, server ${PROTOCOL_VERSION}`);
+    socket.emit(EVENTS.AUTH_ERROR, {
+      code: 'PROTOCOL_MISMATCH',
+      message: `Unsupported protocol version ${clientVersion}; server supports ${MIN_PROTOCOL_VERSION}-${PROTOCOL_VERSION}`
+    });
+    return false;
+  }
+
+  // Clients that don't announce a matching binary protocol keep using JSON
+  negotiateWireEncoding(clientBinaryVersion) {
+    return clientBinaryVersion === BINARY_PROTOCOL_VERSION ? 'binary' : 'json';
+  }
+
+  getServerInfo(player) {
+    return {
+      version: '1.0.0',
+      protocolVersion: PROTOCOL_VERSION,
+      maxPlayersPerRoom: this.gameManager.maxPlayersPerRoom,
+      tickRate: this.gameManager.gameTickRate,
+      wireEncoding: player.wireEncoding,
+      binaryProtocolVersion: BINARY_PROTOCOL_VERSION,
+      characters: characterRegistry.getRoster(),
+      gameModes: getGameModeList()
+    };
+  }
+
   setupPlayerHandlers(socket) {
-    socket.on('player:update-character', (data) => {
+    socket.on(EVENTS.PLAYER_UPDATE_CHARACTER, (data) => {
       try {
         const { character, skin } = data;
         const player = socket.player;
@@ -161,7 +276,7 @@ class SocketHandler {
         if (player.roomId) {
           const room = this.gameManager.getRoom(player.roomId);
           if (room && room.isGameActive) {
-            socket.emit('error', { message: 'Cannot change character during game' });
+            socket.emit(EVENTS.ERROR, { message: 'Cannot change character during game' });
             return;
           }
         }
@@ -169,7 +284,7 @@ class SocketHandler {
         if (player.setCharacter(character)) {
           if (skin) player.setSkin(skin);
           
-          socket.emit('player:character-updated', {
+          socket.emit(EVENTS.PLAYER_CHARACTER_UPDATED, {
             character: player.character,
             skin: player.skin
           });
@@ -178,43 +293,43 @@ class SocketHandler {
           if (player.roomId) {
             const room = this.gameManager.getRoom(player.roomId);
             if (room) {
-              room.broadcast('room:player-updated', {
+              room.broadcast(EVENTS.ROOM_PLAYER_UPDATED, {
                 player: player.getPublicData()
               });
             }
           }
         } else {
-          socket.emit('error', { message: 'Invalid character selected' });
+          socket.emit(EVENTS.ERROR, { message: 'Invalid character selected' });
         }
         
       } catch (error) {
         logger.error('Character update error:', error);
-        socket.emit('error', { message: 'Failed to update character' });
+        socket.emit(EVENTS.ERROR, { message: 'Failed to update character' });
       }
     });
 
-    socket.on('player:update-preferences', (data) => {
+    socket.on(EVENTS.PLAYER_UPDATE_PREFERENCES, (data) => {
       try {
         const player = socket.player;
         player.updatePreferences(data);
         
-        socket.emit('player:preferences-updated', {
+        socket.emit(EVENTS.PLAYER_PREFERENCES_UPDATED, {
           preferences: player.preferences
         });
         
       } catch (error) {
         logger.error('Preferences update error:', error);
-        socket.emit('error', { message: 'Failed to update preferences' });
+        socket.emit(EVENTS.ERROR, { message: 'Failed to update preferences' });
       }
     });
 
-    socket.on('player:ready', (data) => {
+    socket.on(EVENTS.PLAYER_READY, (data) => {
       try {
         const { ready } = data;
         const player = socket.player;
         
         if (!player.roomId) {
-          socket.emit('error', { message: 'Not in a room' });
+          socket.emit(EVENTS.ERROR, { message: 'Not in a room' });
           return;
         }
         
@@ -222,7 +337,7 @@ class SocketHandler {
         
         const room = this.gameManager.getRoom(player.roomId);
         if (room) {
-          room.broadcast('room:player-ready', {
+          room.broadcast(EVENTS.ROOM_PLAYER_READY, {
             playerId: socket.id,
             ready: player.isReady,
             canStart: room.canStart()
@@ -231,24 +346,24 @@ class SocketHandler {
         
       } catch (error) {
         logger.error('Player ready error:', error);
-        socket.emit('error', { message: 'Failed to update ready status' });
+        socket.emit(EVENTS.ERROR, { message: 'Failed to update ready status' });
       }
     });
   }
 
   setupRoomHandlers(socket) {
-    socket.on('room:create', (data) => {
+    socket.on(EVENTS.ROOM_CREATE, (data) => {
       try {
         const player = socket.player;
         
         if (player.roomId) {
-          socket.emit('error', { message: 'Already in a room' });
+          socket.emit(EVENTS.ERROR, { message: 'Already in a room' });
           return;
         }
         
         const room = this.gameManager.createRoom(socket.id, data);
         
-        socket.emit('room:created', {
+        socket.emit(EVENTS.ROOM_CREATED, {
           room: room.getPublicInfo()
         });
         
@@ -256,39 +371,39 @@ class SocketHandler {
         
       } catch (error) {
         logger.error('Room creation error:', error);
-        socket.emit('error', { message: 'Failed to create room' });
+        socket.emit(EVENTS.ERROR, { message: error.message || 'Failed to create room' });
       }
     });
 
-    socket.on('room:join', (data) => {
+    socket.on(EVENTS.ROOM_JOIN, (data) => {
       try {
         const { roomId } = data;
         const player = socket.player;
         
         if (player.roomId) {
-          socket.emit('error', { message: 'Already in a room' });
+          socket.emit(EVENTS.ERROR, { message: 'Already in a room' });
           return;
         }
         
         const room = this.gameManager.joinRoom(socket.id, roomId);
         
         socket.join(roomId);
-        socket.emit('room:joined', {
+        socket.emit(EVENTS.ROOM_JOINED, {
           room: room.getPublicInfo()
         });
         
       } catch (error) {
         logger.error('Room join error:', error);
-        socket.emit('error', { message: error.message || 'Failed to join room' });
+        socket.emit(EVENTS.ERROR, { message: error.message || 'Failed to join room' });
       }
     });
 
-    socket.on('room:leave', () => {
+    socket.on(EVENTS.ROOM_LEAVE, () => {
       try {
         const player = socket.player;
         
         if (!player.roomId) {
-          socket.emit('error', { message: 'Not in a room' });
+          socket.emit(EVENTS.ERROR, { message: 'Not in a room' });
           return;
         }
         
@@ -296,44 +411,44 @@ class SocketHandler {
         this.gameManager.leaveRoom(socket.id, roomId);
         
         socket.leave(roomId);
-        socket.emit('room:left', { roomId });
+        socket.emit(EVENTS.ROOM_LEFT, { roomId });
         
       } catch (error) {
         logger.error('Room leave error:', error);
-        socket.emit('error', { message: 'Failed to leave room' });
+        socket.emit(EVENTS.ERROR, { message: 'Failed to leave room' });
       }
     });
 
-    socket.on('room:list', (data) => {
+    socket.on(EVENTS.ROOM_LIST, (data) => {
       try {
         const filters = data || {};
         const rooms = this.gameManager.getRoomsList(filters);
         
-        socket.emit('room:list', { rooms });
+        socket.emit(EVENTS.ROOM_LIST, { rooms });
         
       } catch (error) {
         logger.error('Room list error:', error);
-        socket.emit('error', { message: 'Failed to get room list' });
+        socket.emit(EVENTS.ERROR, { message: 'Failed to get room list' });
       }
     });
 
-    socket.on('room:update-settings', (data) => {
+    socket.on(EVENTS.ROOM_UPDATE_SETTINGS, (data) => {
       try {
         const player = socket.player;
         
         if (!player.roomId) {
-          socket.emit('error', { message: 'Not in a room' });
+          socket.emit(EVENTS.ERROR, { message: 'Not in a room' });
           return;
         }
         
         const room = this.gameManager.getRoom(player.roomId);
         if (!room) {
-          socket.emit('error', { message: 'Room not found' });
+          socket.emit(EVENTS.ERROR, { message: 'Room not found' });
           return;
         }
         
         if (room.host.socketId !== socket.id) {
-          socket.emit('error', { message: 'Only host can update settings' });
+          socket.emit(EVENTS.ERROR, { message: 'Only host can update settings' });
           return;
         }
         
@@ -341,34 +456,90 @@ class SocketHandler {
         
       } catch (error) {
         logger.error('Room settings update error:', error);
-        socket.emit('error', { message: 'Failed to update room settings' });
+        socket.emit(EVENTS.ERROR, { message: 'Failed to update room settings' });
+      }
+    });
+
+    socket.on(EVENTS.ROOM_SET_TEAM, (data) => {
+      try {
+        const player = socket.player;
+        
+        if (!player.roomId) {
+          socket.emit(EVENTS.ERROR, { message: 'Not in a room' });
+          return;
+        }
+        
+        const room = this.gameManager.getRoom(player.roomId);
+        if (!room) {
+          socket.emit(EVENTS.ERROR, { message: 'Room not found' });
+          return;
+        }
+        
+        if (room.host.socketId !== socket.id) {
+          socket.emit(EVENTS.ERROR, { message: 'Only host can assign teams' });
+          return;
+        }
+        
+        room.setPlayerTeam(data.playerId, data.team);
+        
+      } catch (error) {
+        logger.error('Team assignment error:', error);
+        socket.emit(EVENTS.ERROR, { message: error.message });
+      }
+    });
+
+    socket.on(EVENTS.ROOM_BALANCE_TEAMS, (data) => {
+      try {
+        const player = socket.player;
+        
+        if (!player.roomId) {
+          socket.emit(EVENTS.ERROR, { message: 'Not in a room' });
+          return;
+        }
+        
+        const room = this.gameManager.getRoom(player.roomId);
+        if (!room) {
+          socket.emit(EVENTS.ERROR, { message: 'Room not found' });
+          return;
+        }
+        
+        if (room.host.socketId !== socket.id) {
+          socket.emit(EVENTS.ERROR, { message: 'Only host can balance teams' });
+          return;
+        }
+        
+        room.autoBalanceTeams();
+        
+      } catch (error) {
+        logger.error('Team balance error:', error);
+        socket.emit(EVENTS.ERROR, { message: error.message });
       }
     });
   }
 
   setupGameHandlers(socket) {
-    socket.on('game:start', () => {
+    socket.on(EVENTS.GAME_START, () => {
       try {
         const player = socket.player;
         
         if (!player.roomId) {
-          socket.emit('error', { message: 'Not in a room' });
+          socket.emit(EVENTS.ERROR, { message: 'Not in a room' });
           return;
         }
         
         const room = this.gameManager.getRoom(player.roomId);
         if (!room) {
-          socket.emit('error', { message: 'Room not found' });
+          socket.emit(EVENTS.ERROR, { message: 'Room not found' });
           return;
         }
         
         if (room.host.socketId !== socket.id) {
-          socket.emit('error', { message: 'Only host can start game' });
+          socket.emit(EVENTS.ERROR, { message: 'Only host can start game' });
           return;
         }
         
         if (!room.canStart()) {
-          socket.emit('error', { message: 'Cannot start game (need at least 2 ready players)' });
+          socket.emit(EVENTS.ERROR, { message: 'Cannot start game (need at least 2 ready players)' });
           return;
         }
         
@@ -376,12 +547,14 @@ class SocketHandler {
         
       } catch (error) {
         logger.error('Game start error:', error);
-        socket.emit('error', { message: 'Failed to start game' });
+        socket.emit(EVENTS.ERROR, { message: 'Failed to start game' });
       }
     });
 
-    socket.on('game:input', (data) => {
+    socket.on(EVENTS.GAME_INPUT, (payload) => {
       try {
+        const data = isBinaryMessage(payload) ? decodeInput(payload) : payload;
+        
         if (!validateSocketInput(data)) {
           logger.warn(`Invalid game input from ${socket.id}:`, data);
           return;
@@ -411,50 +584,87 @@ class SocketHandler {
       }
     });
 
-    socket.on('game:pause', () => {
+    socket.on(EVENTS.GAME_STATE_ACK, (data) => {
+      try {
+        const { frame } = data || {};
+        if (!Number.isInteger(frame)) return;
+        
+        // Spectators ack the updates they are sent too
+        const player = socket.player;
+        const room = player.roomId
+          ? this.gameManager.getRoom(player.roomId)
+          : this.gameManager.getSpectatedRoom(socket.id);
+        if (!room || !room.isGameActive) return;
+        
+        room.acknowledgeState(socket.id, frame);
+        
+      } catch (error) {
+        logger.error('State ack error:', error);
+      }
+    });
+
+    socket.on(EVENTS.GAME_CHECKSUM, (data) => {
+      try {
+        const { frame, checksum } = data || {};
+        if (!Number.isInteger(frame) || !Number.isInteger(checksum)) return;
+        
+        const player = socket.player;
+        if (!player.roomId) return;
+        
+        const room = this.gameManager.getRoom(player.roomId);
+        if (!room || !room.isGameActive) return;
+        
+        room.verifyChecksum(socket.id, frame, checksum);
+        
+      } catch (error) {
+        logger.error('Checksum report error:', error);
+      }
+    });
+
+    socket.on(EVENTS.GAME_PAUSE, () => {
       try {
         const player = socket.player;
         
         if (!player.roomId) {
-          socket.emit('error', { message: 'Not in a room' });
+          socket.emit(EVENTS.ERROR, { message: 'Not in a room' });
           return;
         }
         
         const room = this.gameManager.getRoom(player.roomId);
         if (!room || !room.isGameActive) {
-          socket.emit('error', { message: 'No active game to pause' });
+          socket.emit(EVENTS.ERROR, { message: 'No active game to pause' });
           return;
         }
         
         // Only host can pause in most modes
         if (room.host.socketId !== socket.id && room.gameMode !== 'casual') {
-          socket.emit('error', { message: 'Only host can pause game' });
+          socket.emit(EVENTS.ERROR, { message: 'Only host can pause game' });
           return;
         }
         
-        room.broadcast('game:paused', {
+        room.broadcast(EVENTS.GAME_PAUSED, {
           pausedBy: player.username,
           timestamp: Date.now()
         });
         
       } catch (error) {
         logger.error('Game pause error:', error);
-        socket.emit('error', { message: 'Failed to pause game' });
+        socket.emit(EVENTS.ERROR, { message: 'Failed to pause game' });
       }
     });
 
-    socket.on('game:forfeit', () => {
+    socket.on(EVENTS.GAME_FORFEIT, () => {
       try {
         const player = socket.player;
         
         if (!player.roomId) {
-          socket.emit('error', { message: 'Not in a room' });
+          socket.emit(EVENTS.ERROR, { message: 'Not in a room' });
           return;
         }
         
         const room = this.gameManager.getRoom(player.roomId);
         if (!room || !room.isGameActive) {
-          socket.emit('error', { message: 'No active game to forfeit' });
+          socket.emit(EVENTS.ERROR, { message: 'No active game to forfeit' });
           return;
         }
         
@@ -462,7 +672,7 @@ class SocketHandler {
         player.gameState.lives = 0;
         player.gameState.eliminated = true;
         
-        room.broadcast('game:player-forfeit', {
+        room.broadcast(EVENTS.GAME_PLAYER_FORFEIT, {
           playerId: socket.id,
           playerName: player.username
         });
@@ -472,66 +682,66 @@ class SocketHandler {
         
       } catch (error) {
         logger.error('Game forfeit error:', error);
-        socket.emit('error', { message: 'Failed to forfeit game' });
+        socket.emit(EVENTS.ERROR, { message: 'Failed to forfeit game' });
       }
     });
   }
 
   setupMatchmakingHandlers(socket) {
-    socket.on('matchmaking:join', (data) => {
+    socket.on(EVENTS.MATCHMAKING_JOIN, (data) => {
       try {
         const player = socket.player;
         
         if (player.roomId) {
-          socket.emit('error', { message: 'Leave current room before joining matchmaking' });
+          socket.emit(EVENTS.ERROR, { message: 'Leave current room before joining matchmaking' });
           return;
         }
         
         this.gameManager.joinMatchmaking(socket.id, data);
         
-        socket.emit('matchmaking:joined', {
+        socket.emit(EVENTS.MATCHMAKING_JOINED, {
           estimatedWaitTime: this.estimateMatchmakingWait(data),
           position: this.gameManager.matchmaking.size
         });
         
       } catch (error) {
         logger.error('Matchmaking join error:', error);
-        socket.emit('error', { message: 'Failed to join matchmaking' });
+        socket.emit(EVENTS.ERROR, { message: error.message || 'Failed to join matchmaking' });
       }
     });
 
-    socket.on('matchmaking:leave', () => {
+    socket.on(EVENTS.MATCHMAKING_LEAVE, () => {
       try {
         if (this.gameManager.removeFromMatchmaking(socket.id)) {
-          socket.emit('matchmaking:left');
+          socket.emit(EVENTS.MATCHMAKING_LEFT);
         }
         
       } catch (error) {
         logger.error('Matchmaking leave error:', error);
-        socket.emit('error', { message: 'Failed to leave matchmaking' });
+        socket.emit(EVENTS.ERROR, { message: 'Failed to leave matchmaking' });
       }
     });
   }
 
   setupSpectatorHandlers(socket) {
-    socket.on('spectate:join', (data) => {
+    socket.on(EVENTS.SPECTATE_JOIN, (data) => {
       try {
         const { roomId } = data;
         const spectatorData = this.gameManager.addSpectator(socket.id, roomId);
         
         socket.join(`spectate_${roomId}`);
-        socket.emit('spectate:joined', {
+        socket.emit(EVENTS.SPECTATE_JOINED, {
           roomId,
           gameData: spectatorData
         });
         
       } catch (error) {
         logger.error('Spectator join error:', error);
-        socket.emit('error', { message: error.message || 'Failed to join as spectator' });
+        socket.emit(EVENTS.ERROR, { message: error.message || 'Failed to join as spectator' });
       }
     });
 
-    socket.on('spectate:leave', () => {
+    socket.on(EVENTS.SPECTATE_LEAVE, () => {
       try {
         if (this.gameManager.removeSpectator(socket.id)) {
           // Find which room they were spectating and leave
@@ -542,54 +752,95 @@ class SocketHandler {
             }
           }
           
-          socket.emit('spectate:left');
+          socket.emit(EVENTS.SPECTATE_LEFT);
         }
         
       } catch (error) {
         logger.error('Spectator leave error:', error);
-        socket.emit('error', { message: 'Failed to leave spectator mode' });
+        socket.emit(EVENTS.ERROR, { message: 'Failed to leave spectator mode' });
+      }
+    });
+  }
+
+  setupLeaderboardHandlers(socket) {
+    socket.leaderboards = new Set(); // Watched board keys, released on disconnect
+    
+    socket.on(EVENTS.LEADERBOARD_SUBSCRIBE, async (data) => {
+      try {
+        const { board, characterId } = data;
+        const key = leaderboardService.getBoardKey(board, characterId);
+        
+        if (!socket.leaderboards.has(key)) {
+          leaderboardService.watch(board, characterId);
+          socket.leaderboards.add(key);
+          socket.join(`leaderboard_${key}`);
+        }
+        
+        // Current standings right away; later pushes only when they change
+        const leaderboard = await leaderboardService.getLeaderboard(board, { characterId });
+        socket.emit(EVENTS.LEADERBOARD_UPDATE, leaderboard);
+        
+      } catch (error) {
+        logger.error('Leaderboard subscribe error:', error);
+        socket.emit(EVENTS.ERROR, { message: error.message || 'Failed to subscribe to leaderboard' });
+      }
+    });
+
+    socket.on(EVENTS.LEADERBOARD_UNSUBSCRIBE, (data) => {
+      try {
+        const { board, characterId } = data;
+        const key = leaderboardService.getBoardKey(board, characterId);
+        
+        if (socket.leaderboards.delete(key)) {
+          leaderboardService.unwatch(key);
+          socket.leave(`leaderboard_${key}`);
+        }
+        
+      } catch (error) {
+        logger.error('Leaderboard unsubscribe error:', error);
+        socket.emit(EVENTS.ERROR, { message: error.message || 'Failed to unsubscribe from leaderboard' });
       }
     });
   }
 
   setupUtilityHandlers(socket) {
-    socket.on('ping', (timestamp) => {
+    socket.on(EVENTS.PING, (timestamp) => {
       const latency = Date.now() - timestamp;
       
       if (socket.player) {
         socket.player.updatePing(latency);
       }
       
-      socket.emit('pong', {
+      socket.emit(EVENTS.PONG, {
         timestamp,
         latency,
         serverTime: Date.now()
       });
     });
 
-    socket.on('stats:request', () => {
+    socket.on(EVENTS.STATS_REQUEST, () => {
       try {
         const stats = this.gameManager.getServerStats();
-        socket.emit('stats:response', stats);
+        socket.emit(EVENTS.STATS_RESPONSE, stats);
         
       } catch (error) {
         logger.error('Stats request error:', error);
-        socket.emit('error', { message: 'Failed to get server stats' });
+        socket.emit(EVENTS.ERROR, { message: 'Failed to get server stats' });
       }
     });
 
-    socket.on('replay:request', (data) => {
+    socket.on(EVENTS.REPLAY_REQUEST, (data) => {
       try {
         const { replayId } = data;
         // Implementation would depend on replay system
-        socket.emit('replay:data', {
+        socket.emit(EVENTS.REPLAY_DATA, {
           replayId,
           message: 'Replay system not yet implemented'
         });
         
       } catch (error) {
         logger.error('Replay request error:', error);
-        socket.emit('error', { message: 'Failed to get replay data' });
+        socket.emit(EVENTS.ERROR, { message: 'Failed to get replay data' });
       }
     });
   }
@@ -604,6 +855,11 @@ class SocketHandler {
       // Remove from connected sockets
       this.connectedSockets.delete(socket.id);
       
+      // Release leaderboard subscriptions
+      for (const key of socket.leaderboards) {
+        leaderboardService.unwatch(key);
+      }
+      
       // Clean up player
       if (socket.player) {
         this.gameManager.removePlayer(socket.id);
@@ -612,10 +868,13 @@ class SocketHandler {
   }
 
   // Rate limiting
-  checkRateLimit(socketId) {
-    const limit = this.rateLimits.get(socketId);
-    if (!limit) return true;
+  checkRateLimit(socketId, event) {
+    const limits = this.rateLimits.get(socketId);
+    if (!limits) return true;
     
+    const realtime = this.realtimeEvents.has(event);
+    const limit = realtime ? limits.realtime : limits.general;
+    const config = realtime ? this.realtimeRateLimitConfig : this.rateLimitConfig;
     const now = Date.now();
     
     // Check if still blocked
@@ -625,12 +884,12 @@ class SocketHandler {
     
     // Clean old requests
     limit.requests = limit.requests.filter(
-      timestamp => now - timestamp < this.rateLimitConfig.windowMs
+      timestamp => now - timestamp < config.windowMs
     );
     
     // Check if over limit
-    if (limit.requests.length >= this.rateLimitConfig.maxRequests) {
-      limit.blockedUntil = now + this.rateLimitConfig.blockDuration;
+    if (limit.requests.length >= config.maxRequests) {
+      limit.blockedUntil = now + config.blockDuration;
       return false;
     }
     
@@ -646,7 +905,7 @@ class SocketHandler {
     const baseWait = Math.max(5, queueSize * 2); // 2 seconds per person minimum 5
     
     // Adjust for specific preferences
-    if (preferences.gameMode && preferences.gameMode !== 'classic') {
+    if (preferences.gameMode && preferences.gameMode !== DEFAULT_GAME_MODE) {
       return baseWait * 1.5; // Longer wait for non-standard modes
     }
     
@@ -665,7 +924,7 @@ class SocketHandler {
       authenticatedPlayers: Array.from(this.connectedSockets.values())
         .filter(socket => socket.player).length,
       rateLimitedSockets: Array.from(this.rateLimits.values())
-        .filter(limit => Date.now() < limit.blockedUntil).length
+        .filter(limits => Date.now() < Math.max(limits.general.blockedUntil, limits.realtime.blockedUntil)).length
     };
   }
 }
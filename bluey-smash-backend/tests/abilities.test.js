@@ -0,0 +1,226 @@
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}), { virtual: true });
+
+const GameState = require('../src/models/GameState');
+const { characterRegistry } = require('../src/services/CharacterRegistry');
+
+const DIRECTION_INPUTS = {
+  neutral: {},
+  side: { right: true },
+  up: { up: true },
+  down: { down: true }
+};
+
+// Attacker on the left facing right, defender close by on the right unless told otherwise
+function setup(character, { opponent = 'bluey', gap = 60 } = {}) {
+  const state = new GameState();
+  state.initialize({
+    players: [
+      { id: 'player-a', socketId: 'a', username: 'A', character },
+      { id: 'player-b', socketId: 'b', username: 'B', character: opponent }
+    ],
+    mapId: 'backyard',
+    gameMode: 'classic',
+    settings: { stockLives: 3, itemsEnabled: false, teamMode: false },
+    seed: 1
+  });
+  
+  const attacker = state.players.get('a');
+  const defender = state.players.get('b');
+  attacker.position = { x: 400, y: 410 };
+  defender.position = { x: 400 + gap, y: 410 };
+  
+  const match = { state, attacker, defender, frame: 0 };
+  
+  // Let both fighters land and stand still
+  for (let i = 0; i < 20; i++) step(match, {});
+  attacker.facing = 'right';
+  defender.facing = 'left';
+  return match;
+}
+
+function step(match, attackerInput, defenderInput = {}) {
+  match.frame++;
+  match.state.applyInput('a', { frame: match.frame, state: { ...blank(), ...attackerInput } });
+  match.state.applyInput('b', { frame: match.frame, state: { ...blank(), ...defenderInput } });
+  match.state.tick(match.frame);
+}
+
+function blank() {
+  return { left: false, right: false, up: false, down: false, attack: false, special: false, shield: false, dodge: false };
+}
+
+// Presses special with a direction and runs the move up to its first active frame,
+// where the ability (or the generic special's hitboxes) comes out
+function fireSpecial(match, direction) {
+  const input = DIRECTION_INPUTS[direction];
+  step(match, { ...input, special: true });
+  
+  const moveId = match.attacker.move.id;
+  const startup = match.state.getMoveDefinition(match.attacker, moveId).startup;
+  while (match.attacker.move && match.attacker.move.frame <= startup) {
+    step(match, input);
+  }
+  return moveId;
+}
+
+function projectilesOf(state, type) {
+  return Array.from(state.entities.values()).filter(entity => entity.type === type && entity.owner === 'a');
+}
+
+describe('special abilities', () => {
+  test('picks the special by the held direction', () => {
+    const { state, attacker } = setup('bluey');
+    
+    expect(state.selectSpecial(attacker, {})).toBe('neutralSpecial');
+    expect(state.selectSpecial(attacker, { left: true })).toBe('sideSpecial');
+    expect(state.selectSpecial(attacker, { right: true })).toBe('sideSpecial');
+    expect(state.selectSpecial(attacker, { up: true, right: true })).toBe('upSpecial');
+    expect(state.selectSpecial(attacker, { down: true })).toBe('downSpecial');
+  });
+
+  const cases = [];
+  for (const character of characterRegistry.getIds()) {
+    for (const direction of Object.keys(DIRECTION_INPUTS)) {
+      cases.push([character, direction]);
+    }
+  }
+
+  test.each(cases)('%s %s special uses its listed ability or the generic special', (character, direction) => {
+    const match = setup(character);
+    const moveId = fireSpecial(match, direction);
+    const ability = characterRegistry.get(character).specials[direction];
+    
+    expect(moveId).toBe(`${direction}Special`);
+    expect(match.attacker.blueyMeter).toBeLessThan(80);
+    expect(match.attacker.move.abilityUsed).toBe(Boolean(ability));
+  });
+
+  test('executeSpecialAttack reports whether an ability ran', () => {
+    const { state, attacker } = setup('chilli', { gap: 600 });
+    
+    expect(state.executeSpecialAttack(attacker, 'neutral')).toBe(false);
+    expect(state.executeSpecialAttack(attacker, 'side')).toBe(true);
+    expect(projectilesOf(state, 'yoga_ball')).toHaveLength(1);
+  });
+
+  test('every listed ability is reachable from some direction', () => {
+    for (const id of characterRegistry.getIds()) {
+      const character = characterRegistry.get(id);
+      expect(Object.values(character.specials).sort()).toEqual([...character.abilities].sort());
+    }
+  });
+
+  test('keepy-uppy throws three balls', () => {
+    const match = setup('bluey', { gap: 600 });
+    fireSpecial(match, 'neutral');
+    
+    const balls = projectilesOf(match.state, 'keepy_uppy_ball');
+    expect(balls).toHaveLength(3);
+    expect(balls.every(ball => ball.damage === 15)).toBe(true);
+  });
+
+  test('dance mode stuns opponents nearby', () => {
+    const match = setup('bluey');
+    fireSpecial(match, 'side');
+    
+    expect(match.defender.statusEffects.has('stunned')).toBe(true);
+  });
+
+  test('shadowlands hides the user', () => {
+    const match = setup('bandit');
+    fireSpecial(match, 'down');
+    
+    expect(match.attacker.statusEffects.has('shadowlands')).toBe(true);
+    expect(match.state.hasStatusType(match.attacker, 'invisibility')).toBe(true);
+  });
+
+  test('sleepytime sends a lullaby drifting forward', () => {
+    const match = setup('bingo', { gap: 600 });
+    fireSpecial(match, 'neutral');
+    
+    const [lullaby] = projectilesOf(match.state, 'lullaby');
+    expect(lullaby).toBeDefined();
+    expect(lullaby.velocity).toEqual({ x: 4, y: 0 });
+    expect(lullaby.sleepFrames).toBe(90);
+  });
+
+  test('featherwand floats Bingo up and lifts opponents nearby', () => {
+    const match = setup('bingo');
+    fireSpecial(match, 'up');
+    
+    expect(match.attacker.isGrounded).toBe(false);
+    expect(match.attacker.velocity.y).toBeLessThan(0);
+    expect(match.defender.isGrounded).toBe(false);
+    expect(match.defender.velocity.y).toBeLessThan(0);
+  });
+
+  test('magic asparagus heals and boosts damage', () => {
+    const match = setup('bingo');
+    match.attacker.damage = 50;
+    fireSpecial(match, 'down');
+    
+    expect(match.attacker.damage).toBe(20);
+    expect(match.attacker.statusEffects.has('magic_boost')).toBe(true);
+  });
+
+  test('takeaway blinks Bandit 150 units forward and stops him', () => {
+    const match = setup('bandit', { gap: 600 });
+    step(match, { right: true, special: true });
+    
+    const startup = match.state.getMoveDefinition(match.attacker, 'sideSpecial').startup;
+    while (match.attacker.move.frame < startup) step(match, {});
+    const before = match.attacker.position.x;
+    step(match, {});
+    
+    expect(match.attacker.move.abilityUsed).toBe(true);
+    expect(match.attacker.position.x - before).toBeCloseTo(150, 0);
+    expect(match.attacker.velocity.x).toBe(0);
+  });
+
+  test('dad dance pushes opponents nearby away', () => {
+    const match = setup('bandit');
+    fireSpecial(match, 'neutral');
+    
+    expect(match.defender.velocity.x).toBeGreaterThan(0);
+    expect(match.defender.velocity.y).toBeLessThan(0);
+    expect(match.defender.isGrounded).toBe(false);
+  });
+
+  test('meditation turns the next hit back on the attacker', () => {
+    const match = setup('chilli');
+    fireSpecial(match, 'down');
+    expect(match.attacker.statusEffects.has('meditation')).toBe(true);
+    
+    match.state.applyDamage(match.attacker, {
+      playerId: 'b',
+      damage: 10,
+      angle: 45,
+      baseKnockback: 1,
+      knockbackScaling: 1,
+      facing: 'left'
+    });
+    
+    expect(match.attacker.damage).toBe(0);
+    expect(match.defender.damage).toBe(15);
+    expect(match.attacker.statusEffects.has('meditation')).toBe(false);
+  });
+
+  test('helicopter carries Chilli up and clips opponents beside her', () => {
+    const match = setup('chilli');
+    fireSpecial(match, 'up');
+    
+    expect(match.attacker.velocity.y).toBeLessThan(0);
+    expect(match.defender.damage).toBeGreaterThan(0);
+  });
+
+  test('yoga ball rolls a heavy ball along the ground', () => {
+    const match = setup('chilli', { gap: 600 });
+    fireSpecial(match, 'side');
+    
+    const [ball] = projectilesOf(match.state, 'yoga_ball');
+    expect(ball).toBeDefined();
+    expect(ball.knockback).toEqual({ angle: 35, base: 4, scaling: 5 });
+  });
+});
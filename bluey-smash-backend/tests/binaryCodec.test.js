@@ -0,0 +1,157 @@
+const {
+  BINARY_EVENTS,
+  isBinaryMessage,
+  encodeInput,
+  decodeInput,
+  encodeInputBroadcast,
+  decodeInputBroadcast,
+  encodeStateUpdate,
+  decodeStateUpdate,
+  encodeConfirmedFrame,
+  decodeConfirmedFrame,
+  encodeServerEvent,
+  decodeServerEvent
+} = require('../../shared/binaryCodec');
+const { EVENTS } = require('../../shared/protocol');
+
+const ALL_BUTTONS = {
+  left: true, right: false, up: true, down: false,
+  attack: true, special: false, shield: true, dodge: false
+};
+
+function makePlayer(overrides = {}) {
+  return {
+    socketId: 'socket-a',
+    position: { x: 120.25, y: -40.5 },
+    velocity: { x: -3.5, y: 12.25 },
+    facing: 'left',
+    animation: 'run',
+    damage: 37.5,
+    lives: 2,
+    score: -1,
+    isShielding: true,
+    isDodging: false,
+    statusEffects: [['sleepy', 90, 1], ['speed_boost', 12, 2]],
+    id: 'player-a',
+    username: 'Bluey',
+    team: 'blue',
+    eliminated: false,
+    shieldHealth: 80,
+    heldItem: null,
+    isInvisible: false,
+    coins: 4,
+    ...overrides
+  };
+}
+
+function makeKeyframe() {
+  return {
+    frame: 90,
+    timestamp: 1700000000123,
+    state: {
+      keyframe: true,
+      frame: 90,
+      players: [makePlayer(), makePlayer({ socketId: 'socket-b', facing: 'right', lives: 0 })],
+      entities: [{ id: 3, type: 'projectile', owner: 'socket-a', position: { x: 10, y: 20 }, velocity: { x: -4.5, y: 0 } }],
+      toys: [{ id: 'toy_1', type: 'keepy_uppy_ball', position: { x: 600, y: 300 }, heldBy: null }],
+      collectibles: []
+    },
+    reconcile: {
+      sequence: 412,
+      position: { x: 120.25, y: -40.5 },
+      velocity: { x: 3.75, y: -12 },
+      facing: 'right',
+      isGrounded: false,
+      isJumping: true,
+      jumpsLeft: 1
+    }
+  };
+}
+
+describe('binary codec', () => {
+  test('round-trips game:input', () => {
+    const input = { frame: 1234, sequence: 77, timestamp: 1700000000456, viewFrame: 1220, state: ALL_BUTTONS };
+    const encoded = encodeInput(input);
+    
+    expect(isBinaryMessage(encoded)).toBe(true);
+    expect(decodeInput(encoded)).toEqual(input);
+  });
+
+  test('round-trips game:input without a view frame', () => {
+    const input = { frame: 0, sequence: 0, timestamp: 0, state: { attack: true } };
+    const decoded = decodeInput(encodeInput(input));
+    
+    expect(decoded).not.toHaveProperty('viewFrame');
+    expect(decoded.frame).toBe(0);
+    expect(decoded.state.attack).toBe(true);
+    expect(decoded.state.left).toBe(false);
+  });
+
+  test('round-trips the game:input broadcast', () => {
+    const data = {
+      playerId: 'socket-a',
+      frame: 55,
+      input: { frame: 55, sequence: 9, timestamp: 1700000000000, viewFrame: 50, state: ALL_BUTTONS }
+    };
+    
+    expect(decodeInputBroadcast(encodeInputBroadcast(data))).toEqual(data);
+  });
+
+  test('round-trips a game:state-update keyframe', () => {
+    const data = makeKeyframe();
+    const { reconcile, ...update } = decodeStateUpdate(encodeStateUpdate(data));
+    
+    expect(update).toEqual({ frame: data.frame, timestamp: data.timestamp, state: data.state });
+    expect(reconcile).toEqual(data.reconcile);
+  });
+
+  test('carries the midair jumps left in the reconcile block', () => {
+    for (const jumpsLeft of [0, 2]) {
+      const data = makeKeyframe();
+      data.reconcile.jumpsLeft = jumpsLeft;
+      
+      expect(decodeStateUpdate(encodeStateUpdate(data)).reconcile.jumpsLeft).toBe(jumpsLeft);
+    }
+  });
+
+  test('round-trips a game:state-update delta', () => {
+    const data = {
+      frame: 93,
+      timestamp: 1700000000173,
+      state: {
+        keyframe: false,
+        frame: 93,
+        baseFrame: 90,
+        players: { updated: [{ socketId: 'socket-a', position: { x: 121, y: -41 }, damage: 42 }], removed: ['socket-c'] },
+        entities: { updated: [{ id: 3, position: { x: 6, y: 20 } }], removed: [] },
+        toys: { updated: [], removed: ['toy_1'] },
+        collectibles: { updated: [{ id: 'collectible_2', type: 'sticker', position: { x: 5, y: 6 } }], removed: [7] }
+      }
+    };
+    
+    expect(decodeStateUpdate(encodeStateUpdate(data))).toEqual(data);
+  });
+
+  test('round-trips game:confirmed-frame', () => {
+    const data = { frame: 4000, checksum: 0xfedcba98 };
+    
+    expect(decodeConfirmedFrame(encodeConfirmedFrame(data))).toEqual(data);
+  });
+
+  test('encodes every binary server event through the event dispatch', () => {
+    const samples = {
+      [EVENTS.GAME_INPUT]: { playerId: 'p', frame: 1, input: { frame: 1, sequence: 1, timestamp: 1, state: ALL_BUTTONS } },
+      [EVENTS.GAME_STATE_UPDATE]: makeKeyframe(),
+      [EVENTS.GAME_CONFIRMED_FRAME]: { frame: 2, checksum: 3 }
+    };
+    
+    for (const event of BINARY_EVENTS) {
+      expect(decodeServerEvent(event, encodeServerEvent(event, samples[event]))).toEqual(samples[event]);
+    }
+    expect(encodeServerEvent(EVENTS.GAME_END, {})).toBeNull();
+  });
+
+  test('rejects a message with the wrong tag', () => {
+    expect(() => decodeInput(encodeConfirmedFrame({ frame: 1, checksum: 1 }))).toThrow(/Unexpected binary message tag/);
+  });
+});
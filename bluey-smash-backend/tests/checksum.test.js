@@ -0,0 +1,107 @@
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}), { virtual: true });
+
+const { computeStateChecksum } = require('../../shared/checksum');
+const { encodeStateUpdate, decodeStateUpdate } = require('../../shared/binaryCodec');
+const GameState = require('../src/models/GameState');
+
+function makeState() {
+  return {
+    frame: 240,
+    players: [
+      {
+        socketId: 'socket-a',
+        position: { x: 100.123, y: 7.006 },
+        velocity: { x: 3.5, y: -1.25 },
+        damage: 12.5,
+        lives: 3,
+        statusEffects: [['stunned', 40, 1], ['magic_boost', 200, 1]],
+        hitstunFrames: 0,
+        shieldstunFrames: 0,
+        respawnFrames: 0,
+        landingLagFrames: 4
+      },
+      {
+        socketId: 'socket-b',
+        position: { x: 640, y: 410 },
+        velocity: { x: 0, y: 0 },
+        damage: 0,
+        lives: 2,
+        statusEffects: [],
+        hitstunFrames: 18,
+        shieldstunFrames: 0,
+        respawnFrames: 0,
+        landingLagFrames: 0
+      }
+    ],
+    entities: [
+      { id: 'proj_1', type: 'lullaby', position: { x: 300, y: 390 }, velocity: { x: 4, y: 0 }, lifetime: 80 },
+      { id: 'proj_2', type: 'yoga_ball', position: { x: 500, y: 400 }, velocity: { x: -6, y: 2.5 }, lifetime: 150 }
+    ]
+  };
+}
+
+describe('state checksum', () => {
+  test('ignores the order players, entities and status effects arrive in', () => {
+    const state = makeState();
+    const shuffled = makeState();
+    shuffled.players.reverse();
+    shuffled.entities.reverse();
+    shuffled.players[1].statusEffects.reverse();
+    
+    expect(computeStateChecksum(shuffled)).toBe(computeStateChecksum(state));
+  });
+
+  test.each([
+    ['player velocity', state => { state.players[0].velocity.x = 3.6; }],
+    ['status effect timer', state => { state.players[0].statusEffects[0][1] = 39; }],
+    ['status effect stacks', state => { state.players[0].statusEffects[1][2] = 2; }],
+    ['hitstun', state => { state.players[1].hitstunFrames = 17; }],
+    ['landing lag', state => { state.players[0].landingLagFrames = 3; }],
+    ['entity velocity', state => { state.entities[1].velocity.y = 3; }],
+    ['entity lifetime', state => { state.entities[0].lifetime = 79; }]
+  ])('changes with the %s', (field, change) => {
+    const state = makeState();
+    change(state);
+    
+    expect(computeStateChecksum(state)).not.toBe(computeStateChecksum(makeState()));
+  });
+
+  test('keeps the state checksum across a binary round trip', () => {
+    const state = { keyframe: true, ...makeState(), toys: [], collectibles: [] };
+    const decoded = decodeStateUpdate(encodeStateUpdate({ frame: state.frame, timestamp: 0, state })).state;
+    
+    expect(computeStateChecksum(decoded)).toBe(computeStateChecksum(state));
+  });
+
+  test('matches between the simulation and the public state it sends', () => {
+    const gameState = new GameState();
+    gameState.initialize({
+      players: [
+        { id: 'player-a', socketId: 'a', username: 'A', character: 'bingo' },
+        { id: 'player-b', socketId: 'b', username: 'B', character: 'chilli' }
+      ],
+      mapId: 'backyard',
+      gameMode: 'classic',
+      settings: { stockLives: 3, itemsEnabled: false, teamMode: false },
+      seed: 7
+    });
+    
+    // Bingo throws a lullaby, so there is an entity and a meter to track
+    for (let frame = 1; frame <= 40; frame++) {
+      gameState.applyInput('a', { frame, state: { special: frame === 20, right: frame < 10 } });
+      gameState.applyInput('b', { frame, state: { left: frame < 30 } });
+      gameState.tick(frame);
+    }
+    
+    const sent = decodeStateUpdate(encodeStateUpdate({
+      frame: gameState.frame,
+      timestamp: 0,
+      state: { keyframe: true, ...structuredClone(gameState.getPublicState()) }
+    })).state;
+    
+    expect(gameState.entities.size).toBeGreaterThan(0);
+    expect(computeStateChecksum(sent)).toBe(gameState.getChecksum(gameState.frame));
+  });
+});
@@ -0,0 +1,51 @@
+const {
+  DEFAULT_RATING,
+  DEFAULT_DEVIATION,
+  DEFAULT_VOLATILITY,
+  updateRating,
+  inflateDeviation
+} = require('../src/utils/glicko2');
+
+describe('glicko2', () => {
+  // Glickman, "Example of the Glicko-2 system": 1500/200/0.06 beats 1400/30
+  // and loses to 1550/100 and 1700/300 in one period
+  test('matches the worked example from the paper', () => {
+    const result = updateRating({ rating: 1500, deviation: 200, volatility: 0.06 }, [
+      { rating: 1400, deviation: 30, score: 1 },
+      { rating: 1550, deviation: 100, score: 0 },
+      { rating: 1700, deviation: 300, score: 0 }
+    ]);
+    
+    expect(result.rating).toBeCloseTo(1464.05, 1);
+    expect(result.deviation).toBeCloseTo(151.52, 1);
+    expect(result.volatility).toBeCloseTo(0.05999, 4);
+  });
+
+  test('moves winners up and losers down by the same amount between equals', () => {
+    const player = { rating: DEFAULT_RATING, deviation: DEFAULT_DEVIATION, volatility: DEFAULT_VOLATILITY };
+    const winner = updateRating(player, [{ rating: DEFAULT_RATING, deviation: DEFAULT_DEVIATION, score: 1 }]);
+    const loser = updateRating(player, [{ rating: DEFAULT_RATING, deviation: DEFAULT_DEVIATION, score: 0 }]);
+    
+    expect(winner.rating).toBeGreaterThan(DEFAULT_RATING);
+    expect(loser.rating).toBeLessThan(DEFAULT_RATING);
+    expect(winner.rating - DEFAULT_RATING).toBeCloseTo(DEFAULT_RATING - loser.rating, 6);
+    expect(winner.deviation).toBeLessThan(DEFAULT_DEVIATION);
+  });
+
+  test('leaves the rating alone but grows the deviation without games', () => {
+    const result = updateRating({ rating: 1620, deviation: 80, volatility: 0.06 }, []);
+    
+    expect(result.rating).toBe(1620);
+    expect(result.deviation).toBeGreaterThan(80);
+    expect(result.volatility).toBe(0.06);
+  });
+
+  test('inflates the deviation per idle period, capped at a new player\'s', () => {
+    const one = inflateDeviation(50, 0.06);
+    const ten = inflateDeviation(50, 0.06, 10);
+    
+    expect(one).toBeGreaterThan(50);
+    expect(ten).toBeGreaterThan(one);
+    expect(inflateDeviation(340, 0.06, 100000)).toBe(DEFAULT_DEVIATION);
+  });
+});
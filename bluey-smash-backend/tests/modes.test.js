@@ -0,0 +1,195 @@
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}), { virtual: true });
+
+const {
+  DEFAULT_GAME_MODE,
+  registerGameMode,
+  hasGameMode,
+  getGameMode,
+  getGameModeList
+} = require('../src/modes');
+const GameState = require('../src/models/GameState');
+
+function sortWith(mode, entries) {
+  return [...entries].sort(mode.compare).map(entry => entry.id);
+}
+
+function makeMatch(gameMode) {
+  const state = new GameState();
+  state.initialize({
+    players: [
+      { id: 'player-a', socketId: 'a', username: 'A', character: 'bluey' },
+      { id: 'player-b', socketId: 'b', username: 'B', character: 'bandit' }
+    ],
+    mapId: 'backyard',
+    gameMode,
+    settings: { stockLives: 3, itemsEnabled: false, staminaHp: 120 },
+    seed: 1
+  });
+  return state;
+}
+
+function makeState(players, overrides = {}) {
+  return {
+    frame: 0,
+    settings: {},
+    players: new Map(players.map(player => [player.socketId, player])),
+    ...overrides
+  };
+}
+
+describe('game mode registry', () => {
+  test('lists every built-in mode', () => {
+    expect(getGameModeList().map(mode => mode.id)).toEqual([
+      'classic', 'time', 'stock', 'coin', 'stamina', 'king-of-the-hill'
+    ]);
+    expect(hasGameMode('stock')).toBe(true);
+    expect(hasGameMode('hide-and-seek')).toBe(false);
+  });
+
+  test('falls back to the default mode for unknown ids', () => {
+    expect(getGameMode('hide-and-seek').id).toBe(DEFAULT_GAME_MODE);
+  });
+
+  test('rejects modes that are malformed or already registered', () => {
+    const hooks = { isOver: () => false, compare: () => 0, summarize: () => ({}) };
+    
+    expect(() => registerGameMode({ ...hooks, id: 'Bad Id' })).toThrow(/Invalid game mode id/);
+    expect(() => registerGameMode({ id: 'no-hooks', isOver: () => false })).toThrow(/needs compare\(\)/);
+    expect(() => registerGameMode({ ...hooks, id: 'classic' })).toThrow(/Duplicate game mode id/);
+  });
+});
+
+describe('game modes', () => {
+  test('classic ends at ten points or one side left, ranked by score', () => {
+    const mode = getGameMode('classic');
+    
+    expect(mode.isOver(null, [{ score: 9 }, { score: 3 }])).toBe(false);
+    expect(mode.isOver(null, [{ score: 10 }, { score: 3 }])).toBe(true);
+    expect(mode.isOver(null, [{ score: 1 }, { score: 0, eliminated: true }])).toBe(true);
+    expect(sortWith(mode, [{ id: 'a', score: 2 }, { id: 'b', score: 5 }])).toEqual(['b', 'a']);
+  });
+
+  test('time runs until the clock is up and ranks by KOs minus falls', () => {
+    const mode = getGameMode('time');
+    
+    expect(mode.endlessLives).toBe(true);
+    expect(mode.isOver({ isTimeUp: () => false })).toBe(false);
+    expect(mode.isOver({ isTimeUp: () => true })).toBe(true);
+    expect(sortWith(mode, [
+      { id: 'a', kos: 5, deaths: 4, score: 9 },
+      { id: 'b', kos: 2, deaths: 0, score: 1 },
+      { id: 'c', kos: 3, deaths: 1, score: 2 }
+    ])).toEqual(['c', 'b', 'a']);
+    expect(mode.summarize({ kos: 3, deaths: 1, score: 2 })).toEqual({ net: 2, kos: 3, deaths: 1, score: 2 });
+  });
+
+  test('stock ends with one side on lives and ranks by lives, then score', () => {
+    const mode = getGameMode('stock');
+    
+    expect(mode.isOver(null, [{ lives: 1 }, { lives: 2 }])).toBe(false);
+    expect(mode.isOver(null, [{ lives: 0 }, { lives: 2 }])).toBe(true);
+    expect(sortWith(mode, [
+      { id: 'a', lives: 1, score: 8 },
+      { id: 'b', lives: 2, score: 0 },
+      { id: 'c', lives: 1, score: 9 }
+    ])).toEqual(['b', 'c', 'a']);
+  });
+
+  test('coin battle counts collected value and halves it on a KO', () => {
+    const mode = getGameMode('coin');
+    const player = { socketId: 'a' };
+    const state = makeState([player]);
+    
+    mode.setup(state);
+    mode.onCollect(state, player, { value: 100 });
+    mode.onCollect(state, player, { value: 50 });
+    expect(mode.getPlayerStats(state, player)).toEqual({ coins: 150 });
+    
+    mode.onKnockout(state, player);
+    expect(player.coins).toBe(75);
+    mode.onKnockout(state, player);
+    expect(player.coins).toBe(38);
+    
+    expect(sortWith(mode, [
+      { id: 'a', coins: 10, kos: 0 },
+      { id: 'b', coins: 30, kos: 0 },
+      { id: 'c', coins: 10, kos: 2 }
+    ])).toEqual(['b', 'c', 'a']);
+  });
+
+  test('stamina knocks out a fighter whose HP runs out', () => {
+    const mode = getGameMode('stamina');
+    const healthy = { socketId: 'a', damage: 40 };
+    const spent = { socketId: 'b', damage: 120 };
+    const knockedOut = [];
+    const state = makeState([healthy, spent], {
+      settings: { staminaHp: 120 },
+      getKnockoutCredit: () => null,
+      knockoutPlayer: player => knockedOut.push(player.socketId)
+    });
+    
+    mode.tick(state);
+    expect(knockedOut).toEqual(['b']);
+    expect(mode.getPlayerStats(state, healthy)).toEqual({ hp: 80 });
+    expect(mode.getPlayerStats(state, spent)).toEqual({ hp: 0 });
+    
+    mode.onSuddenDeath(state, healthy);
+    expect(healthy.damage).toBe(119);
+  });
+
+  test('stamina knockback does not grow with damage taken', () => {
+    const hit = { damage: 10, baseKnockback: 3, knockbackScaling: 1 };
+    const stamina = makeMatch('stamina');
+    const classic = makeMatch('classic');
+    const fresh = player => ({ ...player, damage: 10 });
+    const battered = player => ({ ...player, damage: 119 });
+    
+    const defender = stamina.players.get('b');
+    expect(stamina.calculateKnockback(battered(defender), hit)).toBe(stamina.calculateKnockback(fresh(defender), hit));
+    
+    const classicDefender = classic.players.get('b');
+    expect(classic.calculateKnockback(battered(classicDefender), hit))
+      .toBeGreaterThan(classic.calculateKnockback(fresh(classicDefender), hit));
+  });
+
+  test('sudden death in stamina leaves one hit, not a launch', () => {
+    const state = makeMatch('stamina');
+    const defender = state.players.get('b');
+    const hit = { damage: 10, baseKnockback: 3, knockbackScaling: 1 };
+    const before = state.calculateKnockback(defender, hit);
+    
+    getGameMode('stamina').onSuddenDeath(state, defender);
+    expect(defender.damage).toBe(119);
+    expect(state.calculateKnockback(defender, hit)).toBe(before);
+  });
+
+  test('king of the hill only scores an uncontested hill', () => {
+    const mode = getGameMode('king-of-the-hill');
+    const hill = { x: 100, y: 100, width: 100, height: 100 };
+    const a = { socketId: 'a', position: { x: 150, y: 150 } };
+    const b = { socketId: 'b', position: { x: 500, y: 150 } };
+    const state = makeState([a, b], { map: { hill } });
+    
+    mode.setup(state);
+    mode.tick(state);
+    expect(a.hillFrames).toBe(1);
+    
+    b.position = { x: 120, y: 180 };
+    mode.tick(state);
+    expect(a.hillFrames).toBe(1);
+    expect(b.hillFrames).toBe(0);
+    
+    // Teammates share the hill and take turns scoring it
+    a.team = 'blue';
+    b.team = 'blue';
+    state.frame = 1;
+    mode.tick(state);
+    expect(mode.getPlayerStats(state, b)).toEqual({ hillFrames: 1 });
+    
+    const room = { settings: { hillTarget: 1 }, tickRate: 2, isTimeUp: () => false };
+    expect(mode.isOver(room, [{ hillFrames: 1 }])).toBe(false);
+    expect(mode.isOver(room, [{ hillFrames: 2 }])).toBe(true);
+  });
+});
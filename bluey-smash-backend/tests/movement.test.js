@@ -0,0 +1,115 @@
+const {
+  DEFAULT_PHYSICS,
+  quantize,
+  quantizeMotion,
+  applyMovementInput,
+  stepMovement
+} = require('../../shared/movement');
+
+const STATS = { speed: 4, agility: 10, midairJumps: 1 };
+const GROUND = { x: 0, y: 400, width: 1000, height: 100, type: 'solid' };
+
+function makeBody(overrides = {}) {
+  return {
+    position: { x: 500, y: 200 },
+    velocity: { x: 0, y: 0 },
+    acceleration: { x: 0, y: 0 },
+    facing: 'right',
+    isGrounded: false,
+    isJumping: false,
+    jumpsLeft: 0,
+    ...overrides
+  };
+}
+
+describe('movement', () => {
+  test('quantizes to the physics precision', () => {
+    expect(quantize(1.23456)).toBe(1.235);
+    expect(quantize(-0.0004)).toBe(-0);
+    expect(quantize(2.5, 2)).toBe(2.5);
+    
+    const body = makeBody({ position: { x: 0.12345, y: 1 / 3 }, velocity: { x: 2 / 3, y: -0.0001 } });
+    quantizeMotion(body);
+    expect(body.position).toEqual({ x: 0.123, y: 0.333 });
+    expect(body.velocity).toEqual({ x: 0.667, y: -0 });
+  });
+
+  test('accelerates and faces the held direction', () => {
+    const body = makeBody();
+    
+    applyMovementInput(body, { left: true }, STATS);
+    expect(body.acceleration.x).toBe(-2);
+    expect(body.facing).toBe('left');
+    
+    applyMovementInput(body, { left: true, right: true }, STATS);
+    expect(body.acceleration.x).toBe(0);
+    expect(body.facing).toBe('left');
+  });
+
+  test('jumps from the ground and refills midair jumps there', () => {
+    const body = makeBody({ isGrounded: true });
+    
+    applyMovementInput(body, { up: true }, STATS);
+    expect(body.velocity.y).toBe(-12);
+    expect(body.isJumping).toBe(true);
+    expect(body.isGrounded).toBe(false);
+    expect(body.jumpsLeft).toBe(1);
+  });
+
+  test('needs a fresh press of up for each midair jump', () => {
+    const body = makeBody({ jumpsLeft: 1 });
+    
+    // Still holding up from the ground jump
+    applyMovementInput(body, { up: true }, STATS, { up: true });
+    expect(body.jumpsLeft).toBe(1);
+    
+    applyMovementInput(body, { up: true }, STATS, {});
+    expect(body.velocity.y).toBe(-11);
+    expect(body.jumpsLeft).toBe(0);
+    
+    body.velocity.y = 0;
+    applyMovementInput(body, { up: true }, STATS, {});
+    expect(body.velocity.y).toBe(0);
+  });
+
+  test('falls under gravity up to the terminal speed', () => {
+    const body = makeBody({ position: { x: 500, y: -1000 } });
+    
+    stepMovement(body, DEFAULT_PHYSICS, []);
+    expect(body.velocity.y).toBe(DEFAULT_PHYSICS.gravity);
+    expect(body.position.y).toBe(-1000 + DEFAULT_PHYSICS.gravity);
+    
+    for (let i = 0; i < 100; i++) stepMovement(body, DEFAULT_PHYSICS, []);
+    expect(body.velocity.y).toBe(DEFAULT_PHYSICS.maxFallSpeed);
+  });
+
+  test('lands on a platform and slows down with friction there', () => {
+    const body = makeBody({ position: { x: 500, y: 355 }, velocity: { x: 10, y: 5 }, isJumping: true });
+    
+    stepMovement(body, DEFAULT_PHYSICS, [GROUND]);
+    expect(body.isGrounded).toBe(true);
+    expect(body.isJumping).toBe(false);
+    expect(body.position.y).toBe(GROUND.y);
+    expect(body.velocity.y).toBe(0);
+    
+    const speed = body.velocity.x;
+    stepMovement(body, DEFAULT_PHYSICS, [GROUND]);
+    expect(body.velocity.x).toBeCloseTo(speed * DEFAULT_PHYSICS.friction, 3);
+  });
+
+  test('bounces off bouncy platforms', () => {
+    const body = makeBody({ position: { x: 500, y: 355 }, velocity: { x: 0, y: 5 } });
+    
+    stepMovement(body, DEFAULT_PHYSICS, [{ ...GROUND, type: 'bouncy' }]);
+    expect(body.velocity.y).toBe(-15);
+  });
+
+  test('ends every step on quantized numbers', () => {
+    const body = makeBody({ velocity: { x: 1 / 3, y: 0 }, acceleration: { x: 0.1234567, y: 0 } });
+    
+    stepMovement(body, DEFAULT_PHYSICS, []);
+    for (const value of [body.position.x, body.position.y, body.velocity.x, body.velocity.y]) {
+      expect(value).toBe(quantize(value));
+    }
+  });
+});
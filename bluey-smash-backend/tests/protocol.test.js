@@ -0,0 +1,63 @@
+const {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  EVENTS,
+  CLIENT_SCHEMAS,
+  SERVER_SCHEMAS,
+  validateClientPayload,
+  validateServerPayload,
+  isCompatibleVersion
+} = require('../../shared/protocol');
+
+describe('protocol', () => {
+  test('only has schemas for known events', () => {
+    const events = new Set(Object.values(EVENTS));
+    for (const event of [...Object.keys(CLIENT_SCHEMAS), ...Object.keys(SERVER_SCHEMAS)]) {
+      expect(events.has(event)).toBe(true);
+    }
+  });
+
+  test('accepts a valid input and optional fields left out', () => {
+    expect(validateClientPayload(EVENTS.GAME_INPUT, { frame: 10, state: { left: true } })).toBeNull();
+    expect(validateClientPayload(EVENTS.GAME_INPUT, {
+      frame: 10, state: {}, sequence: 3, timestamp: 1700000000000.5, viewFrame: 8
+    })).toBeNull();
+  });
+
+  test.each([
+    [EVENTS.GAME_INPUT, { frame: 1.5, state: {} }, 'game:input.frame expects integer'],
+    [EVENTS.GAME_INPUT, { frame: 1, state: [] }, 'game:input.state expects object'],
+    [EVENTS.GAME_INPUT, { frame: 1 }, 'game:input.state expects object'],
+    [EVENTS.GAME_INPUT, 'frame', 'game:input expects an object payload'],
+    [EVENTS.PLAYER_READY, { ready: 'yes' }, 'player:ready.ready expects boolean'],
+    [EVENTS.PING, 'now', 'ping expects number'],
+    [EVENTS.ROOM_CREATE, { maxPlayers: 'four' }, 'room:create.maxPlayers expects integer?']
+  ])('rejects a malformed %s payload', (event, payload, reason) => {
+    expect(validateClientPayload(event, payload)).toBe(reason);
+  });
+
+  test('treats a missing payload as an empty object', () => {
+    expect(validateClientPayload(EVENTS.ROOM_CREATE, undefined)).toBeNull();
+    expect(validateClientPayload(EVENTS.ROOM_JOIN, undefined)).toBe('room:join.roomId expects string');
+  });
+
+  test('lets events without a schema through', () => {
+    expect(validateClientPayload(EVENTS.ROOM_LEAVE, 42)).toBeNull();
+  });
+
+  test('checks server payloads against their own schemas', () => {
+    expect(validateServerPayload(EVENTS.GAME_CONFIRMED_FRAME, { frame: 5, checksum: 123 })).toBeNull();
+    expect(validateServerPayload(EVENTS.GAME_CONFIRMED_FRAME, { frame: 5 }))
+      .toBe('game:confirmed-frame.checksum expects integer');
+    expect(validateServerPayload(EVENTS.PONG, { timestamp: 1, latency: NaN, serverTime: 2 }))
+      .toBe('pong.latency expects number');
+  });
+
+  test('accepts only versions between the minimum and current', () => {
+    expect(isCompatibleVersion(PROTOCOL_VERSION)).toBe(true);
+    expect(isCompatibleVersion(MIN_PROTOCOL_VERSION)).toBe(true);
+    expect(isCompatibleVersion(PROTOCOL_VERSION + 1)).toBe(false);
+    expect(isCompatibleVersion(MIN_PROTOCOL_VERSION - 1)).toBe(false);
+    expect(isCompatibleVersion('1')).toBe(false);
+  });
+});
@@ -0,0 +1,56 @@
+const { SeededRandom, seedFromId } = require('../src/utils/random');
+
+describe('SeededRandom', () => {
+  test('repeats the same sequence from the same seed', () => {
+    const a = new SeededRandom(1234);
+    const b = new SeededRandom(1234);
+    
+    const first = Array.from({ length: 20 }, () => a.next());
+    const second = Array.from({ length: 20 }, () => b.next());
+    expect(second).toEqual(first);
+  });
+
+  test('differs between seeds', () => {
+    expect(new SeededRandom(1).next()).not.toBe(new SeededRandom(2).next());
+  });
+
+  test('resumes from a saved state, as rollbacks do', () => {
+    const random = new SeededRandom(99);
+    random.next();
+    const saved = random.getState();
+    const expected = [random.next(), random.nextInt(10), random.nextRange(-5, 5)];
+    
+    random.next();
+    random.setState(saved);
+    expect([random.next(), random.nextInt(10), random.nextRange(-5, 5)]).toEqual(expected);
+  });
+
+  test('keeps values inside the requested ranges', () => {
+    const random = new SeededRandom(7);
+    for (let i = 0; i < 1000; i++) {
+      const value = random.next();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+      
+      const int = random.nextInt(4);
+      expect(Number.isInteger(int)).toBe(true);
+      expect(int).toBeGreaterThanOrEqual(0);
+      expect(int).toBeLessThan(4);
+      
+      const ranged = random.nextRange(-10, 10);
+      expect(ranged).toBeGreaterThanOrEqual(-10);
+      expect(ranged).toBeLessThan(10);
+    }
+  });
+});
+
+describe('seedFromId', () => {
+  test('derives a stable 32-bit seed from an id', () => {
+    const seed = seedFromId('6f1c2a4e-1d2b-4c3a-9e8f-0a1b2c3d4e5f');
+    
+    expect(seed).toBe(seedFromId('6f1c2a4e-1d2b-4c3a-9e8f-0a1b2c3d4e5f'));
+    expect(seed).not.toBe(seedFromId('6f1c2a4e-1d2b-4c3a-9e8f-0a1b2c3d4e60'));
+    expect(seed).toBeGreaterThanOrEqual(0);
+    expect(seed).toBeLessThan(2 ** 32);
+  });
+});
@@ -0,0 +1,81 @@
+const {
+  DEFAULT_STAGE,
+  validateStage,
+  getLedges,
+  registerStage,
+  getStage,
+  hasStage,
+  getStageIds
+} = require('../../shared/stages');
+
+function makeStage(overrides = {}) {
+  return {
+    id: 'test-stage',
+    name: 'Test Stage',
+    camera: { left: 0, top: 0, right: 800, bottom: 600 },
+    blastZones: { left: -200, top: -200, right: 1000, bottom: 800 },
+    platforms: [
+      { x: 100, y: 400, width: 600, height: 100, type: 'solid' },
+      { x: 300, y: 250, width: 200, height: 20, type: 'platform' }
+    ],
+    spawnPoints: [{ x: 200, y: 300 }, { x: 600, y: 300 }],
+    ...overrides
+  };
+}
+
+describe('stages', () => {
+  test('registers the bundled stages', () => {
+    expect(getStageIds()).toEqual(expect.arrayContaining(['backyard', 'playground', 'creek']));
+    expect(hasStage(DEFAULT_STAGE)).toBe(true);
+  });
+
+  test('falls back to the default stage for unknown ids', () => {
+    expect(getStage('no-such-stage').id).toBe(DEFAULT_STAGE);
+    expect(hasStage('no-such-stage')).toBe(false);
+  });
+
+  test('accepts a valid stage', () => {
+    const stage = makeStage();
+    expect(validateStage(stage)).toBe(stage);
+  });
+
+  test.each([
+    ['a missing id', { id: '' }, /id is required/],
+    ['a missing name', { name: undefined }, /name is required/],
+    ['inverted blast zones', { blastZones: { left: 100, top: 0, right: 0, bottom: 100 } }, /blastZones/],
+    ['a camera outside the blast zones', { camera: { left: -500, top: 0, right: 800, bottom: 600 } }, /camera must sit inside/],
+    ['no platforms', { platforms: [] }, /at least one platform/],
+    ['an unknown platform type', { platforms: [{ x: 0, y: 0, width: 10, height: 10, type: 'lava' }] }, /platforms\[0\]\.type/],
+    ['a zero-width platform', { platforms: [{ x: 0, y: 0, width: 0, height: 10, type: 'solid' }] }, /platforms\[0\] needs/],
+    ['a bad ledge side', { platforms: [{ x: 0, y: 0, width: 10, height: 10, type: 'solid', ledges: ['top'] }] }, /ledges must list/],
+    ['a hazard without a type', { hazards: [{ x: 0, y: 0, width: 10, height: 10 }] }, /hazards\[0\]/],
+    ['a malformed hill', { hill: { x: 0, y: 0 } }, /hill needs/],
+    ['no spawn points', { spawnPoints: [] }, /at least one spawn point/],
+    ['an unknown item kind', { items: { initial: [{ kind: 'hat', type: 'x', position: { x: 0, y: 0 } }] } }, /items\.initial\[0\]/],
+    ['a zero spawn weight', { items: { spawnTable: [{ kind: 'toy', type: 'x', weight: 0 }] } }, /items\.spawnTable\[0\]/],
+    ['an element without a position', { blueyElements: [{ type: 'swing' }] }, /blueyElements\[0\]/]
+  ])('rejects a stage with %s', (label, overrides, message) => {
+    expect(() => validateStage(makeStage(overrides))).toThrow(message);
+  });
+
+  test('refuses duplicate stage ids', () => {
+    expect(() => registerStage(makeStage({ id: 'backyard' }))).toThrow(/Duplicate stage id/);
+  });
+
+  test('puts ledges on solid platforms unless listed explicitly', () => {
+    const ledges = getLedges(makeStage({
+      platforms: [
+        { x: 100, y: 400, width: 600, height: 100, type: 'solid' },
+        { x: 300, y: 250, width: 200, height: 20, type: 'platform' },
+        { x: 0, y: 100, width: 50, height: 20, type: 'platform', ledges: ['right'] },
+        { x: 900, y: 100, width: 50, height: 50, type: 'solid', ledges: [] }
+      ]
+    }));
+    
+    expect(ledges).toEqual([
+      { id: '0:left', side: 'left', x: 100, y: 400, facing: 'right' },
+      { id: '0:right', side: 'right', x: 700, y: 400, facing: 'left' },
+      { id: '2:right', side: 'right', x: 50, y: 100, facing: 'left' }
+    ]);
+  });
+});
@@ -32,6 +32,11 @@ export class Game {
         this.targetFPS = 60;
         this.frameTime = 1000 / this.targetFPS;
         
+        // Online inputs go out once per server tick, numbered like the server's frames
+        this.networkFrame = 0;
+        this.networkClock = null; // { frame, serverTime, stepMs } of the newest server frame we know
+        this.maxNetworkCatchUp = 30; // Frames; the server drops inputs older than this anyway
+        
         // Performance monitoring
         this.frameCount = 0;
         this.fpsDisplay = 0;
@@ -151,11 +156,43 @@ export class Game {
             // Handle multiplayer player joining
         });
         
+        this.network.on('gameStarted', (data) => {
+            // Online matches use whichever stage the room picked
+            const stageId = data.gameState?.map?.id;
+            if (stageId && stageId !== this.stage.id) {
+                this.stage = new Stage(stageId, this.canvas.width, this.canvas.height);
+            }
+            
+            this.networkFrame = data.frame;
+            this.networkClock = {
+                frame: data.frame,
+                serverTime: data.timestamp,
+                stepMs: 1000 / data.tickRate
+            };
+        });
+        
+        this.network.on('gameEnded', () => {
+            this.networkClock = null;
+        });
+        
         this.network.on('gameState', (gameState) => {
             // Sync game state for multiplayer
+            this.syncNetworkClock(gameState.frame, gameState.timestamp);
             this.syncGameState(gameState);
         });
         
+        // Check our rebuilt state against the server's checksum for every confirmed frame
+        this.network.on('confirmedFrame', (data) => {
+            this.network.checkConfirmedFrame(data);
+        });
+        
+        this.network.on('resync', (data) => {
+            // Drop everything built from earlier updates and start over from the server's state
+            this.projectiles = [];
+            this.syncNetworkClock(data.frame, data.timestamp);
+            this.syncGameState(this.network.applyResync(data));
+        });
+        
         this.network.on('playerInput', (inputData) => {
             // Handle remote player input
             this.handleRemoteInput(inputData);
@@ -562,13 +599,34 @@ export class Game {
     
     // Network methods
     sendNetworkUpdate() {
-        const gameState = {
-            players: this.players.map(player => player.getNetworkData()),
-            projectiles: this.projectiles.map(proj => proj.getNetworkData()),
-            timestamp: Date.now()
-        };
+        // The server is authoritative; online play only sends the local player's input
+        const localPlayer = this.players[0];
+        if (!localPlayer || !this.networkClock) return;
+        
+        // One input for every server tick that has elapsed, however fast the display refreshes
+        const targetFrame = this.getNetworkTargetFrame();
+        if (targetFrame - this.networkFrame > this.maxNetworkCatchUp) {
+            this.networkFrame = targetFrame - this.maxNetworkCatchUp;
+        }
+        
+        const state = this.input.getPlayerInput(localPlayer.id, localPlayer.controls);
+        while (this.networkFrame < targetFrame) {
+            this.networkFrame++;
+            this.network.sendPlayerInput({ frame: this.networkFrame, state });
+        }
+    }
+    
+    // Server frame running right now: the newest frame we heard about plus the ticks since
+    getNetworkTargetFrame() {
+        const { frame, serverTime, stepMs } = this.networkClock;
+        return frame + Math.floor((this.network.getServerTime() - serverTime) / stepMs);
+    }
+    
+    syncNetworkClock(frame, serverTime) {
+        if (!this.networkClock || frame <= this.networkClock.frame) return;
         
-        this.network.send('gameUpdate', gameState);
+        this.networkClock.frame = frame;
+        this.networkClock.serverTime = serverTime;
     }
     
     syncGameState(remoteGameState) {
@@ -1,4 +1,13 @@
 import { io } from 'socket.io-client';
+import {
+    BINARY_PROTOCOL_VERSION,
+    isBinaryMessage,
+    encodeInput,
+    decodeServerEvent
+} from '../../../shared/binaryCodec.js';
+import { computeStateChecksum } from '../../../shared/checksum.js';
+import { PROTOCOL_VERSION, EVENTS } from '../../../shared/protocol.js';
+import { DEFAULT_PHYSICS, applyMovementInput, stepMovement } from '../../../shared/movement.js';
 
 export class NetworkManager {
     constructor() {
@@ -6,6 +15,7 @@ export class NetworkManager {
         this.connected = false;
         this.eventListeners = new Map();
         this.playerData = null;
+        this.guestToken = null;
         this.roomId = null;
         this.isHost = false;
         
@@ -23,6 +33,9 @@ export class NetworkManager {
             reconnectionDelay: 1000
         };
         
+        // Wire encoding for hot events; switches to 'binary' if the server agrees at auth
+        this.wireEncoding = 'json';
+        
         // Message queue for offline mode
         this.messageQueue = [];
         this.maxQueueSize = 100;
@@ -37,6 +50,21 @@ export class NetworkManager {
         this.syncInterval = 50; // 20 Hz
         this.interpolationBuffer = [];
         this.maxBufferSize = 10;
+        this.viewFrame = null; // Server frame currently on screen, sent for lag-compensated hits
+        
+        // Reconstructed server states, kept so deltas can be applied to the acked baseline
+        this.stateHistory = new Map();
+        this.maxStateHistory = 30;
+        this.lastChecksumFrame = -1; // Newest rebuilt state already checked for desyncs
+        this.confirmedChecksums = new Map(); // frame -> server checksum, until we have that frame's state
+        
+        // Client-side prediction of the local player
+        this.prediction = null; // { body, stats, physics, platforms }
+        this.pendingInputs = []; // Sent but not yet reflected in a server state
+        this.maxPendingInputs = 120;
+        this.predictionError = { x: 0, y: 0 }; // Visual offset left by the last correction
+        this.correctionDecay = 0.85; // Fraction of the offset kept each frame
+        this.snapDistance = 150; // Corrections larger than this (respawns, teleports) snap
     }
     
     connect() {
@@ -51,6 +79,7 @@ export class NetworkManager {
                 console.log('✅ Connected to game server');
                 this.connected = true;
                 this.startPingMeasurement();
+                this.processMessageQueue();
                 this.emit('connected');
                 resolve();
             });
@@ -93,85 +122,164 @@ export class NetworkManager {
     }
     
     setupGameEventHandlers() {
+        // Authentication
+        this.socket.on(EVENTS.AUTH_SUCCESS, (data) => {
+            this.wireEncoding = data.serverInfo?.wireEncoding || 'json';
+            this.playerData = data.player;
+            this.guestToken = data.guestToken || null; // Lets a guest register without losing progress
+            console.log('🔑 Authenticated, wire encoding:', this.wireEncoding);
+            this.emit('authenticated', data);
+        });
+        
+        this.socket.on(EVENTS.AUTH_ERROR, (data) => {
+            console.error('🔑 Authentication failed:', data.message);
+            this.emit('authError', data);
+        });
+        
         // Player management
-        this.socket.on('playerJoined', (data) => {
-            console.log('👤 Player joined:', data.playerId);
+        this.socket.on(EVENTS.ROOM_PLAYER_JOINED, (data) => {
+            console.log('👤 Player joined:', data.player.socketId);
             this.emit('playerJoined', data);
         });
         
-        this.socket.on('playerLeft', (data) => {
+        this.socket.on(EVENTS.ROOM_PLAYER_LEFT, (data) => {
             console.log('👤 Player left:', data.playerId);
             this.emit('playerLeft', data);
         });
         
+        this.socket.on(EVENTS.ROOM_PLAYER_READY, (data) => {
+            this.emit('playerReady', data);
+        });
+        
+        this.socket.on(EVENTS.PLAYER_CHARACTER_UPDATED, (data) => {
+            this.emit('characterUpdated', data);
+        });
+        
         // Room management
-        this.socket.on('roomCreated', (data) => {
-            console.log('🏠 Room created:', data.roomId);
-            this.roomId = data.roomId;
-            this.isHost = true;
+        this.socket.on(EVENTS.ROOM_CREATED, (data) => {
+            console.log('🏠 Room created:', data.room.id);
+            this.setRoom(data.room);
             this.emit('roomCreated', data);
         });
         
-        this.socket.on('roomJoined', (data) => {
-            console.log('🏠 Joined room:', data.roomId);
-            this.roomId = data.roomId;
-            this.isHost = false;
+        this.socket.on(EVENTS.ROOM_JOINED, (data) => {
+            console.log('🏠 Joined room:', data.room.id);
+            this.setRoom(data.room);
             this.emit('roomJoined', data);
         });
         
-        this.socket.on('roomFull', () => {
-            console.log('🏠 Room is full');
-            this.emit('roomFull');
+        this.socket.on(EVENTS.ROOM_LEFT, (data) => {
+            console.log('🏠 Left room:', data.roomId);
+            this.emit('roomLeft', data);
         });
         
         // Game state synchronization
-        this.socket.on('gameState', (data) => {
-            this.handleGameStateUpdate(data);
+        this.socket.on(EVENTS.GAME_STATE_UPDATE, (data) => {
+            this.handleServerStateUpdate(this.decodeHotEvent(EVENTS.GAME_STATE_UPDATE, data));
+        });
+        
+        // Desync detection: the server's checksum for each confirmed frame
+        this.socket.on(EVENTS.GAME_CONFIRMED_FRAME, (data) => {
+            this.emit('confirmedFrame', this.decodeHotEvent(EVENTS.GAME_CONFIRMED_FRAME, data));
+        });
+        
+        this.socket.on(EVENTS.GAME_RESYNC, (data) => {
+            console.warn('🔀 Desync detected, applying authoritative state for frame', data.frame);
+            // Our delta baselines are no longer trustworthy; the server follows up with a keyframe
+            this.stateHistory.clear();
+            this.emit('resync', data);
+        });
+        
+        this.socket.on(EVENTS.GAME_STATUS_EFFECTS, (data) => {
+            // { frame, socketId, effect, event: applied/refreshed/expired/consumed/removed }
+            this.emit('statusEffects', data.events);
         });
         
-        this.socket.on('playerInput', (data) => {
-            this.emit('playerInput', data);
+        this.socket.on(EVENTS.GAME_PHASE, (data) => {
+            // { phase: 'sudden-death', frame, players } when a tie for first goes to sudden death
+            console.log(`⚡ Match phase: ${data.phase}`);
+            this.emit('phaseChanged', data);
         });
         
-        this.socket.on('gameStarted', (data) => {
+        this.socket.on(EVENTS.GAME_INPUT, (data) => {
+            this.emit('playerInput', this.decodeHotEvent(EVENTS.GAME_INPUT, data));
+        });
+        
+        this.socket.on(EVENTS.GAME_START, (data) => {
             console.log('🎮 Game started');
+            this.stateHistory.clear();
+            this.lastChecksumFrame = -1;
+            this.confirmedChecksums.clear();
+            this.interpolationBuffer = [];
+            this.viewFrame = null;
+            this.startPrediction(data.gameState);
             this.emit('gameStarted', data);
         });
         
-        this.socket.on('gameEnded', (data) => {
+        this.socket.on(EVENTS.GAME_END, (data) => {
             console.log('🏁 Game ended');
+            this.stopPrediction();
             this.emit('gameEnded', data);
         });
         
         // Ping/latency measurement
-        this.socket.on('pong', (timestamp) => {
-            this.latency = Date.now() - timestamp;
+        this.socket.on(EVENTS.PONG, (data) => {
+            this.latency = Date.now() - data.timestamp;
+            // The server stamped serverTime roughly half a round trip ago
+            this.serverTimeOffset = data.serverTime + this.latency / 2 - Date.now();
             this.emit('latencyUpdate', this.latency);
         });
         
-        // Chat messages
-        this.socket.on('chatMessage', (data) => {
-            this.emit('chatMessage', data);
+        // Leaderboards we subscribed to
+        this.socket.on(EVENTS.LEADERBOARD_UPDATE, (data) => {
+            this.emit('leaderboardUpdated', data);
+        });
+        
+        this.socket.on(EVENTS.SERVER_SHUTDOWN, (data) => {
+            console.warn('🛑 Server shutting down:', data?.message);
+            this.emit('serverShutdown', data);
         });
         
         // Error handling
-        this.socket.on('error', (error) => {
+        this.socket.on(EVENTS.ERROR, (error) => {
             console.error('🌐 Network error:', error);
             this.emit('error', error);
         });
     }
     
+    decodeHotEvent(event, data) {
+        return isBinaryMessage(data) ? decodeServerEvent(event, data) : data;
+    }
+    
+    authenticate(token) {
+        this.send(EVENTS.AUTH_LOGIN, {
+            token,
+            protocolVersion: PROTOCOL_VERSION,
+            binaryProtocol: BINARY_PROTOCOL_VERSION
+        });
+    }
+    
+    authenticateGuest(username, character) {
+        // Announcing the binary protocol is enough; old servers simply ignore it
+        this.send(EVENTS.AUTH_GUEST, {
+            username,
+            character,
+            protocolVersion: PROTOCOL_VERSION,
+            binaryProtocol: BINARY_PROTOCOL_VERSION
+        });
+    }
+    
     // Room management
-    createRoom(gameMode = 'versus', maxPlayers = 2) {
+    createRoom(gameMode = 'classic', maxPlayers = 2, isPrivate = false) {
         if (!this.connected) {
             console.warn('Not connected to server');
             return;
         }
         
-        this.send('createRoom', {
+        this.send(EVENTS.ROOM_CREATE, {
             gameMode,
             maxPlayers,
-            playerData: this.playerData
+            isPrivate
         });
     }
     
@@ -181,31 +289,52 @@ export class NetworkManager {
             return;
         }
         
-        this.send('joinRoom', {
-            roomId,
-            playerData: this.playerData
-        });
+        this.send(EVENTS.ROOM_JOIN, { roomId });
     }
     
     leaveRoom() {
         if (!this.connected || !this.roomId) return;
         
-        this.send('leaveRoom', { roomId: this.roomId });
+        this.send(EVENTS.ROOM_LEAVE);
         this.roomId = null;
         this.isHost = false;
     }
     
+    setRoom(room) {
+        this.roomId = room.id;
+        this.isHost = room.hostId === this.socket.id;
+    }
+    
+    setReady(ready) {
+        if (!this.connected || !this.roomId) return;
+        
+        this.send(EVENTS.PLAYER_READY, { ready });
+    }
+    
+    // Leaderboards: the current standings arrive at once, then again whenever they change
+    subscribeLeaderboard(board, characterId) {
+        if (!this.connected) return;
+        
+        this.send(EVENTS.LEADERBOARD_SUBSCRIBE, { board, characterId });
+    }
+    
+    unsubscribeLeaderboard(board, characterId) {
+        if (!this.connected) return;
+        
+        this.send(EVENTS.LEADERBOARD_UNSUBSCRIBE, { board, characterId });
+    }
+    
     // Game management
     startGame() {
         if (!this.connected || !this.isHost) return;
         
-        this.send('startGame', { roomId: this.roomId });
+        this.send(EVENTS.GAME_START);
     }
     
     sendPlayerInput(inputData) {
         if (!this.connected) {
             // Queue input for when connection is restored
-            this.queueMessage('playerInput', inputData);
+            this.queueMessage(EVENTS.GAME_INPUT, inputData);
             return;
         }
         
@@ -214,25 +343,15 @@ export class NetworkManager {
             timestamp: this.getServerTime(),
             sequence: this.getNextSequence()
         };
+        if (this.viewFrame !== null) {
+            networkInput.viewFrame = this.viewFrame;
+        }
         
-        this.send('playerInput', networkInput);
-    }
-    
-    sendGameState(gameState) {
-        if (!this.connected || !this.isHost) return;
-        
-        const now = Date.now();
-        if (now - this.lastSyncTime < this.syncInterval) return;
-        
-        this.lastSyncTime = now;
-        
-        const networkState = {
-            ...gameState,
-            timestamp: this.getServerTime(),
-            sequence: this.getNextSequence()
-        };
+        this.predictInput(networkInput);
         
-        this.send('gameState', networkState);
+        this.send(EVENTS.GAME_INPUT, this.wireEncoding === 'binary'
+            ? encodeInput(networkInput)
+            : networkInput);
     }
     
     handleGameStateUpdate(data) {
@@ -250,10 +369,263 @@ export class NetworkManager {
         this.emit('gameState', data);
     }
     
+    handleServerStateUpdate(data) {
+        if (data.reconcile) {
+            this.reconcilePrediction(data.reconcile);
+        }
+        
+        const state = this.applyStateDelta(data.state);
+        
+        // Missing baseline: skip it and keep acking nothing until the server sends a keyframe
+        if (!state) return;
+        
+        this.stateHistory.set(data.frame, state);
+        if (this.stateHistory.size > this.maxStateHistory) {
+            this.stateHistory.delete(this.stateHistory.keys().next().value);
+        }
+        this.checkConfirmedStates();
+        
+        this.send(EVENTS.GAME_STATE_ACK, { frame: data.frame });
+        this.handleGameStateUpdate({ ...state, timestamp: data.timestamp });
+    }
+    
+    // Client-side prediction
+    startPrediction(initialState) {
+        const self = initialState.players.find(p => p.socketId === this.socket.id);
+        if (!self) {
+            this.prediction = null;
+            return;
+        }
+        
+        this.prediction = {
+            body: {
+                position: { ...self.position },
+                velocity: { x: 0, y: 0 },
+                acceleration: { x: 0, y: 0 },
+                facing: 'right',
+                isGrounded: false,
+                isJumping: false,
+                jumpsLeft: 0
+            },
+            stats: { ...self.characterStats, midairJumps: self.recovery?.midairJumps || 0 },
+            previousInput: {},
+            confirmedInput: null,
+            physics: initialState.physics || DEFAULT_PHYSICS,
+            platforms: initialState.map?.platforms || []
+        };
+        this.pendingInputs = [];
+        this.predictionError = { x: 0, y: 0 };
+    }
+    
+    stopPrediction() {
+        this.prediction = null;
+        this.pendingInputs = [];
+    }
+    
+    predictInput(input) {
+        if (!this.prediction) return;
+        
+        this.pendingInputs.push({ sequence: input.sequence, state: input.state });
+        if (this.pendingInputs.length > this.maxPendingInputs) {
+            this.pendingInputs.shift();
+        }
+        
+        this.stepPrediction(input.state);
+        
+        // Bleed off the last correction a little every simulated frame
+        this.predictionError.x *= this.correctionDecay;
+        this.predictionError.y *= this.correctionDecay;
+        if (Math.abs(this.predictionError.x) < 0.01) this.predictionError.x = 0;
+        if (Math.abs(this.predictionError.y) < 0.01) this.predictionError.y = 0;
+    }
+    
+    stepPrediction(inputState) {
+        const { body, stats, physics, platforms } = this.prediction;
+        applyMovementInput(body, inputState, stats, this.prediction.previousInput);
+        stepMovement(body, physics, platforms);
+        this.prediction.previousInput = inputState;
+    }
+    
+    reconcilePrediction(authoritative) {
+        if (!this.prediction) return;
+        
+        const { body } = this.prediction;
+        const shownX = body.position.x + this.predictionError.x;
+        const shownY = body.position.y + this.predictionError.y;
+        
+        // Inputs the server has already simulated are part of the authoritative state;
+        // the last of them is what the replay's first input is compared against
+        const simulated = this.pendingInputs.filter(input => input.sequence <= authoritative.sequence);
+        if (simulated.length > 0) {
+            this.prediction.confirmedInput = simulated[simulated.length - 1].state;
+        }
+        this.pendingInputs = this.pendingInputs.filter(input => input.sequence > authoritative.sequence);
+        
+        // Rewind to the server's answer and replay what it hasn't seen yet
+        body.position = { ...authoritative.position };
+        body.velocity = { ...authoritative.velocity };
+        body.facing = authoritative.facing;
+        body.isGrounded = authoritative.isGrounded;
+        body.isJumping = authoritative.isJumping;
+        body.jumpsLeft = authoritative.jumpsLeft;
+        this.prediction.previousInput = this.prediction.confirmedInput || {};
+        
+        for (const input of this.pendingInputs) {
+            this.stepPrediction(input.state);
+        }
+        
+        // Keep drawing where we were and let the difference decay, unless it is too big to hide
+        const errorX = shownX - body.position.x;
+        const errorY = shownY - body.position.y;
+        if (Math.hypot(errorX, errorY) > this.snapDistance) {
+            this.predictionError = { x: 0, y: 0 };
+        } else {
+            this.predictionError = { x: errorX, y: errorY };
+        }
+    }
+    
+    // Predicted local player, including any correction still being smoothed out
+    getPredictedPlayer() {
+        if (!this.prediction) return null;
+        
+        const { body } = this.prediction;
+        return {
+            ...body,
+            position: {
+                x: body.position.x + this.predictionError.x,
+                y: body.position.y + this.predictionError.y
+            }
+        };
+    }
+    
+    // Desync detection: the server sends the checksum of its simulation for each confirmed
+    // frame. Once we have rebuilt the state for that frame we compare, and report only a
+    // mismatch; the server checks it against its own simulation and resyncs us.
+    checkConfirmedFrame({ frame, checksum }) {
+        if (frame <= this.lastChecksumFrame) return;
+        
+        this.confirmedChecksums.set(frame, checksum);
+        if (this.confirmedChecksums.size > this.maxStateHistory) {
+            this.confirmedChecksums.delete(this.confirmedChecksums.keys().next().value);
+        }
+        this.checkConfirmedStates();
+    }
+    
+    checkConfirmedStates() {
+        for (const [frame, expected] of this.confirmedChecksums) {
+            if (frame <= this.lastChecksumFrame) {
+                this.confirmedChecksums.delete(frame);
+                continue;
+            }
+            
+            const state = this.stateHistory.get(frame);
+            if (!state) continue;
+            
+            this.confirmedChecksums.delete(frame);
+            this.lastChecksumFrame = frame;
+            
+            const checksum = computeStateChecksum(state);
+            if (checksum !== expected && this.connected) {
+                this.send(EVENTS.GAME_CHECKSUM, { frame, checksum });
+            }
+        }
+    }
+    
+    // Replace everything we derived from earlier updates with the server's authoritative state
+    applyResync(data) {
+        const { state } = data;
+        const resynced = {
+            frame: state.frame,
+            players: state.players.map(player => ({
+                ...player,
+                statusEffects: player.statusEffects.map(([name, effect]) => [name, effect.duration, effect.stacks])
+            })),
+            entities: state.entities,
+            toys: state.toys,
+            collectibles: state.collectibles,
+            timestamp: data.timestamp
+        };
+        
+        this.lastChecksumFrame = data.frame;
+        this.interpolationBuffer = [resynced];
+        this.viewFrame = null;
+        
+        // Rewind our prediction to where the server has us; a resync snaps instead of smoothing
+        const self = state.players.find(p => p.socketId === this.socket.id);
+        if (self) {
+            this.reconcilePrediction({
+                sequence: self.lastInputSequence,
+                position: self.position,
+                velocity: self.velocity,
+                facing: self.facing,
+                isGrounded: self.isGrounded,
+                isJumping: self.isJumping,
+                jumpsLeft: self.jumpsLeft
+            });
+            this.predictionError = { x: 0, y: 0 };
+        }
+        
+        return resynced;
+    }
+    
+    applyStateDelta(delta) {
+        if (delta.keyframe) {
+            const { keyframe, ...state } = delta;
+            return state;
+        }
+        
+        const base = this.stateHistory.get(delta.baseFrame);
+        if (!base) return null;
+        
+        const changedPlayers = new Map(delta.players.updated.map(p => [p.socketId, p]));
+        const removedPlayers = new Set(delta.players.removed);
+        const players = base.players
+            .filter(player => !removedPlayers.has(player.socketId))
+            .map(player => ({
+                ...player,
+                ...changedPlayers.get(player.socketId)
+            }));
+        
+        // Players the baseline has never seen arrive as complete objects
+        for (const player of delta.players.updated) {
+            if (!base.players.some(p => p.socketId === player.socketId)) {
+                players.push(player);
+            }
+        }
+        
+        return {
+            frame: delta.frame,
+            players,
+            entities: this.applyCollectionDelta(base.entities, delta.entities),
+            toys: this.applyCollectionDelta(base.toys, delta.toys),
+            collectibles: this.applyCollectionDelta(base.collectibles, delta.collectibles)
+        };
+    }
+    
+    applyCollectionDelta(baseItems, delta) {
+        const removed = new Set(delta.removed);
+        const updated = new Map(delta.updated.map(item => [item.id, item]));
+        
+        const items = baseItems
+            .filter(item => !removed.has(item.id))
+            .map(item => updated.get(item.id) || item);
+        
+        for (const item of delta.updated) {
+            if (!baseItems.some(existing => existing.id === item.id)) {
+                items.push(item);
+            }
+        }
+        
+        return items;
+    }
+    
     // Get interpolated game state for smooth movement
     getInterpolatedGameState() {
         if (this.interpolationBuffer.length < 2) {
-            return this.interpolationBuffer[0] || null;
+            const latest = this.interpolationBuffer[0];
+            if (!latest) return null;
+            this.viewFrame = latest.frame;
+            return this.withPredictedPlayer(latest);
         }
         
         const now = this.getServerTime();
@@ -273,28 +645,47 @@ export class NetworkManager {
         }
         
         if (!before || !after) {
-            return this.interpolationBuffer[this.interpolationBuffer.length - 1];
+            const latest = this.interpolationBuffer[this.interpolationBuffer.length - 1];
+            this.viewFrame = latest.frame;
+            return this.withPredictedPlayer(latest);
         }
         
+        // What the player is looking at is mostly the older of the two states
+        this.viewFrame = before.frame;
+        
         // Interpolate between the two states
         const t = (interpolationTime - before.timestamp) / (after.timestamp - before.timestamp);
-        return this.interpolateGameStates(before, after, t);
+        return this.withPredictedPlayer(this.interpolateGameStates(before, after, t));
+    }
+    
+    // Remote players are shown in the past; the local player is shown where we predict it is
+    withPredictedPlayer(state) {
+        if (!this.prediction || !state.players) return state;
+        
+        return {
+            ...state,
+            players: state.players.map(player => (
+                player.socketId === this.socket.id
+                    ? { ...player, ...this.getPredictedPlayer() }
+                    : player
+            ))
+        };
     }
     
     interpolateGameStates(state1, state2, t) {
         const interpolated = { ...state2 };
         
         if (state1.players && state2.players) {
-            interpolated.players = state2.players.map((player2, index) => {
-                const player1 = state1.players[index];
+            interpolated.players = state2.players.map(player2 => {
+                const player1 = state1.players.find(p => p.socketId === player2.socketId);
                 if (!player1) return player2;
                 
                 return {
                     ...player2,
-                    x: this.lerp(player1.x, player2.x, t),
-                    y: this.lerp(player1.y, player2.y, t),
-                    vx: this.lerp(player1.vx, player2.vx, t),
-                    vy: this.lerp(player1.vy, player2.vy, t)
+                    position: {
+                        x: this.lerp(player1.position.x, player2.position.x, t),
+                        y: this.lerp(player1.position.y, player2.position.y, t)
+                    }
                 };
             });
         }
@@ -306,23 +697,12 @@ export class NetworkManager {
         return a + (b - a) * t;
     }
     
-    // Chat system
-    sendChatMessage(message) {
-        if (!this.connected) return;
-        
-        this.send('chatMessage', {
-            message,
-            playerId: this.playerData?.id,
-            timestamp: Date.now()
-        });
-    }
-    
     // Latency measurement
     startPingMeasurement() {
         this.pingInterval = setInterval(() => {
             if (this.connected) {
                 this.lastPingTime = Date.now();
-                this.send('ping', this.lastPingTime);
+                this.send(EVENTS.PING, this.lastPingTime);
             }
         }, 1000);
     }
@@ -380,4 +760,85 @@ export class NetworkManager {
         return this.sequence;
     }
     
-    // Player data management\n    setPlayerData(playerData) {\n        this.playerData = playerData;\n        \n        if (this.connected) {\n            this.send('updatePlayerData', playerData);\n        }\n    }\n    \n    getPlayerData() {\n        return this.playerData;\n    }\n    \n    // Connection state\n    isConnected() {\n        return this.connected;\n    }\n    \n    getLatency() {\n        return this.latency;\n    }\n    \n    getRoomId() {\n        return this.roomId;\n    }\n    \n    isRoomHost() {\n        return this.isHost;\n    }\n    \n    // Event system\n    on(event, callback) {\n        if (!this.eventListeners.has(event)) {\n            this.eventListeners.set(event, []);\n        }\n        this.eventListeners.get(event).push(callback);\n    }\n    \n    off(event, callback) {\n        if (!this.eventListeners.has(event)) return;\n        \n        const listeners = this.eventListeners.get(event);\n        const index = listeners.indexOf(callback);\n        if (index > -1) {\n            listeners.splice(index, 1);\n        }\n    }\n    \n    emit(event, data) {\n        if (!this.eventListeners.has(event)) return;\n        \n        this.eventListeners.get(event).forEach(callback => {\n            callback(data);\n        });\n    }\n    \n    // Statistics and debugging\n    getNetworkStats() {\n        return {\n            connected: this.connected,\n            latency: this.latency,\n            queuedMessages: this.messageQueue.length,\n            interpolationBufferSize: this.interpolationBuffer.length,\n            roomId: this.roomId,\n            isHost: this.isHost,\n            serverTimeOffset: this.serverTimeOffset\n        };\n    }\n    \n    // Cleanup\n    destroy() {\n        this.stopPingMeasurement();\n        this.disconnect();\n        this.eventListeners.clear();\n        this.messageQueue = [];\n        this.interpolationBuffer = [];\n    }\n}
\ No newline at end of file
+    // Player data management
+    setPlayerData(playerData) {
+        this.playerData = playerData;
+        
+        if (this.connected && playerData.character) {
+            this.send(EVENTS.PLAYER_UPDATE_CHARACTER, {
+                character: playerData.character,
+                skin: playerData.skin
+            });
+        }
+    }
+    
+    getPlayerData() {
+        return this.playerData;
+    }
+    
+    // Connection state
+    isConnected() {
+        return this.connected;
+    }
+    
+    getLatency() {
+        return this.latency;
+    }
+    
+    getRoomId() {
+        return this.roomId;
+    }
+    
+    isRoomHost() {
+        return this.isHost;
+    }
+    
+    // Event system
+    on(event, callback) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, []);
+        }
+        this.eventListeners.get(event).push(callback);
+    }
+    
+    off(event, callback) {
+        if (!this.eventListeners.has(event)) return;
+        
+        const listeners = this.eventListeners.get(event);
+        const index = listeners.indexOf(callback);
+        if (index > -1) {
+            listeners.splice(index, 1);
+        }
+    }
+    
+    emit(event, data) {
+        if (!this.eventListeners.has(event)) return;
+        
+        this.eventListeners.get(event).forEach(callback => {
+            callback(data);
+        });
+    }
+    
+    // Statistics and debugging
+    getNetworkStats() {
+        return {
+            connected: this.connected,
+            latency: this.latency,
+            queuedMessages: this.messageQueue.length,
+            interpolationBufferSize: this.interpolationBuffer.length,
+            roomId: this.roomId,
+            isHost: this.isHost,
+            serverTimeOffset: this.serverTimeOffset
+        };
+    }
+    
+    // Cleanup
+    destroy() {
+        this.stopPingMeasurement();
+        this.disconnect();
+        this.eventListeners.clear();
+        this.messageQueue = [];
+        this.interpolationBuffer = [];
+        this.stopPrediction();
+    }
+}
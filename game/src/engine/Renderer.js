@@ -86,6 +86,11 @@ export class Renderer {
     drawCharacter(character) {
         const { x, y, width, height, color, name, facing } = character;
         
+        // Invisible fighters (Shadowlands) are only a faint outline
+        if (character.isInvisible) {
+            this.ctx.globalAlpha = 0.15;
+        }
+        
         // Draw character body
         this.drawRect(x, y, width, height, color);
         
@@ -111,6 +116,8 @@ export class Renderer {
         
         // Health bar above character
         this.drawHealthBar(x, y - 15, width, character.health, character.maxHealth);
+        
+        this.ctx.globalAlpha = 1.0;
     }
     
     drawHealthBar(x, y, width, currentHealth, maxHealth) {
@@ -0,0 +1,92 @@
+import { getStage } from '../../../shared/stages.js';
+
+const PLATFORM_COLORS = {
+    solid: '#8B4513',
+    platform: '#A0522D',
+    bouncy: '#FF69B4'
+};
+
+const HAZARD_COLORS = {
+    water: '#3A8DDE',
+    slide: '#FFB347'
+};
+
+export class Stage {
+    constructor(stageId, width, height) {
+        this.width = width;
+        this.height = height;
+        this.time = 0;
+
+        this.load(stageId);
+    }
+
+    // Builds the stage from the same definition the server simulates
+    load(stageId) {
+        const definition = getStage(stageId);
+
+        this.id = definition.id;
+        this.name = definition.name;
+        this.background = definition.background;
+        this.camera = { ...definition.camera };
+        this.blastZones = { ...definition.blastZones };
+        this.spawnPoints = definition.spawnPoints.map(point => ({ ...point }));
+        this.hazards = (definition.hazards || []).map(hazard => ({ ...hazard }));
+        this.blueyElements = (definition.blueyElements || []).map(element => ({ ...element }));
+        this.platforms = definition.platforms.map(platform => ({
+            ...platform,
+            color: PLATFORM_COLORS[platform.type]
+        }));
+
+        console.log(`🏞️ Stage loaded: ${this.name}`);
+    }
+
+    reset() {
+        this.time = 0;
+    }
+
+    update(deltaTime) {
+        this.time += deltaTime;
+    }
+
+    getSpawnPoint(index) {
+        return this.spawnPoints[index % this.spawnPoints.length];
+    }
+
+    // Lands falling characters on platforms and knocks out anyone past the blast zones
+    checkBoundaries(character) {
+        const feet = character.y + character.height;
+        character.isGrounded = false;
+
+        for (const platform of this.platforms) {
+            const overlapsX = character.x + character.width > platform.x &&
+                character.x < platform.x + platform.width;
+            const onTop = feet >= platform.y && feet <= platform.y + platform.height;
+
+            if (overlapsX && onTop && character.vy >= 0) {
+                character.y = platform.y - character.height;
+                character.vy = platform.type === 'bouncy' ? -15 : 0;
+                character.isGrounded = platform.type !== 'bouncy';
+            }
+        }
+
+        const centerX = character.x + character.width / 2;
+        const centerY = character.y + character.height / 2;
+        const { left, right, top, bottom } = this.blastZones;
+        if (!character.isKnockedOut &&
+            (centerX < left || centerX > right || centerY < top || centerY > bottom)) {
+            character.isKnockedOut = true;
+            console.log(`💀 ${character.name} flew past the blast zone!`);
+        }
+
+        character.updateBounds();
+    }
+
+    render(renderer) {
+        renderer.drawStage(this);
+
+        this.hazards.forEach(hazard => {
+            renderer.drawRect(hazard.x, hazard.y, hazard.width, hazard.height,
+                HAZARD_COLORS[hazard.type] || '#888888');
+        });
+    }
+}
@@ -0,0 +1,544 @@
+// Compact binary encoding for the hot realtime events (game:input,
+// game:state-update, game:confirmed-frame). Shared by the server and the
+// browser client; JSON stays the default and binary is only used once both
+// sides agree on BINARY_PROTOCOL_VERSION during auth.
+
+const { EVENTS } = require('./protocol');
+
+const BINARY_PROTOCOL_VERSION = 7;
+
+const MESSAGE_TAGS = {
+  input: 1,
+  inputBroadcast: 2,
+  stateUpdate: 3,
+  confirmedFrame: 4
+};
+
+const BINARY_EVENTS = [EVENTS.GAME_INPUT, EVENTS.GAME_STATE_UPDATE, EVENTS.GAME_CONFIRMED_FRAME];
+
+// Input buttons in bit order
+const INPUT_BUTTONS = ['left', 'right', 'up', 'down', 'attack', 'special', 'shield', 'dodge'];
+
+// Positions and velocities travel as fixed-point hundredths of a pixel
+const POSITION_SCALE = 100;
+
+const PLAYER_FIELDS = {
+  position: 1 << 0,
+  facing: 1 << 1,
+  animation: 1 << 2,
+  damage: 1 << 3,
+  lives: 1 << 4,
+  score: 1 << 5,
+  isShielding: 1 << 6,
+  isDodging: 1 << 7,
+  statusEffects: 1 << 8,
+  extra: 1 << 9,
+  velocity: 1 << 10
+};
+
+const ITEM_FIELDS = {
+  position: 1 << 0,
+  velocity: 1 << 1
+};
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+class BinaryWriter {
+  constructor() {
+    this.bytes = [];
+  }
+
+  writeByte(value) {
+    this.bytes.push(value & 0xff);
+  }
+
+  // Unsigned LEB128; uses arithmetic instead of bit ops so values up to 2^53 survive
+  writeVarint(value) {
+    let remaining = Math.max(0, Math.floor(value));
+    while (remaining >= 0x80) {
+      this.bytes.push((remaining % 0x80) | 0x80);
+      remaining = Math.floor(remaining / 0x80);
+    }
+    this.bytes.push(remaining);
+  }
+
+  writeSignedVarint(value) {
+    const n = Math.round(value);
+    this.writeVarint(n >= 0 ? n * 2 : -n * 2 - 1);
+  }
+
+  writeUint32(value) {
+    const n = value >>> 0;
+    this.bytes.push(n & 0xff, (n >>> 8) & 0xff, (n >>> 16) & 0xff, (n >>> 24) & 0xff);
+  }
+
+  writeFixed(value) {
+    this.writeSignedVarint(value * POSITION_SCALE);
+  }
+
+  writeString(value) {
+    const encoded = textEncoder.encode(String(value));
+    this.writeVarint(encoded.length);
+    for (const byte of encoded) this.bytes.push(byte);
+  }
+
+  writeJSON(value) {
+    this.writeString(JSON.stringify(value));
+  }
+
+  toUint8Array() {
+    return Uint8Array.from(this.bytes);
+  }
+}
+
+class BinaryReader {
+  constructor(buffer) {
+    this.bytes = toUint8Array(buffer);
+    this.offset = 0;
+  }
+
+  readByte() {
+    if (this.offset >= this.bytes.length) {
+      throw new Error('Unexpected end of binary message');
+    }
+    return this.bytes[this.offset++];
+  }
+
+  readVarint() {
+    let value = 0;
+    let multiplier = 1;
+    let byte;
+    do {
+      byte = this.readByte();
+      value += (byte & 0x7f) * multiplier;
+      multiplier *= 0x80;
+    } while (byte & 0x80);
+    return value;
+  }
+
+  readSignedVarint() {
+    const n = this.readVarint();
+    return n % 2 === 0 ? n / 2 : -(n + 1) / 2;
+  }
+
+  readUint32() {
+    const value = this.readByte() |
+      (this.readByte() << 8) |
+      (this.readByte() << 16) |
+      (this.readByte() << 24);
+    return value >>> 0;
+  }
+
+  readFixed() {
+    return this.readSignedVarint() / POSITION_SCALE;
+  }
+
+  readString() {
+    const length = this.readVarint();
+    if (this.offset + length > this.bytes.length) {
+      throw new Error('Unexpected end of binary message');
+    }
+    const value = textDecoder.decode(this.bytes.subarray(this.offset, this.offset + length));
+    this.offset += length;
+    return value;
+  }
+
+  readJSON() {
+    return JSON.parse(this.readString());
+  }
+}
+
+function toUint8Array(buffer) {
+  if (buffer instanceof Uint8Array) return buffer; // Also covers Node Buffers
+  if (buffer instanceof ArrayBuffer) return new Uint8Array(buffer);
+  if (ArrayBuffer.isView(buffer)) {
+    return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  }
+  throw new Error('Expected binary message');
+}
+
+function isBinaryMessage(data) {
+  return data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+}
+
+function isBinaryEvent(event) {
+  return BINARY_EVENTS.includes(event);
+}
+
+// Input flags
+function writeInputState(writer, state = {}) {
+  let flags = 0;
+  INPUT_BUTTONS.forEach((button, bit) => {
+    if (state[button]) flags |= 1 << bit;
+  });
+  writer.writeByte(flags);
+}
+
+function readInputState(reader) {
+  const flags = reader.readByte();
+  const state = {};
+  INPUT_BUTTONS.forEach((button, bit) => {
+    state[button] = (flags & (1 << bit)) !== 0;
+  });
+  return state;
+}
+
+function writeInput(writer, input) {
+  writer.writeVarint(input.frame);
+  writer.writeVarint(input.sequence || 0);
+  writer.writeVarint(input.timestamp || 0);
+  // viewFrame is optional, so it travels shifted by one with 0 meaning absent
+  writer.writeVarint(Number.isInteger(input.viewFrame) ? input.viewFrame + 1 : 0);
+  writeInputState(writer, input.state);
+}
+
+function readInput(reader) {
+  const input = {
+    frame: reader.readVarint(),
+    sequence: reader.readVarint(),
+    timestamp: reader.readVarint()
+  };
+  const viewFrame = reader.readVarint();
+  if (viewFrame > 0) input.viewFrame = viewFrame - 1;
+  input.state = readInputState(reader);
+  return input;
+}
+
+// game:input (client -> server)
+function encodeInput(input) {
+  const writer = new BinaryWriter();
+  writer.writeByte(MESSAGE_TAGS.input);
+  writeInput(writer, input);
+  return writer.toUint8Array();
+}
+
+function decodeInput(buffer) {
+  const reader = new BinaryReader(buffer);
+  expectTag(reader, MESSAGE_TAGS.input);
+  return readInput(reader);
+}
+
+// game:input (server -> other players)
+function encodeInputBroadcast(data) {
+  const writer = new BinaryWriter();
+  writer.writeByte(MESSAGE_TAGS.inputBroadcast);
+  writer.writeString(data.playerId);
+  writer.writeVarint(data.frame);
+  writeInput(writer, data.input);
+  return writer.toUint8Array();
+}
+
+function decodeInputBroadcast(buffer) {
+  const reader = new BinaryReader(buffer);
+  expectTag(reader, MESSAGE_TAGS.inputBroadcast);
+  return {
+    playerId: reader.readString(),
+    frame: reader.readVarint(),
+    input: readInput(reader)
+  };
+}
+
+// game:state-update
+function writePlayer(writer, player) {
+  const { socketId, position, velocity, facing, animation, damage, lives, score,
+    isShielding, isDodging, statusEffects, ...extra } = player;
+
+  let mask = 0;
+  if (position !== undefined) mask |= PLAYER_FIELDS.position;
+  if (velocity !== undefined) mask |= PLAYER_FIELDS.velocity;
+  if (facing !== undefined) mask |= PLAYER_FIELDS.facing;
+  if (animation !== undefined) mask |= PLAYER_FIELDS.animation;
+  if (damage !== undefined) mask |= PLAYER_FIELDS.damage;
+  if (lives !== undefined) mask |= PLAYER_FIELDS.lives;
+  if (score !== undefined) mask |= PLAYER_FIELDS.score;
+  if (isShielding !== undefined) mask |= PLAYER_FIELDS.isShielding;
+  if (isDodging !== undefined) mask |= PLAYER_FIELDS.isDodging;
+  if (statusEffects !== undefined) mask |= PLAYER_FIELDS.statusEffects;
+  if (Object.keys(extra).length > 0) mask |= PLAYER_FIELDS.extra;
+
+  writer.writeString(socketId);
+  writer.writeVarint(mask);
+
+  if (mask & PLAYER_FIELDS.position) {
+    writer.writeFixed(position.x);
+    writer.writeFixed(position.y);
+  }
+  if (mask & PLAYER_FIELDS.velocity) {
+    writer.writeFixed(velocity.x);
+    writer.writeFixed(velocity.y);
+  }
+  if (mask & PLAYER_FIELDS.facing) writer.writeByte(facing === 'right' ? 1 : 0);
+  if (mask & PLAYER_FIELDS.animation) writer.writeString(animation);
+  if (mask & PLAYER_FIELDS.damage) writer.writeFixed(damage);
+  if (mask & PLAYER_FIELDS.lives) writer.writeSignedVarint(lives);
+  if (mask & PLAYER_FIELDS.score) writer.writeSignedVarint(score);
+  if (mask & PLAYER_FIELDS.isShielding) writer.writeByte(isShielding ? 1 : 0);
+  if (mask & PLAYER_FIELDS.isDodging) writer.writeByte(isDodging ? 1 : 0);
+  if (mask & PLAYER_FIELDS.statusEffects) {
+    writer.writeVarint(statusEffects.length);
+    for (const [effectId, framesLeft, stacks] of statusEffects) {
+      writer.writeString(effectId);
+      writer.writeVarint(framesLeft);
+      writer.writeVarint(stacks);
+    }
+  }
+  // Anything without a dedicated encoding rides along as JSON
+  if (mask & PLAYER_FIELDS.extra) writer.writeJSON(extra);
+}
+
+function readPlayer(reader) {
+  const player = { socketId: reader.readString() };
+  const mask = reader.readVarint();
+
+  if (mask & PLAYER_FIELDS.position) {
+    player.position = { x: reader.readFixed(), y: reader.readFixed() };
+  }
+  if (mask & PLAYER_FIELDS.velocity) {
+    player.velocity = { x: reader.readFixed(), y: reader.readFixed() };
+  }
+  if (mask & PLAYER_FIELDS.facing) player.facing = reader.readByte() ? 'right' : 'left';
+  if (mask & PLAYER_FIELDS.animation) player.animation = reader.readString();
+  if (mask & PLAYER_FIELDS.damage) player.damage = reader.readFixed();
+  if (mask & PLAYER_FIELDS.lives) player.lives = reader.readSignedVarint();
+  if (mask & PLAYER_FIELDS.score) player.score = reader.readSignedVarint();
+  if (mask & PLAYER_FIELDS.isShielding) player.isShielding = reader.readByte() === 1;
+  if (mask & PLAYER_FIELDS.isDodging) player.isDodging = reader.readByte() === 1;
+  if (mask & PLAYER_FIELDS.statusEffects) {
+    const count = reader.readVarint();
+    player.statusEffects = [];
+    for (let i = 0; i < count; i++) {
+      player.statusEffects.push([reader.readString(), reader.readVarint(), reader.readVarint()]);
+    }
+  }
+  if (mask & PLAYER_FIELDS.extra) Object.assign(player, reader.readJSON());
+
+  return player;
+}
+
+function writeItems(writer, items) {
+  writer.writeVarint(items.length);
+  for (const { position, velocity, ...rest } of items) {
+    let mask = 0;
+    if (position) mask |= ITEM_FIELDS.position;
+    if (velocity) mask |= ITEM_FIELDS.velocity;
+
+    writer.writeByte(mask);
+    if (position) {
+      writer.writeFixed(position.x);
+      writer.writeFixed(position.y);
+    }
+    if (velocity) {
+      writer.writeFixed(velocity.x);
+      writer.writeFixed(velocity.y);
+    }
+    writer.writeJSON(rest);
+  }
+}
+
+function readItems(reader) {
+  const count = reader.readVarint();
+  const items = [];
+  for (let i = 0; i < count; i++) {
+    const mask = reader.readByte();
+    const item = {};
+    if (mask & ITEM_FIELDS.position) {
+      item.position = { x: reader.readFixed(), y: reader.readFixed() };
+    }
+    if (mask & ITEM_FIELDS.velocity) {
+      item.velocity = { x: reader.readFixed(), y: reader.readFixed() };
+    }
+    items.push(Object.assign(item, reader.readJSON()));
+  }
+  return items;
+}
+
+// Keyframes list every player; deltas list changed players and the socketIds of removed ones
+function writePlayers(writer, players, keyframe) {
+  const updated = keyframe ? players : players.updated;
+  writer.writeVarint(updated.length);
+  updated.forEach(player => writePlayer(writer, player));
+  if (keyframe) return;
+
+  writer.writeVarint(players.removed.length);
+  players.removed.forEach(socketId => writer.writeString(socketId));
+}
+
+function readPlayers(reader, keyframe) {
+  const updated = [];
+  const count = reader.readVarint();
+  for (let i = 0; i < count; i++) updated.push(readPlayer(reader));
+  if (keyframe) return updated;
+
+  const removedCount = reader.readVarint();
+  const removed = [];
+  for (let i = 0; i < removedCount; i++) removed.push(reader.readString());
+  return { updated, removed };
+}
+
+function writeCollection(writer, collection, keyframe) {
+  if (keyframe) {
+    writeItems(writer, collection);
+    return;
+  }
+  writeItems(writer, collection.updated);
+  writer.writeVarint(collection.removed.length);
+  collection.removed.forEach(id => writer.writeJSON(id));
+}
+
+function readCollection(reader, keyframe) {
+  if (keyframe) return readItems(reader);
+
+  const updated = readItems(reader);
+  const count = reader.readVarint();
+  const removed = [];
+  for (let i = 0; i < count; i++) removed.push(reader.readJSON());
+  return { updated, removed };
+}
+
+// The receiving player's own authoritative motion, for prediction reconciliation
+function writeReconcile(writer, reconcile) {
+  writer.writeVarint(reconcile.sequence);
+  writer.writeFixed(reconcile.position.x);
+  writer.writeFixed(reconcile.position.y);
+  writer.writeFixed(reconcile.velocity.x);
+  writer.writeFixed(reconcile.velocity.y);
+
+  let flags = 0;
+  if (reconcile.facing === 'right') flags |= 1;
+  if (reconcile.isGrounded) flags |= 2;
+  if (reconcile.isJumping) flags |= 4;
+  writer.writeByte(flags);
+  writer.writeByte(reconcile.jumpsLeft || 0);
+}
+
+function readReconcile(reader) {
+  const reconcile = {
+    sequence: reader.readVarint(),
+    position: { x: reader.readFixed(), y: reader.readFixed() },
+    velocity: { x: reader.readFixed(), y: reader.readFixed() }
+  };
+
+  const flags = reader.readByte();
+  reconcile.facing = flags & 1 ? 'right' : 'left';
+  reconcile.isGrounded = (flags & 2) !== 0;
+  reconcile.isJumping = (flags & 4) !== 0;
+  reconcile.jumpsLeft = reader.readByte();
+  return reconcile;
+}
+
+function encodeStateUpdate(data) {
+  const { state } = data;
+  const writer = new BinaryWriter();
+
+  writer.writeByte(MESSAGE_TAGS.stateUpdate);
+  writer.writeVarint(data.frame);
+  writer.writeVarint(data.timestamp);
+  writer.writeByte(state.keyframe ? 1 : 0);
+  writer.writeVarint(state.frame);
+  if (!state.keyframe) writer.writeVarint(state.baseFrame);
+
+  writePlayers(writer, state.players, state.keyframe);
+
+  writeCollection(writer, state.entities, state.keyframe);
+  writeCollection(writer, state.toys, state.keyframe);
+  writeCollection(writer, state.collectibles, state.keyframe);
+
+  writer.writeByte(data.reconcile ? 1 : 0);
+  if (data.reconcile) writeReconcile(writer, data.reconcile);
+
+  return writer.toUint8Array();
+}
+
+function decodeStateUpdate(buffer) {
+  const reader = new BinaryReader(buffer);
+  expectTag(reader, MESSAGE_TAGS.stateUpdate);
+
+  const frame = reader.readVarint();
+  const timestamp = reader.readVarint();
+  const keyframe = reader.readByte() === 1;
+  const state = { keyframe, frame: reader.readVarint() };
+  if (!keyframe) state.baseFrame = reader.readVarint();
+
+  state.players = readPlayers(reader, keyframe);
+
+  state.entities = readCollection(reader, keyframe);
+  state.toys = readCollection(reader, keyframe);
+  state.collectibles = readCollection(reader, keyframe);
+
+  const update = { frame, state, timestamp };
+  if (reader.readByte() === 1) update.reconcile = readReconcile(reader);
+
+  return update;
+}
+
+// game:confirmed-frame
+function encodeConfirmedFrame(data) {
+  const writer = new BinaryWriter();
+  writer.writeByte(MESSAGE_TAGS.confirmedFrame);
+  writer.writeVarint(data.frame);
+  writer.writeUint32(data.checksum);
+  return writer.toUint8Array();
+}
+
+function decodeConfirmedFrame(buffer) {
+  const reader = new BinaryReader(buffer);
+  expectTag(reader, MESSAGE_TAGS.confirmedFrame);
+  return {
+    frame: reader.readVarint(),
+    checksum: reader.readUint32()
+  };
+}
+
+function expectTag(reader, tag) {
+  const actual = reader.readByte();
+  if (actual !== tag) {
+    throw new Error(`Unexpected binary message tag ${actual} (expected ${tag})`);
+  }
+}
+
+// Server -> client encoding for an event, or null if it has no binary form
+function encodeServerEvent(event, data) {
+  switch (event) {
+    case EVENTS.GAME_INPUT:
+      return encodeInputBroadcast(data);
+    case EVENTS.GAME_STATE_UPDATE:
+      return encodeStateUpdate(data);
+    case EVENTS.GAME_CONFIRMED_FRAME:
+      return encodeConfirmedFrame(data);
+    default:
+      return null;
+  }
+}
+
+function decodeServerEvent(event, buffer) {
+  switch (event) {
+    case EVENTS.GAME_INPUT:
+      return decodeInputBroadcast(buffer);
+    case EVENTS.GAME_STATE_UPDATE:
+      return decodeStateUpdate(buffer);
+    case EVENTS.GAME_CONFIRMED_FRAME:
+      return decodeConfirmedFrame(buffer);
+    default:
+      throw new Error(`No binary encoding for ${event}`);
+  }
+}
+
+module.exports = {
+  BINARY_PROTOCOL_VERSION,
+  POSITION_SCALE,
+  BINARY_EVENTS,
+  INPUT_BUTTONS,
+  isBinaryMessage,
+  isBinaryEvent,
+  encodeInput,
+  decodeInput,
+  encodeInputBroadcast,
+  decodeInputBroadcast,
+  encodeStateUpdate,
+  decodeStateUpdate,
+  encodeConfirmedFrame,
+  decodeConfirmedFrame,
+  encodeServerEvent,
+  decodeServerEvent
+};
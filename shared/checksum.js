@@ -0,0 +1,62 @@
+// State checksum shared by the server and the browser client. It covers the
+// simulated fields of the public state the client receives (motion, damage,
+// stocks, status effect timers, frame counters and entity lifetimes), rounded
+// to the binary wire's precision, so a client that rebuilt a state from deltas
+// gets the same value as the server's own simulation of that frame.
+
+const { POSITION_SCALE } = require('./binaryCodec');
+
+function toFixed(value) {
+  return Math.round((value || 0) * POSITION_SCALE);
+}
+
+function bySocketId(a, b) {
+  return a.socketId < b.socketId ? -1 : a.socketId > b.socketId ? 1 : 0;
+}
+
+function byId(a, b) {
+  return String(a.id) < String(b.id) ? -1 : String(a.id) > String(b.id) ? 1 : 0;
+}
+
+// Status effects are [id, framesLeft, stacks] tuples
+function byEffectId(a, b) {
+  return a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0;
+}
+
+// state: { frame, players: [...], entities: [...] } in the getPublicState() shape
+function computeStateChecksum(state) {
+  // Sorted, because deltas don't preserve the order players and entities were added in
+  const parts = [state.frame];
+  for (const player of [...state.players].sort(bySocketId)) {
+    parts.push(
+      player.socketId,
+      toFixed(player.position.x), toFixed(player.position.y),
+      toFixed(player.velocity?.x), toFixed(player.velocity?.y),
+      toFixed(player.damage), player.lives,
+      [...(player.statusEffects || [])].sort(byEffectId),
+      player.hitstunFrames || 0, player.shieldstunFrames || 0,
+      player.respawnFrames || 0, player.landingLagFrames || 0
+    );
+  }
+  for (const entity of [...(state.entities || [])].sort(byId)) {
+    parts.push(
+      entity.id,
+      toFixed(entity.position?.x), toFixed(entity.position?.y),
+      toFixed(entity.velocity?.x), toFixed(entity.velocity?.y),
+      entity.lifetime ?? null
+    );
+  }
+  
+  // FNV-1a over the canonical string form
+  const data = JSON.stringify(parts);
+  let hash = 2166136261;
+  for (let i = 0; i < data.length; i++) {
+    hash ^= data.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+module.exports = {
+  computeStateChecksum
+};
@@ -0,0 +1,117 @@
+// Player movement rules shared by the authoritative simulation (GameState) and
+// the client's local prediction (NetworkManager). Anything that changes how a
+// fighter moves has to live here, otherwise prediction and server disagree and
+// every state update turns into a correction.
+
+const DEFAULT_PHYSICS = {
+  gravity: 0.8,
+  friction: 0.85,
+  airResistance: 0.98,
+  maxFallSpeed: 15,
+  groundLevel: 400,
+  precision: 1000 // Positions/velocities are rounded to 1/precision each frame
+};
+
+function quantize(value, precision = DEFAULT_PHYSICS.precision) {
+  return Math.round(value * precision) / precision;
+}
+
+function quantizeMotion(body, precision = DEFAULT_PHYSICS.precision) {
+  body.position.x = quantize(body.position.x, precision);
+  body.position.y = quantize(body.position.y, precision);
+  body.velocity.x = quantize(body.velocity.x, precision);
+  body.velocity.y = quantize(body.velocity.y, precision);
+}
+
+// Horizontal acceleration, facing and jumping from one frame of input.
+// Midair jumps need a fresh press of up, so previousInput is last frame's input;
+// the fighter gets stats.midairJumps of them back whenever they stand on something.
+function applyMovementInput(body, input, stats, previousInput = {}) {
+  if (body.isGrounded) {
+    body.jumpsLeft = stats.midairJumps || 0;
+  }
+
+  if (input.left && !input.right) {
+    body.acceleration.x = -stats.speed * 0.5;
+    body.facing = 'left';
+  } else if (input.right && !input.left) {
+    body.acceleration.x = stats.speed * 0.5;
+    body.facing = 'right';
+  } else {
+    body.acceleration.x = 0;
+  }
+
+  if (input.up && body.isGrounded && !body.isJumping) {
+    body.velocity.y = -stats.agility * 1.2;
+    body.isJumping = true;
+    body.isGrounded = false;
+  } else if (input.up && !previousInput.up && !body.isGrounded && body.jumpsLeft > 0) {
+    body.velocity.y = -stats.agility * 1.1;
+    body.jumpsLeft--;
+  }
+}
+
+// Advances a body by one fixed step: forces and platforms. There are no walls;
+// leaving the stage is handled by the map's blast zones.
+function stepMovement(body, physics, platforms) {
+  // Apply acceleration to velocity
+  body.velocity.x += body.acceleration.x;
+  body.velocity.y += physics.gravity;
+
+  // Apply friction when grounded
+  if (body.isGrounded) {
+    body.velocity.x *= physics.friction;
+  } else {
+    body.velocity.x *= physics.airResistance;
+  }
+
+  // Terminal velocity
+  body.velocity.y = Math.min(body.velocity.y, physics.maxFallSpeed);
+
+  // Apply velocity to position
+  body.position.x += body.velocity.x;
+  body.position.y += body.velocity.y;
+
+  checkPlatformCollisions(body, platforms);
+
+  // Drop floating-point noise so every peer ends the frame with identical numbers
+  quantizeMotion(body, physics.precision);
+}
+
+function checkPlatformCollisions(body, platforms) {
+  body.isGrounded = false;
+
+  for (const platform of platforms) {
+    if (overlapsPlatform(body, platform)) {
+      // Land on the platform, or stay on it; checked every frame so a standing
+      // fighter doesn't flicker airborne between frames
+      if (body.velocity.y > 0) {
+        body.position.y = platform.y;
+        body.velocity.y = 0;
+        body.isGrounded = true;
+        body.isJumping = false;
+
+        if (platform.type === 'bouncy') {
+          body.velocity.y = -15; // Trampoline effect
+        }
+      }
+    }
+  }
+}
+
+function overlapsPlatform(body, platform) {
+  return (
+    body.position.x + 20 > platform.x &&
+    body.position.x - 20 < platform.x + platform.width &&
+    body.position.y + 40 > platform.y &&
+    body.position.y + 40 < platform.y + platform.height
+  );
+}
+
+module.exports = {
+  DEFAULT_PHYSICS,
+  quantize,
+  quantizeMotion,
+  applyMovementInput,
+  stepMovement
+};
@@ -0,0 +1,243 @@
+// Realtime protocol shared by the browser client (NetworkManager) and the
+// server (SocketHandler): event names, payload schemas and the protocol
+// version both sides check during auth.
+
+// Bump when event names or payload shapes change incompatibly
+//   2: game:start carries the server frame and tick rate, and inputs are
+//      numbered by server frame
+//   3: players in state updates carry velocity, status effect timers and frame
+//      counters; game:checksum is only sent for a mismatch with game:confirmed-frame
+//   4: delta state updates send players as { updated, removed } like the other collections
+const PROTOCOL_VERSION = 4;
+const MIN_PROTOCOL_VERSION = 4;
+
+const EVENTS = {
+  // Authentication
+  AUTH_LOGIN: 'auth:login',
+  AUTH_GUEST: 'auth:guest',
+  AUTH_SUCCESS: 'auth:success',
+  AUTH_ERROR: 'auth:error',
+
+  // Player
+  PLAYER_UPDATE_CHARACTER: 'player:update-character',
+  PLAYER_CHARACTER_UPDATED: 'player:character-updated',
+  PLAYER_UPDATE_PREFERENCES: 'player:update-preferences',
+  PLAYER_PREFERENCES_UPDATED: 'player:preferences-updated',
+  PLAYER_READY: 'player:ready',
+
+  // Rooms
+  ROOM_CREATE: 'room:create',
+  ROOM_CREATED: 'room:created',
+  ROOM_JOIN: 'room:join',
+  ROOM_JOINED: 'room:joined',
+  ROOM_LEAVE: 'room:leave',
+  ROOM_LEFT: 'room:left',
+  ROOM_LIST: 'room:list',
+  ROOM_UPDATE_SETTINGS: 'room:update-settings',
+  ROOM_SETTINGS_UPDATED: 'room:settings-updated',
+  ROOM_SET_TEAM: 'room:set-team',
+  ROOM_BALANCE_TEAMS: 'room:balance-teams',
+  ROOM_TEAMS_UPDATED: 'room:teams-updated',
+  ROOM_PLAYER_JOINED: 'room:player-joined',
+  ROOM_PLAYER_LEFT: 'room:player-left',
+  ROOM_PLAYER_READY: 'room:player-ready',
+  ROOM_PLAYER_UPDATED: 'room:player-updated',
+
+  // Game session
+  GAME_START: 'game:start',
+  GAME_END: 'game:end',
+  GAME_INPUT: 'game:input',
+  GAME_STATE_UPDATE: 'game:state-update',
+  GAME_STATE_ACK: 'game:state-ack',
+  GAME_CONFIRMED_FRAME: 'game:confirmed-frame',
+  GAME_CHECKSUM: 'game:checksum',
+  GAME_RESYNC: 'game:resync',
+  GAME_STATUS_EFFECTS: 'game:status-effects',
+  GAME_PHASE: 'game:phase',
+  GAME_PAUSE: 'game:pause',
+  GAME_PAUSED: 'game:paused',
+  GAME_FORFEIT: 'game:forfeit',
+  GAME_PLAYER_FORFEIT: 'game:player-forfeit',
+
+  // Matchmaking
+  MATCHMAKING_JOIN: 'matchmaking:join',
+  MATCHMAKING_JOINED: 'matchmaking:joined',
+  MATCHMAKING_LEAVE: 'matchmaking:leave',
+  MATCHMAKING_LEFT: 'matchmaking:left',
+
+  // Spectators
+  SPECTATE_JOIN: 'spectate:join',
+  SPECTATE_JOINED: 'spectate:joined',
+  SPECTATE_LEAVE: 'spectate:leave',
+  SPECTATE_LEFT: 'spectate:left',
+
+  // Leaderboards
+  LEADERBOARD_SUBSCRIBE: 'leaderboard:subscribe',
+  LEADERBOARD_UNSUBSCRIBE: 'leaderboard:unsubscribe',
+  LEADERBOARD_UPDATE: 'leaderboard:update',
+
+  // Utility
+  PING: 'ping',
+  PONG: 'pong',
+  STATS_REQUEST: 'stats:request',
+  STATS_RESPONSE: 'stats:response',
+  REPLAY_REQUEST: 'replay:request',
+  REPLAY_DATA: 'replay:data',
+  SERVER_SHUTDOWN: 'server:shutdown',
+  ERROR: 'error',
+
+  // Anti-cheat
+  ANTI_CHEAT_WARNING: 'anti-cheat:warning',
+  ANTI_CHEAT_KICK: 'anti-cheat:kick',
+  ANTI_CHEAT_BAN: 'anti-cheat:ban'
+};
+
+// Payload schemas, per direction since some events (game:start, game:input,
+// room:list) are used both ways with different payloads. An object maps
+// field -> type, a bare string types the whole payload; a trailing '?' marks
+// it optional. Events without a schema carry no payload we check.
+const CLIENT_SCHEMAS = {
+  [EVENTS.AUTH_LOGIN]: {
+    protocolVersion: 'integer',
+    token: 'string?',
+    username: 'string?',
+    character: 'string?',
+    binaryProtocol: 'integer?'
+  },
+  [EVENTS.AUTH_GUEST]: {
+    protocolVersion: 'integer',
+    username: 'string?',
+    character: 'string?',
+    binaryProtocol: 'integer?'
+  },
+  [EVENTS.PLAYER_UPDATE_CHARACTER]: { character: 'string', skin: 'string?' },
+  [EVENTS.PLAYER_UPDATE_PREFERENCES]: 'object',
+  [EVENTS.PLAYER_READY]: { ready: 'boolean' },
+  [EVENTS.ROOM_CREATE]: {
+    gameMode: 'string?',
+    mapId: 'string?',
+    maxPlayers: 'integer?',
+    isPrivate: 'boolean?',
+    settings: 'object?'
+  },
+  [EVENTS.ROOM_JOIN]: { roomId: 'string' },
+  [EVENTS.ROOM_UPDATE_SETTINGS]: 'object',
+  [EVENTS.ROOM_SET_TEAM]: { playerId: 'string', team: 'string' },
+  [EVENTS.GAME_INPUT]: {
+    frame: 'integer',
+    state: 'object',
+    sequence: 'integer?',
+    timestamp: 'number?',
+    viewFrame: 'integer?'
+  },
+  [EVENTS.GAME_STATE_ACK]: { frame: 'integer' },
+  [EVENTS.GAME_CHECKSUM]: { frame: 'integer', checksum: 'integer' },
+  [EVENTS.MATCHMAKING_JOIN]: { gameMode: 'string?', mapId: 'string?' },
+  [EVENTS.SPECTATE_JOIN]: { roomId: 'string' },
+  [EVENTS.LEADERBOARD_SUBSCRIBE]: { board: 'string', characterId: 'string?' },
+  [EVENTS.LEADERBOARD_UNSUBSCRIBE]: { board: 'string', characterId: 'string?' },
+  [EVENTS.PING]: 'number',
+  [EVENTS.REPLAY_REQUEST]: { replayId: 'string' }
+};
+
+const SERVER_SCHEMAS = {
+  [EVENTS.AUTH_SUCCESS]: { player: 'object', serverInfo: 'object', guestToken: 'string?' },
+  [EVENTS.AUTH_ERROR]: { message: 'string', code: 'string?' },
+  [EVENTS.ROOM_CREATED]: { room: 'object' },
+  [EVENTS.ROOM_JOINED]: { room: 'object' },
+  [EVENTS.ROOM_LEFT]: { roomId: 'string' },
+  [EVENTS.ROOM_PLAYER_JOINED]: { player: 'object', roomInfo: 'object' },
+  [EVENTS.ROOM_PLAYER_LEFT]: { playerId: 'string', roomInfo: 'object' },
+  [EVENTS.ROOM_TEAMS_UPDATED]: { teams: 'array?', roomInfo: 'object' },
+  [EVENTS.GAME_START]: {
+    sessionId: 'string',
+    gameState: 'object',
+    settings: 'object',
+    frame: 'integer',
+    tickRate: 'integer',
+    timestamp: 'number'
+  },
+  [EVENTS.GAME_END]: { sessionId: 'string', results: 'object', duration: 'number', timestamp: 'number' },
+  [EVENTS.GAME_INPUT]: { playerId: 'string', input: 'object', frame: 'integer' },
+  [EVENTS.GAME_STATE_UPDATE]: { frame: 'integer', state: 'object', reconcile: 'object?', timestamp: 'number' },
+  [EVENTS.GAME_CONFIRMED_FRAME]: { frame: 'integer', checksum: 'integer' },
+  [EVENTS.GAME_RESYNC]: { frame: 'integer', confirmedFrame: 'integer', state: 'object', timestamp: 'number' },
+  [EVENTS.GAME_STATUS_EFFECTS]: { events: 'array' },
+  [EVENTS.GAME_PHASE]: { phase: 'string', frame: 'integer', players: 'array?', timestamp: 'number' },
+  [EVENTS.LEADERBOARD_UPDATE]: { board: 'string', characterId: 'string?', entries: 'array', total: 'integer' },
+  [EVENTS.PONG]: { timestamp: 'number', latency: 'number', serverTime: 'number' }
+};
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+function matchesField(value, spec) {
+  const optional = spec.endsWith('?');
+  const type = optional ? spec.slice(0, -1) : spec;
+  if (value === undefined || value === null) return optional;
+  return matchesType(value, type);
+}
+
+// Returns null when the payload is acceptable, otherwise a short reason
+function validatePayload(schemas, event, payload) {
+  const schema = schemas[event];
+  if (!schema) return null;
+
+  if (typeof schema === 'string') {
+    return matchesField(payload, schema) ? null : `${event} expects ${schema}`;
+  }
+
+  const data = payload === undefined ? {} : payload;
+  if (!matchesType(data, 'object')) {
+    return `${event} expects an object payload`;
+  }
+
+  for (const [field, spec] of Object.entries(schema)) {
+    if (!matchesField(data[field], spec)) {
+      return `${event}.${field} expects ${spec}`;
+    }
+  }
+
+  return null;
+}
+
+function validateClientPayload(event, payload) {
+  return validatePayload(CLIENT_SCHEMAS, event, payload);
+}
+
+function validateServerPayload(event, payload) {
+  return validatePayload(SERVER_SCHEMAS, event, payload);
+}
+
+function isCompatibleVersion(version) {
+  return Number.isInteger(version) &&
+    version >= MIN_PROTOCOL_VERSION &&
+    version <= PROTOCOL_VERSION;
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  EVENTS,
+  CLIENT_SCHEMAS,
+  SERVER_SCHEMAS,
+  validateClientPayload,
+  validateServerPayload,
+  isCompatibleVersion
+};
@@ -0,0 +1,171 @@
+// Stage definitions shared by the server simulation (GameState) and the client
+// Stage entity. Each stage is a JSON file in shared/stages:
+//
+//   id, name       identity and display name
+//   background     { topColor, bottomColor } for the client backdrop
+//   camera         { left, top, right, bottom } the client camera stays inside
+//   blastZones     { left, top, right, bottom }; crossing one is a KO
+//   platforms      { x, y, width, height, type } with type solid, platform or bouncy.
+//                  Solid platforms have grabbable ledges at both top corners; an
+//                  optional ledges: ['left', 'right'] lists them explicitly ([] for none)
+//   hazards        { type, x, y, width, height }
+//   hill           optional { x, y, width, height } zone scored in king of the hill
+//   spawnPoints    { x, y } in join order; reused round-robin past the end
+//   items.initial     toys/collectibles placed at the start: { kind, type, position }
+//   items.spawnTable  weighted entries for spawns during a match: { kind, type, weight }
+//   blueyElements  interactive set pieces: { type, x, y }
+//
+// Files are listed explicitly so the client bundler can include them.
+
+const DEFAULT_STAGE = 'backyard';
+const PLATFORM_TYPES = ['solid', 'platform', 'bouncy'];
+const ITEM_KINDS = ['toy', 'collectible'];
+const LEDGE_SIDES = ['left', 'right'];
+
+const stages = new Map();
+
+function isRect(value) {
+  return Boolean(value) &&
+    typeof value.x === 'number' &&
+    typeof value.y === 'number' &&
+    value.width > 0 &&
+    value.height > 0;
+}
+
+function isPoint(value) {
+  return Boolean(value) && typeof value.x === 'number' && typeof value.y === 'number';
+}
+
+function isBounds(value) {
+  return Boolean(value) &&
+    ['left', 'top', 'right', 'bottom'].every(side => typeof value[side] === 'number') &&
+    value.left < value.right &&
+    value.top < value.bottom;
+}
+
+// Throws on the first problem so a broken stage fails at load, not mid-match
+function validateStage(stage, source = stage && stage.id) {
+  const fail = reason => {
+    throw new Error(`Invalid stage ${source}: ${reason}`);
+  };
+
+  if (!stage || typeof stage !== 'object') fail('must be an object');
+  if (typeof stage.id !== 'string' || !stage.id) fail('id is required');
+  if (typeof stage.name !== 'string' || !stage.name) fail('name is required');
+  if (!isBounds(stage.blastZones)) fail('blastZones need left < right and top < bottom');
+  if (!isBounds(stage.camera)) fail('camera needs left < right and top < bottom');
+
+  const blast = stage.blastZones;
+  const camera = stage.camera;
+  if (camera.left < blast.left || camera.right > blast.right ||
+      camera.top < blast.top || camera.bottom > blast.bottom) {
+    fail('camera must sit inside the blast zones');
+  }
+
+  if (!Array.isArray(stage.platforms) || stage.platforms.length === 0) {
+    fail('at least one platform is required');
+  }
+  stage.platforms.forEach((platform, index) => {
+    if (!isRect(platform)) fail(`platforms[${index}] needs x, y, width and height`);
+    if (!PLATFORM_TYPES.includes(platform.type)) {
+      fail(`platforms[${index}].type must be one of ${PLATFORM_TYPES.join(', ')}`);
+    }
+    if (platform.ledges !== undefined &&
+        (!Array.isArray(platform.ledges) || platform.ledges.some(side => !LEDGE_SIDES.includes(side)))) {
+      fail(`platforms[${index}].ledges must list sides from ${LEDGE_SIDES.join(', ')}`);
+    }
+  });
+
+  (stage.hazards || []).forEach((hazard, index) => {
+    if (typeof hazard.type !== 'string' || !isRect(hazard)) {
+      fail(`hazards[${index}] needs a type, x, y, width and height`);
+    }
+  });
+
+  if (stage.hill !== undefined && !isRect(stage.hill)) {
+    fail('hill needs x, y, width and height');
+  }
+
+  if (!Array.isArray(stage.spawnPoints) || stage.spawnPoints.length === 0) {
+    fail('at least one spawn point is required');
+  }
+  stage.spawnPoints.forEach((point, index) => {
+    if (!isPoint(point)) fail(`spawnPoints[${index}] needs x and y`);
+  });
+
+  const items = stage.items || {};
+  (items.initial || []).forEach((item, index) => {
+    if (!ITEM_KINDS.includes(item.kind) || typeof item.type !== 'string' || !isPoint(item.position)) {
+      fail(`items.initial[${index}] needs a kind, type and position`);
+    }
+  });
+  (items.spawnTable || []).forEach((entry, index) => {
+    if (!ITEM_KINDS.includes(entry.kind) || typeof entry.type !== 'string' || !(entry.weight > 0)) {
+      fail(`items.spawnTable[${index}] needs a kind, type and positive weight`);
+    }
+  });
+
+  (stage.blueyElements || []).forEach((element, index) => {
+    if (typeof element.type !== 'string' || !isPoint(element)) {
+      fail(`blueyElements[${index}] needs a type, x and y`);
+    }
+  });
+
+  return stage;
+}
+
+// Grabbable corners, in platform order. x and y are the corner itself; facing
+// is the way a fighter hanging there looks (towards the platform).
+function getLedges(stage) {
+  const ledges = [];
+  stage.platforms.forEach((platform, index) => {
+    const sides = platform.ledges || (platform.type === 'solid' ? LEDGE_SIDES : []);
+    for (const side of sides) {
+      ledges.push({
+        id: `${index}:${side}`,
+        side,
+        x: side === 'left' ? platform.x : platform.x + platform.width,
+        y: platform.y,
+        facing: side === 'left' ? 'right' : 'left'
+      });
+    }
+  });
+  return ledges;
+}
+
+function registerStage(stage) {
+  validateStage(stage);
+  if (stages.has(stage.id)) {
+    throw new Error(`Duplicate stage id "${stage.id}"`);
+  }
+  stages.set(stage.id, stage);
+  return stage;
+}
+
+// Unknown ids fall back to the default stage, as room settings may be stale
+function getStage(stageId) {
+  return stages.get(stageId) || stages.get(DEFAULT_STAGE);
+}
+
+function hasStage(stageId) {
+  return stages.has(stageId);
+}
+
+function getStageIds() {
+  return Array.from(stages.keys());
+}
+
+registerStage(require('./stages/backyard.json'));
+registerStage(require('./stages/playground.json'));
+registerStage(require('./stages/creek.json'));
+
+module.exports = {
+  DEFAULT_STAGE,
+  PLATFORM_TYPES,
+  validateStage,
+  getLedges,
+  registerStage,
+  getStage,
+  hasStage,
+  getStageIds
+};